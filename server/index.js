@@ -1,13 +1,38 @@
 import express from 'express';
 import cors from 'cors';
-import { createOpenAIClient } from './lib/openaiClient.js';
+import { createLLMClient } from './lib/llmClient.js';
+import { LLM_FIXTURE_MODES, createLLMFixtureStore } from './lib/llmFixtures.js';
+import { parseProviderConfigs } from './lib/llmProviders.js';
+import { createUsageLedger, createUsagePricing, parsePricingConfig } from './lib/llmUsage.js';
 import { writeSSE, streamText, parseRoutePlan } from './lib/streaming.js';
 import { createOrchestrationRuntime } from './lib/orchestration.js';
+import { createMCPSessionManager } from './lib/mcpSession.js';
+import { readMCPHttpResponse } from './lib/mcpStreamableHttp.js';
+import {
+  createMCPFederation,
+  getToolBaseName,
+  isValidServerName,
+} from './lib/mcpFederation.js';
+import { createMCPResourceCatalog } from './lib/mcpResources.js';
+import { createMCPPromptCatalog, expandPromptMessages } from './lib/mcpServerPrompts.js';
+import { createMCPSamplingHandler } from './lib/mcpSampling.js';
+import { createMCPElicitationHandler } from './lib/mcpElicitation.js';
+import { createMCPCredentialStore, parseCredentialConfig } from './lib/mcpCredentials.js';
+import {
+  createStdioServerRegistry,
+  parseStdioServerConfig,
+  isStdioEndpoint,
+  STDIO_ENDPOINT_PREFIX,
+} from './lib/mcpStdioTransport.js';
 import { normalizeMCPResponse, resolveConversation, proxyResponse } from './lib/mcpShared.js';
 import {
   summarizeStructuredForDisplay,
   formatContentArrayAsMarkdown,
 } from './lib/mcpResponseFormatting.js';
+import { createTimeoutSignal } from './lib/resilience.js';
+import { createConversationContext, withHistory } from './lib/conversationContext.js';
+import { createContextBudget } from './lib/contextBudget.js';
+import { applySchemaDefaults, formatSchemaErrors, validateJsonSchema } from './lib/jsonSchema.js';
 import { hasSummaryIntent, findSummaryTool } from './lib/policies/summaryPolicy.js';
 import {
   hasGitHubPRIntent,
@@ -15,26 +40,127 @@ import {
   buildGitHubPRWorkflowSteps,
 } from './lib/policies/githubPrPolicy.js';
 import {
+  buildNativeToolPlanningPrompt,
   buildRouteDecisionPrompt,
+  buildToolArgumentRepairPrompt,
   buildToolSelectionPrompt,
   CHAT_ONLY_PROMPT,
 } from './prompts/mcpPrompts.js';
+import {
+  EVALUATION_SCHEMA,
+  ROUTE_DECISION_SCHEMA,
+  TOOL_ARGUMENT_REPAIR_SCHEMA,
+  TOOL_SELECTION_SCHEMA,
+} from './prompts/outputSchemas.js';
 
 const app = express();
 const PORT = Number(process.env.PORT || 4000);
 const LOCAL_MCP_ENDPOINT = process.env.LOCAL_MCP_ENDPOINT || 'http://localhost:3001/mcp';
 const FRONT_ORIGIN = process.env.FRONT_ORIGIN || 'http://localhost:5173';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+// 기본 LLM provider. 요청 body의 llmProvider로 요청마다 바꿀 수 있다.
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const LLM_PROVIDER_CONFIGS = parseProviderConfigs(process.env);
+// 오프라인 모드: auto(선택한 provider에 API 키가 없으면 오프라인) | on(항상) | off(키가 없으면 500)
+const LLM_OFFLINE = ['on', 'off'].includes(process.env.LLM_OFFLINE)
+  ? process.env.LLM_OFFLINE
+  : 'auto';
+// 도구 계획 방식: native(function/tool calling, 미지원 시 prompt로 fallback) | prompt(JSON 프롬프트)
+const LLM_TOOL_PLANNING = process.env.LLM_TOOL_PLANNING === 'prompt' ? 'prompt' : 'native';
 const LOCAL_MCP_TOKEN = process.env.LOCAL_MCP_TOKEN || '';
 const LOCAL_MCP_DEFAULT_PATHS = (process.env.LOCAL_MCP_DEFAULT_PATHS || 'notes/')
   .split(',')
   .map((item) => item.trim())
   .filter(Boolean);
-const { callOpenAI } = createOpenAIClient({
-  apiKey: OPENAI_API_KEY,
-  model: OPENAI_MODEL,
+const LOCAL_MCP_SERVER_STREAM = process.env.LOCAL_MCP_SERVER_STREAM !== 'off';
+const LOCAL_MCP_TOOLS_TTL_MS = Number(process.env.LOCAL_MCP_TOOLS_TTL_MS || 60_000);
+const LOCAL_MCP_RESOURCE_GROUNDING_LIMIT = Number(
+  process.env.LOCAL_MCP_RESOURCE_GROUNDING_LIMIT ?? 3,
+);
+const LOCAL_MCP_TIMEOUT_MS = Number(process.env.LOCAL_MCP_TIMEOUT_MS ?? 30_000);
+const LOCAL_MCP_MAX_RETRIES = Number(process.env.LOCAL_MCP_MAX_RETRIES ?? 2);
+const LOCAL_MCP_CIRCUIT_THRESHOLD = Number(process.env.LOCAL_MCP_CIRCUIT_THRESHOLD ?? 5);
+const LOCAL_MCP_CIRCUIT_COOLDOWN_MS = Number(process.env.LOCAL_MCP_CIRCUIT_COOLDOWN_MS ?? 30_000);
+const LLM_TIMEOUT_MS = Number(
+  process.env.LLM_TIMEOUT_MS ?? process.env.OPENAI_TIMEOUT_MS ?? 60_000,
+);
+const LLM_MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? process.env.OPENAI_MAX_RETRIES ?? 2);
+// 라우터/planner/evaluator JSON 응답이 스키마에 맞지 않을 때 다시 요청하는 횟수
+const LLM_STRUCTURED_OUTPUT_RETRIES = Number(process.env.LLM_STRUCTURED_OUTPUT_RETRIES ?? 1);
+// 모델별 단가(USD / 1M 토큰, JSON)와 /api/llm/usage 집계를 메모리에 보관할 일수
+const LLM_PRICING = parsePricingConfig(process.env.LLM_PRICING || '');
+const LLM_USAGE_RETENTION_DAYS = Number(process.env.LLM_USAGE_RETENTION_DAYS ?? 30);
+// LLM 호출 녹화/재생: record(실제 응답을 fixture로 저장) | replay(fixture로 응답, 네트워크 없음)
+const LLM_FIXTURES = LLM_FIXTURE_MODES.includes(process.env.LLM_FIXTURES)
+  ? process.env.LLM_FIXTURES
+  : '';
+const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || 'fixtures/llm';
+const LOCAL_MCP_SAMPLING = process.env.LOCAL_MCP_SAMPLING !== 'off';
+const LOCAL_MCP_SAMPLING_APPROVAL = process.env.LOCAL_MCP_SAMPLING_APPROVAL === 'on';
+const LOCAL_MCP_SAMPLING_APPROVAL_TIMEOUT_MS = Number(
+  process.env.LOCAL_MCP_SAMPLING_APPROVAL_TIMEOUT_MS ?? 120_000,
+);
+const LOCAL_MCP_ELICITATION = process.env.LOCAL_MCP_ELICITATION !== 'off';
+const LOCAL_MCP_ELICITATION_TIMEOUT_MS = Number(
+  process.env.LOCAL_MCP_ELICITATION_TIMEOUT_MS ?? 300_000,
+);
+// agent loop 기본 사용 여부(요청 body의 agentLoop가 우선)와 step 수 / 전체 시간 예산
+const LOCAL_MCP_AGENT_LOOP = process.env.LOCAL_MCP_AGENT_LOOP === 'on';
+const LOCAL_MCP_AGENT_LOOP_MAX_STEPS = Number(process.env.LOCAL_MCP_AGENT_LOOP_MAX_STEPS ?? 6);
+const LOCAL_MCP_AGENT_LOOP_TIME_BUDGET_MS = Number(
+  process.env.LOCAL_MCP_AGENT_LOOP_TIME_BUDGET_MS ?? 120_000,
+);
+// 라우터/planner/writer에 넘길 이전 대화 메시지 수와 참조로 남길 이전 도구 결과 수 (0이면 사용 안 함)
+const LLM_CONVERSATION_WINDOW = Number(process.env.LLM_CONVERSATION_WINDOW ?? 6);
+const LLM_CONVERSATION_REFERENCES = Number(process.env.LLM_CONVERSATION_REFERENCES ?? 3);
+// 프롬프트 토큰 예산(어림값): 이전 대화(요약 포함) / 도구 결과·초안 한 덩어리
+const LLM_CONTEXT_HISTORY_TOKENS = Number(process.env.LLM_CONTEXT_HISTORY_TOKENS ?? 1500);
+const LLM_CONTEXT_RESULT_TOKENS = Number(process.env.LLM_CONTEXT_RESULT_TOKENS ?? 6000);
+// sampling modelPreferences를 매핑할 기본 provider의 모델 목록 (가벼운 모델 -> 고성능 모델 순)
+const LLM_SAMPLING_MODELS = (
+  process.env.LLM_SAMPLING_MODELS ||
+  process.env.OPENAI_SAMPLING_MODELS ||
+  LLM_PROVIDER_CONFIGS[LLM_PROVIDER]?.model ||
+  LLM_PROVIDER_CONFIGS[LLM_PROVIDER]?.deployment ||
+  ''
+)
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+const LOCAL_MCP_SERVERS = (() => {
+  try {
+    const parsed = JSON.parse(process.env.LOCAL_MCP_SERVERS || '{}');
+    return Object.entries(parsed || {})
+      .filter(([name, endpoint]) => isValidServerName(name) && typeof endpoint === 'string')
+      .map(([name, endpoint]) => ({ name, endpoint }));
+  } catch {
+    console.warn('[federation] LOCAL_MCP_SERVERS JSON 파싱 실패');
+    return [];
+  }
+})();
+const LOCAL_MCP_OAUTH_REDIRECT_URL =
+  process.env.LOCAL_MCP_OAUTH_REDIRECT_URL || `http://localhost:${PORT}/api/mcp/auth/callback`;
+const mcpCredentials = createMCPCredentialStore({
+  credentials: parseCredentialConfig(process.env.LOCAL_MCP_CREDENTIALS || ''),
+  legacyToken: LOCAL_MCP_TOKEN,
+  legacyEndpoints: [LOCAL_MCP_ENDPOINT, ...LOCAL_MCP_SERVERS.map((server) => server.endpoint)],
+  redirectUri: LOCAL_MCP_OAUTH_REDIRECT_URL,
+});
+const stdioServers = createStdioServerRegistry({
+  servers: parseStdioServerConfig(process.env.LOCAL_MCP_STDIO_SERVERS || ''),
 });
+const llm = createLLMClient({
+  providers: LLM_PROVIDER_CONFIGS,
+  defaultProvider: LLM_PROVIDER,
+  timeoutMs: LLM_TIMEOUT_MS,
+  maxRetries: LLM_MAX_RETRIES,
+  priceUsage: createUsagePricing(LLM_PRICING),
+  structuredOutputRetries: LLM_STRUCTURED_OUTPUT_RETRIES,
+  fixtures: LLM_FIXTURES
+    ? createLLMFixtureStore({ mode: LLM_FIXTURES, dir: LLM_FIXTURES_DIR })
+    : null,
+});
+const { callLLM } = llm;
+const usageLedger = createUsageLedger({ retentionDays: LLM_USAGE_RETENTION_DAYS });
 
 app.use(
   cors({
@@ -58,15 +184,6 @@ app.use((req, res, next) => {
   next();
 });
 
-const safeParseResponse = async (response) => {
-  const text = await response.text();
-  try {
-    return { status: response.status, parsed: text ? JSON.parse(text) : null, raw: text };
-  } catch {
-    return { status: response.status, parsed: null, raw: text };
-  }
-};
-
 const resolveLocalMCPManifestUrl = (targetUrl) => {
   try {
     const url = new URL(targetUrl);
@@ -100,22 +217,27 @@ const resolveLocalMCPManifestUrl = (targetUrl) => {
 
 const fetchManifest = async (targetUrl, headers = {}) => {
   const manifestUrl = resolveLocalMCPManifestUrl(targetUrl);
+  const timeout = createTimeoutSignal(undefined, LOCAL_MCP_TIMEOUT_MS);
   let response;
+  let parsed;
   try {
     response = await fetch(manifestUrl, {
       method: 'GET',
       headers,
+      signal: timeout.signal,
     });
+    parsed = await readMCPHttpResponse(response);
   } catch {
     return {
       data: null,
       status: 0,
       source: manifestUrl,
-      error: 'fetch_failed',
+      error: timeout.isTimedOut() ? 'fetch_timeout' : 'fetch_failed',
     };
+  } finally {
+    timeout.cleanup();
   }
 
-  const parsed = await safeParseResponse(response);
   if (!parsed || !response.ok || !parsed.parsed) {
     return {
       data: null,
@@ -201,7 +323,12 @@ const findToolByName = (tools = [], name = '') => {
     return null;
   }
 
-  return tools.find((tool) => tool?.name === target) || null;
+  // federation 환경에서는 `서버.도구` 외에 원래 도구명으로도 찾을 수 있게 한다.
+  return (
+    tools.find((tool) => tool?.name === target) ||
+    tools.find((tool) => getToolBaseName(tool) === target) ||
+    null
+  );
 };
 
 const pickDiscoveryTool = (tools = [], requested = '') => {
@@ -701,6 +828,10 @@ const sanitizeToolArguments = (tool, prompt = '', toolArguments = {}, routedQuer
     }
   }
 
+  // 스키마 default가 있는 인자는 prompt 대신 default로 채운다.
+  Object.assign(inputArgs, applySchemaDefaults(schema, inputArgs));
+
+  const candidateKeys = ['query', 'input', 'text', 'prompt', 'q', 'question', 'content'];
   for (const requiredKey of required) {
     if (Object.prototype.hasOwnProperty.call(inputArgs, requiredKey)) {
       continue;
@@ -719,12 +850,12 @@ const sanitizeToolArguments = (tool, prompt = '', toolArguments = {}, routedQuer
       continue;
     }
 
-    if (keys.includes(requiredKey) || typeof requiredKey === 'string') {
+    // 질의형 인자만 prompt로 채우고, 나머지 필수 인자는 스키마 검증 후 planner 교정에 맡긴다.
+    if (candidateKeys.includes(requiredKey)) {
       inputArgs[requiredKey] = seed;
     }
   }
 
-  const candidateKeys = ['query', 'input', 'text', 'prompt', 'q', 'question', 'content'];
   for (const key of candidateKeys) {
     if (keys.includes(key) && !Object.prototype.hasOwnProperty.call(inputArgs, key)) {
       inputArgs[key] = seed;
@@ -740,6 +871,7 @@ const extractToolSummary = (tools = []) => {
     const schema = tool?.inputSchema || {};
     return {
       name: tool?.name || '',
+      ...(tool?.serverName ? { server: tool.serverName } : {}),
       description: tool?.description || '',
       required: Array.isArray(schema.required) ? schema.required : [],
       properties: schema.properties || {},
@@ -747,37 +879,28 @@ const extractToolSummary = (tools = []) => {
   });
 };
 
-const planMCPToolCall = async (prompt, tools = []) => {
-  const toolSummaries = extractToolSummary(tools);
-  if (!Array.isArray(toolSummaries) || toolSummaries.length === 0) {
-    return null;
-  }
-
+/**
+ * 프롬프트 방식 planner: 도구 스키마를 system 프롬프트에 넣고 { tool, tool_arguments, discovery } JSON을 받는다.
+ * native tool calling을 쓸 수 없는 모델의 fallback이다.
+ * 응답이 TOOL_SELECTION_SCHEMA에 끝내 맞지 않으면 null을 반환한다(실패 내역은 agentTrace.structuredOutput에 남는다).
+ */
+const planMCPToolCallWithPrompt = async (prompt, toolSummaries, signal, history = '') => {
   const toolPrompt = buildToolSelectionPrompt(toolSummaries);
 
-  const response = await callOpenAI({
-    responseFormat: 'json',
+  const response = await llm.callLLMStructured({
+    signal,
+    agent: 'plan-agent',
+    schema: TOOL_SELECTION_SCHEMA,
     messages: [
       { role: 'system', content: toolPrompt },
-      { role: 'user', content: `사용자 요청: ${prompt}` },
+      { role: 'user', content: withHistory(history, `사용자 요청: ${prompt}`) },
     ],
   });
 
-  const parsed = (() => {
-    try {
-      const value = JSON.parse(response);
-      if (value && typeof value === 'object') {
-        return value;
-      }
-    } catch {
-      // noop
-    }
-    return null;
-  })();
-
-  if (!parsed || typeof parsed !== 'object') {
+  if (!response.ok) {
     return null;
   }
+  const parsed = response.value;
 
   const targetToolName = typeof parsed.tool === 'string' ? parsed.tool : '';
   const hasTool = targetToolName
@@ -815,100 +938,361 @@ const planMCPToolCall = async (prompt, tools = []) => {
           : {},
       expected_paths: normalizeDiscoveryExpectedPaths(discoveryInput?.expected_paths),
     },
+    planner: 'prompt',
   };
 };
 
-const buildMCPHeaders = () => {
-  const headers = {
-    'Content-Type': 'application/json',
-    Accept: 'application/json',
-  };
-  if (LOCAL_MCP_TOKEN) {
-    headers.Authorization = `Bearer ${LOCAL_MCP_TOKEN}`;
+const requiresPathsArgument = (tool) =>
+  Array.isArray(tool?.inputSchema?.required) && tool.inputSchema.required.includes('paths');
+
+/**
+ * native tool calling planner: MCP 도구를 함수 정의로 넘기고 모델이 고른 호출들을 실행 계획으로 바꾼다.
+ * - 첫 호출이 탐색 도구이고 다음 호출이 paths를 요구하면, 첫 호출은 그 도구의 discovery로 쓴다.
+ * - 이후 호출은 workflow.steps.v1 step으로 순서대로 실행한다.
+ * 모델이 유효한 도구를 하나도 호출하지 않으면 null을 반환한다.
+ */
+const planMCPToolCallNative = async (prompt, tools, signal, history = '') => {
+  const response = await llm.callLLMWithTools({
+    signal,
+    agent: 'plan-agent',
+    // 라우터가 이미 local_mcp로 판단한 요청이므로 도구 호출을 강제한다.
+    toolChoice: 'required',
+    tools: tools.map((tool) => ({
+      name: tool.name,
+      description: tool.serverName
+        ? `[${tool.serverName}] ${tool.description || ''}`
+        : tool.description || '',
+      inputSchema: tool.inputSchema,
+    })),
+    messages: [
+      { role: 'system', content: buildNativeToolPlanningPrompt() },
+      { role: 'user', content: withHistory(history, `사용자 요청: ${prompt}`) },
+    ],
+  });
+
+  // 카탈로그에 없는 도구명은 버리고, 해석할 수 없는 arguments는 빈 객체로 둔다(이후 sanitize/검증 대상).
+  const calls = [];
+  for (const call of response.toolCalls) {
+    const spec = findToolByName(tools, call.name);
+    if (spec) {
+      calls.push({ tool: spec.name, spec, toolArguments: call.arguments || {} });
+    }
+  }
+  if (calls.length === 0) {
+    return null;
   }
-  return headers;
-};
 
-const collectMCPToolContext = async ({ localEndpoint }) => {
-  const targetUrl = resolveLocalMCPUrl({ localEndpoint });
-  const headers = buildMCPHeaders();
-  const requestId = String(Date.now());
-  const postToMCP = async (payload) => {
-    const response = await fetch(targetUrl, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload),
-    });
-    return safeParseResponse(response);
-  };
+  const [first, second] = calls;
+  const useDiscovery =
+    Boolean(second) &&
+    !requiresPathsArgument(first.spec) &&
+    requiresPathsArgument(second.spec) &&
+    pickDiscoveryTool([first.spec]) !== null;
+  const [primary, ...followUps] = useDiscovery ? calls.slice(1) : calls;
 
-  const initializePayload = {
-    jsonrpc: '2.0',
-    id: requestId,
-    method: 'initialize',
-    params: {
-      protocolVersion: '2025-11-25',
-      capabilities: {},
+  return {
+    tool: primary.tool,
+    toolArguments: primary.toolArguments,
+    routedQuery: prompt,
+    explanation:
+      response.text.trim() || `native tool calls: ${calls.map((call) => call.tool).join(', ')}`,
+    discovery: {
+      tool: useDiscovery ? first.tool : null,
+      toolArguments: useDiscovery ? first.toolArguments : {},
+      expected_paths: [],
     },
+    ...(followUps.length > 0
+      ? {
+          workflow: {
+            type: 'tool_calls',
+            schema: 'workflow.steps.v1',
+            mode: 'sequential',
+            steps: followUps.map((call, index) => ({
+              id: `tool_call_${index + 2}`,
+              tool: call.tool,
+              toolArguments: call.toolArguments,
+            })),
+          },
+        }
+      : {}),
+    planner: 'native',
   };
+};
+
+/**
+ * history는 이전 대화/도구 결과 텍스트(conversationContext.format)로, 있으면 요청 앞에 붙인다.
+ */
+const planMCPToolCall = async (prompt, tools = [], signal, history = '') => {
+  const toolSummaries = extractToolSummary(tools);
+  if (!Array.isArray(toolSummaries) || toolSummaries.length === 0) {
+    return null;
+  }
+
+  if (LLM_TOOL_PLANNING === 'native' && llm.supportsToolCalling()) {
+    try {
+      const nativePlan = await planMCPToolCallNative(prompt, tools, signal, history);
+      if (nativePlan) {
+        return nativePlan;
+      }
+      console.warn('[planner] native tool call이 없어 프롬프트 방식으로 다시 계획합니다.');
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.warn('[planner] native tool calling 실패, 프롬프트 방식으로 다시 계획합니다.', {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  return planMCPToolCallWithPrompt(prompt, toolSummaries, signal, history);
+};
+
+/**
+ * inputSchema 검증에 실패한 인자를 위반 내역과 함께 planner에게 돌려보내 1회 교정받는다.
+ * 교정 결과를 해석할 수 없으면 null을 반환한다.
+ */
+const repairToolArguments = async ({ prompt, tool, toolArguments, errors, signal }) => {
+  const response = await llm.callLLMStructured({
+    signal,
+    agent: 'plan-agent',
+    schema: TOOL_ARGUMENT_REPAIR_SCHEMA,
+    messages: [
+      {
+        role: 'system',
+        content: buildToolArgumentRepairPrompt({
+          tool: tool?.name || '',
+          inputSchema: tool?.inputSchema,
+          violations: formatSchemaErrors(errors),
+        }),
+      },
+      {
+        role: 'user',
+        content: `사용자 요청: ${prompt}\n이전 tool_arguments: ${JSON.stringify(toolArguments)}`,
+      },
+    ],
+  });
+
+  return response.ok ? response.value.tool_arguments : null;
+};
+
+// 인증 헤더는 endpoint별 자격 증명 저장소에서 가져온다(등록되지 않은 endpoint에는 붙이지 않는다).
+const buildMCPHeaders = async (targetUrl) => ({
+  'Content-Type': 'application/json',
+  Accept: 'application/json',
+  ...(await mcpCredentials.getHeaders(targetUrl)),
+});
+
+const mcpSessions = createMCPSessionManager({
+  buildHeaders: buildMCPHeaders,
+  onUnauthorized: mcpCredentials.handleUnauthorized,
+  fetchManifest,
+  mergeToolSpecs,
+  openServerStream: LOCAL_MCP_SERVER_STREAM,
+  stdioServers,
+  toolCacheTtlMs: LOCAL_MCP_TOOLS_TTL_MS,
+  requestTimeoutMs: LOCAL_MCP_TIMEOUT_MS,
+  maxRetries: LOCAL_MCP_MAX_RETRIES,
+  circuitFailureThreshold: LOCAL_MCP_CIRCUIT_THRESHOLD,
+  circuitCooldownMs: LOCAL_MCP_CIRCUIT_COOLDOWN_MS,
+  clientCapabilities: {
+    ...(LOCAL_MCP_SAMPLING ? { sampling: {} } : {}),
+    ...(LOCAL_MCP_ELICITATION ? { elicitation: {} } : {}),
+  },
+});
+
+const mcpSampling = createMCPSamplingHandler({
+  // 모델 목록은 기본 provider 기준이므로, 요청이 다른 provider를 쓰면 그 provider의 기본 모델로 생성한다.
+  createChatCompletion: (options) =>
+    llm.createChatCompletion({
+      ...options,
+      agent: 'mcp-agent',
+      model: llm.activeProvider() === LLM_PROVIDER ? options.model : undefined,
+    }),
+  models: LLM_SAMPLING_MODELS,
+  requireApproval: LOCAL_MCP_SAMPLING_APPROVAL,
+  approvalTimeoutMs: LOCAL_MCP_SAMPLING_APPROVAL_TIMEOUT_MS,
+});
+if (LOCAL_MCP_SAMPLING) {
+  mcpSessions.setRequestHandler('sampling/createMessage', mcpSampling.handleCreateMessage);
+}
+
+const mcpElicitation = createMCPElicitationHandler({
+  responseTimeoutMs: LOCAL_MCP_ELICITATION_TIMEOUT_MS,
+});
+if (LOCAL_MCP_ELICITATION) {
+  mcpSessions.setRequestHandler('elicitation/create', mcpElicitation.handleElicitation);
+}
+
+const mcpFederation = createMCPFederation({
+  getSession: mcpSessions.getSession,
+});
+
+const mcpResources = createMCPResourceCatalog({
+  getSession: mcpSessions.getSession,
+});
+
+const mcpServerPrompts = createMCPPromptCatalog({
+  getSession: mcpSessions.getSession,
+});
 
-  const init = await postToMCP(initializePayload);
-  if (init.status >= 400 || !init.parsed || init.parsed.jsonrpc !== '2.0') {
+/**
+ * body.mcpPrompt({ name, server, arguments })가 있으면 prompts/get으로 펼쳐
+ * 마지막 user 메시지를 prompt로, 나머지를 conversation 뒤에 이어 오케스트레이션에 넘긴다.
+ */
+const expandMCPPromptRequest = async ({
+  mcpPrompt,
+  prompt,
+  conversation,
+  localEndpoint,
+  mcpServers,
+}) => {
+  if (!mcpPrompt) {
+    return { ok: true, prompt, conversation, expandedPrompt: null };
+  }
+  if (typeof mcpPrompt.name !== 'string' || !mcpPrompt.name.trim()) {
+    return { ok: false, status: 400, error: 'mcpPrompt.name은 필수 문자열입니다.' };
+  }
+
+  const promptArguments = {};
+  for (const [key, value] of Object.entries(mcpPrompt.arguments || {})) {
+    if (value !== undefined && value !== null && String(value) !== '') {
+      promptArguments[key] = String(value);
+    }
+  }
+
+  let result;
+  try {
+    result = await mcpServerPrompts.getPrompt(resolveMCPTargets({ localEndpoint, mcpServers }), {
+      name: mcpPrompt.name.trim(),
+      server: typeof mcpPrompt.server === 'string' ? mcpPrompt.server : undefined,
+      arguments: promptArguments,
+    });
+  } catch (error) {
     return {
       ok: false,
-      status: init.status,
-      error: init.parsed?.error?.message || init.raw || 'initialize_failed',
-      targetUrl,
-      tools: [],
-      manifestAttempt: null,
+      status: 502,
+      error: error instanceof Error ? error.message : 'MCP prompt를 불러오지 못했습니다.',
     };
   }
+  if (!result.ok) {
+    return { ok: false, status: result.status, error: result.error };
+  }
 
-  const manifestAttempt = await fetchManifest(targetUrl, headers);
-  const manifestTools = Array.isArray(manifestAttempt.data?.tools)
-    ? manifestAttempt.data.tools
-    : [];
-  const toolsPayload = {
-    jsonrpc: '2.0',
-    id: `${requestId}-tools`,
-    method: 'tools/list',
-    params: {},
+  const expanded = expandPromptMessages(result.messages);
+  if (!expanded.prompt) {
+    return {
+      ok: false,
+      status: 502,
+      error: `MCP prompt에 user 메시지가 없습니다: ${result.name}`,
+    };
+  }
+
+  return {
+    ok: true,
+    prompt: expanded.prompt,
+    conversation: [...(Array.isArray(conversation) ? conversation : []), ...expanded.conversation],
+    expandedPrompt: {
+      name: result.name,
+      server: result.server,
+      arguments: promptArguments,
+      messageCount: result.messages.length,
+    },
   };
+};
 
-  let tools = manifestTools;
-  if (manifestTools.length > 0) {
-    const toolsResponse = await postToMCP(toolsPayload);
-    if (toolsResponse.status < 400 && Array.isArray(toolsResponse.parsed?.result?.tools)) {
-      tools = mergeToolSpecs(manifestTools, toolsResponse.parsed.result.tools);
+/**
+ * 요청 body의 mcpServers([{ name, endpoint }]) 또는 LOCAL_MCP_SERVERS 설정으로 연결 대상을 만든다.
+ * 둘 다 없으면 기존처럼 localEndpoint 단일 서버를 사용한다.
+ */
+const resolveMCPTargets = ({ localEndpoint, mcpServers }) => {
+  const configured =
+    Array.isArray(mcpServers) && mcpServers.length > 0 ? mcpServers : LOCAL_MCP_SERVERS;
+  const targets = [];
+  const seen = new Set();
+  for (const server of configured) {
+    const name = typeof server?.name === 'string' ? server.name.trim() : '';
+    if (!isValidServerName(name) || seen.has(name)) {
+      continue;
     }
-  } else {
-    const toolsResponse = await postToMCP(toolsPayload);
-    if (toolsResponse.status < 400 && Array.isArray(toolsResponse.parsed?.result?.tools)) {
-      tools = toolsResponse.parsed.result.tools;
-    } else {
-      return {
-        ok: false,
-        status: toolsResponse.status || 500,
-        error: toolsResponse.parsed?.error?.message || toolsResponse.raw || 'tools_list_failed',
-        targetUrl,
-        tools: [],
-        manifestAttempt,
-      };
+    if (typeof server?.endpoint !== 'string' || !server.endpoint.trim()) {
+      continue;
     }
+    seen.add(name);
+    targets.push({ name, targetUrl: resolveLocalMCPUrl({ localEndpoint: server.endpoint }) });
+  }
+
+  if (targets.length > 0) {
+    return targets;
+  }
+  return [{ name: 'local', targetUrl: resolveLocalMCPUrl({ localEndpoint }) }];
+};
+
+const validateMCPServers = (mcpServers) => {
+  if (mcpServers === undefined || mcpServers === null) {
+    return null;
+  }
+  if (!Array.isArray(mcpServers)) {
+    return 'mcpServers는 { name, endpoint } 배열이어야 합니다.';
+  }
+
+  const names = new Set();
+  for (const server of mcpServers) {
+    if (!isValidServerName(server?.name)) {
+      return `유효하지 않은 MCP 서버 이름입니다: ${server?.name} (영문/숫자/_/-만 허용)`;
+    }
+    if (names.has(server.name)) {
+      return `MCP 서버 이름이 중복되었습니다: ${server.name}`;
+    }
+    names.add(server.name);
+    try {
+      new URL(String(server.endpoint || '').trim());
+    } catch {
+      return `유효하지 않은 MCP 서버 엔드포인트입니다: ${server.name}`;
+    }
+  }
+  return null;
+};
+
+const collectMCPToolContext = async ({ localEndpoint, mcpServers }) => {
+  const targets = resolveMCPTargets({ localEndpoint, mcpServers });
+  const federation = await mcpFederation.connect(targets);
+  const primary = federation.entries.find((entry) => entry.ok) || federation.entries[0];
+  const manifestAttempt = primary?.toolContext?.manifestAttempt || null;
+
+  if (!primary?.ok) {
+    return {
+      ok: false,
+      status: primary?.status || 500,
+      error: primary?.error || 'initialize_failed',
+      targetUrl: primary?.targetUrl || targets[0].targetUrl,
+      tools: [],
+      manifestAttempt,
+      servers: federation.servers,
+    };
   }
 
   return {
     ok: true,
     status: 200,
     error: null,
-    targetUrl,
-    tools,
+    targetUrl: primary.targetUrl,
+    tools: federation.tools,
     manifestAttempt,
+    servers: federation.servers,
   };
 };
 
-const planExecutionFromManifest = async ({ prompt, routedQuery, localEndpoint }) => {
-  const context = await collectMCPToolContext({ localEndpoint });
+const planExecutionFromManifest = async ({
+  prompt,
+  routedQuery,
+  localEndpoint,
+  mcpServers,
+  history = '',
+  offline = false,
+  signal,
+}) => {
+  const context = await collectMCPToolContext({ localEndpoint, mcpServers });
   if (!context.ok || !Array.isArray(context.tools) || context.tools.length === 0) {
     return {
       executionPlan: null,
@@ -947,7 +1331,8 @@ const planExecutionFromManifest = async ({ prompt, routedQuery, localEndpoint })
     };
   }
 
-  const llmPlan = await planMCPToolCall(query, context.tools);
+  // 오프라인이면 LLM planner 없이 아래 규칙 기반 선택(chooseBestTool/buildToolArguments)으로 계획한다.
+  const llmPlan = offline ? null : await planMCPToolCall(query, context.tools, signal, history);
   if (llmPlan && llmPlan.tool) {
     const selected = findToolByName(context.tools, llmPlan.tool);
     if (selected) {
@@ -964,11 +1349,28 @@ const planExecutionFromManifest = async ({ prompt, routedQuery, localEndpoint })
         sanitizedArgs.paths = getDefaultPaths();
       }
 
+      // native planner가 한 번에 고른 후속 호출도 같은 기준으로 인자를 정리한다.
+      const workflow = llmPlan.workflow
+        ? {
+            ...llmPlan.workflow,
+            steps: llmPlan.workflow.steps.map((step) => ({
+              ...step,
+              toolArguments: sanitizeToolArguments(
+                findToolByName(context.tools, step.tool),
+                query,
+                step.toolArguments || {},
+                query,
+              ),
+            })),
+          }
+        : undefined;
+
       return {
         executionPlan: {
           ...llmPlan,
           toolArguments: sanitizedArgs,
           routedQuery: llmPlan.routedQuery || query,
+          workflow,
         },
         context,
       };
@@ -1057,6 +1459,10 @@ const buildRetryExecutionPlan = (executionPlan = null) => {
 
 const resolveLocalMCPUrl = (body) => {
   if (typeof body?.localEndpoint === 'string' && body.localEndpoint.trim()) {
+    // stdio://<이름> endpoint는 서버 설정에 등록된 프로세스를 가리키므로 그대로 사용한다.
+    if (isStdioEndpoint(body.localEndpoint.trim())) {
+      return body.localEndpoint.trim();
+    }
     try {
       const url = new URL(body.localEndpoint.trim());
       if (url.pathname.endsWith('/api/mcp/chat')) {
@@ -1075,59 +1481,64 @@ const resolveLocalMCPUrl = (body) => {
 const callLocalMCP = async ({
   prompt,
   localEndpoint,
+  mcpServers,
   conversation = [],
   useLLMPlanner = false,
   preplannedToolPlan = null,
   eventEmitter = null,
+  samplingApproval = false,
+  signal,
 }) => {
   // MCP Agent 실행 핵심 루틴:
-  // initialize -> tools 조회 -> (선택/탐색) -> tools/call -> 결과 정규화
-  const targetUrl = resolveLocalMCPUrl({ localEndpoint });
+  // (세션 재사용) initialize -> tools 조회(federation 병합) -> (선택/탐색) -> tools/call -> 결과 정규화
+  const targets = resolveMCPTargets({ localEndpoint, mcpServers });
+  const targetUrl = targets[0].targetUrl;
   const emitEvent = (type, payload) => {
     if (typeof eventEmitter === 'function') {
       eventEmitter(type, payload || {});
     }
   };
-  emitEvent('progress', { step: 'start', targetUrl, useLLMPlanner, prompt });
-  console.log('[local-mcp call]', { prompt, targetUrl, useLLMPlanner });
-
-  const headers = buildMCPHeaders();
-
-  const requestId = String(Date.now());
-  const postToMCP = async (payload) => {
-    const response = await fetch(targetUrl, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload),
-    });
-    return safeParseResponse(response);
-  };
-
-  const initializePayload = {
-    jsonrpc: '2.0',
-    id: requestId,
-    method: 'initialize',
-    params: {
-      protocolVersion: '2025-11-25',
-      capabilities: {},
-    },
-  };
-
-  const init = await postToMCP(initializePayload);
-  if (init.status === 404) {
-    emitEvent('progress', { step: 'init_legacy_fallback', status: init.status });
-    const response = await fetch(targetUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        prompt,
-        conversation: resolveConversation(conversation),
-      }),
-    });
+  emitEvent('progress', {
+    step: 'start',
+    targetUrl,
+    servers: targets.length > 1 ? targets.map((target) => target.name) : undefined,
+    useLLMPlanner,
+    prompt,
+  });
+  console.log('[local-mcp call]', { prompt, targetUrl, servers: targets.length, useLLMPlanner });
+
+  const federation = await mcpFederation.connect(targets);
+  const [primaryEntry] = federation.entries;
+  if (!federation.namespaced && primaryEntry.init?.status === 404) {
+    emitEvent('progress', { step: 'init_legacy_fallback', status: primaryEntry.init.status });
+    const timeout = createTimeoutSignal(signal, LOCAL_MCP_TIMEOUT_MS);
+    let response;
+    let textFallback;
+    try {
+      response = await fetch(targetUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await mcpCredentials.getHeaders(targetUrl)),
+        },
+        body: JSON.stringify({
+          prompt,
+          conversation: resolveConversation(conversation),
+        }),
+        signal: timeout.signal,
+      });
+      textFallback = await response.text();
+    } catch (error) {
+      if (timeout.isTimedOut()) {
+        throw new Error(`로컬 MCP 응답 시간이 초과되었습니다. (${LOCAL_MCP_TIMEOUT_MS}ms)`, {
+          cause: error,
+        });
+      }
+      throw error;
+    } finally {
+      timeout.cleanup();
+    }
 
-    const textFallback = await response.text();
     let parsed = null;
     try {
       parsed = textFallback ? JSON.parse(textFallback) : null;
@@ -1158,89 +1569,112 @@ const callLocalMCP = async ({
     };
   }
 
-  if (init.status >= 400 || !init.parsed || init.parsed.jsonrpc !== '2.0') {
-    emitEvent('error', {
-      step: 'init_failed',
-      status: init.status,
-      error: init.parsed?.error || init.raw,
-    });
-    return {
-      status: init.status,
-      data: {
-        action: 'local-mcp',
-        answer: init.parsed?.error?.message || init.raw || '로컬 MCP 초기화에 실패했습니다.',
-      },
-    };
-  }
+  for (const entry of federation.entries) {
+    const serverTag = federation.namespaced ? { server: entry.name } : {};
+    if (!entry.session?.ok) {
+      emitEvent('error', {
+        step: 'init_failed',
+        ...serverTag,
+        status: entry.init?.status ?? entry.status,
+        error: entry.init?.parsed?.error || entry.init?.raw || entry.error,
+      });
+      continue;
+    }
 
-  const toolsPayload = {
-    jsonrpc: '2.0',
-    id: `${requestId}-tools`,
-    method: 'tools/list',
-    params: {},
-  };
+    emitEvent('progress', {
+      step: 'session_ready',
+      ...serverTag,
+      sessionId: entry.session.sessionId,
+      protocolVersion: entry.session.protocolVersion,
+      transport: entry.session.transportKind,
+    });
 
-  const manifestAttempt = await fetchManifest(targetUrl, headers);
-  emitEvent('progress', {
-    step: 'manifest_fetch',
-    status: manifestAttempt.status,
-    source: manifestAttempt.source,
-    count: manifestAttempt.data?.tools?.length || 0,
-  });
-  const manifestTools = Array.isArray(manifestAttempt.data?.tools)
-    ? manifestAttempt.data.tools
-    : [];
-  let toolList = [];
-  let tools = manifestTools;
-  const fallbackUsed = manifestTools.length === 0;
-
-  if (tools.length > 0) {
-    const toolsResponse = await postToMCP(toolsPayload);
-    if (toolsResponse.status < 400 && Array.isArray(toolsResponse.parsed?.result?.tools)) {
-      toolList = toolsResponse.parsed.result.tools;
-      tools = mergeToolSpecs(manifestTools, toolList);
+    const entryManifest = entry.toolContext.manifestAttempt;
+    emitEvent('progress', {
+      step: 'manifest_fetch',
+      ...serverTag,
+      status: entryManifest.status,
+      source: entryManifest.source,
+      count: entryManifest.data?.tools?.length || 0,
+    });
+    if (!entry.toolContext.ok) {
+      emitEvent('error', {
+        step: 'tools_list_failed',
+        ...serverTag,
+        status: entry.toolContext.toolsStatus,
+        error: entry.toolContext.rawError,
+      });
+    } else if (entry.toolContext.toolsListed) {
       emitEvent('progress', {
         step: 'tools_list',
-        status: toolsResponse.status,
-        toolCount: toolList.length,
-        mergedFromManifest: true,
+        ...serverTag,
+        status: entry.toolContext.toolsStatus,
+        toolCount: entry.toolContext.toolList.length,
+        mergedFromManifest: !entry.toolContext.fallbackUsed,
       });
     }
-  } else {
-    const toolsResponse = await postToMCP(toolsPayload);
-    if (toolsResponse.status >= 400 || !Array.isArray(toolsResponse.parsed?.result?.tools)) {
-      emitEvent('error', {
-        step: 'tools_list_failed',
-        status: toolsResponse.status,
-        error: toolsResponse.parsed?.error || toolsResponse.raw,
-      });
+  }
+
+  const readyEntry = federation.entries.find((entry) => entry.ok);
+  if (!readyEntry) {
+    if (federation.namespaced) {
       return {
-        status: toolsResponse.status || 500,
+        status: 502,
         data: {
           action: 'local-mcp',
-          answer:
-            toolsResponse.parsed?.error?.message ||
-            toolsResponse.raw ||
-            '로컬 MCP 도구 목록 조회 실패',
+          answer: `연결된 MCP 서버를 모두 사용할 수 없습니다: ${federation.servers
+            .map((server) => `${server.name}(${server.error || server.status})`)
+            .join(', ')}`,
         },
       };
     }
 
-    toolList = toolsResponse.parsed.result.tools;
-    tools = toolList;
-    emitEvent('progress', {
-      step: 'tools_list',
-      status: toolsResponse.status,
-      toolCount: toolList.length,
-      mergedFromManifest: false,
-    });
+    if (!primaryEntry.session?.ok) {
+      const init = primaryEntry.init;
+      if (init.status === 401) {
+        return {
+          status: 401,
+          data: {
+            action: 'local-mcp',
+            answer:
+              'MCP 서버가 인증을 요구합니다. 연결 설정 화면에서 서버 인증을 진행하거나 LOCAL_MCP_CREDENTIALS를 확인해 주세요.',
+            requiresInput: true,
+            missing: 'authorization',
+          },
+        };
+      }
+      return {
+        status: init.status,
+        data: {
+          action: 'local-mcp',
+          answer: init.parsed?.error?.message || init.raw || '로컬 MCP 초기화에 실패했습니다.',
+        },
+      };
+    }
+
+    return {
+      status: primaryEntry.toolContext.status,
+      data: {
+        action: 'local-mcp',
+        answer: primaryEntry.toolContext.error || '로컬 MCP 도구 목록 조회 실패',
+      },
+    };
   }
 
+  const manifestAttempt = readyEntry.toolContext.manifestAttempt;
+  const manifestTools = Array.isArray(manifestAttempt.data?.tools)
+    ? manifestAttempt.data.tools
+    : [];
+  const toolList = readyEntry.toolContext.toolList;
+  const tools = federation.tools;
+  const fallbackUsed = readyEntry.toolContext.fallbackUsed;
+
   const toolPlan =
-    preplannedToolPlan || (useLLMPlanner ? await planMCPToolCall(prompt, tools) : null);
+    preplannedToolPlan || (useLLMPlanner ? await planMCPToolCall(prompt, tools, signal) : null);
   emitEvent('plan', {
     step: 'tool_plan',
     hasPlan: !!toolPlan,
+    planner: toolPlan?.planner,
     tool: toolPlan?.tool || null,
     routedQuery: toolPlan?.routedQuery,
     explanation: toolPlan?.explanation,
@@ -1253,22 +1687,74 @@ const callLocalMCP = async ({
     routedQuery: toolPlan?.routedQuery,
   });
   const routedQuery = toolPlan?.routedQuery || prompt;
+  const outputSchemaMismatches = [];
   const callTool = async (toolName, toolArguments, requestType = 'primary') => {
-    const callPayload = {
-      jsonrpc: '2.0',
-      id: `${requestId}-${requestType}`,
-      method: 'tools/call',
-      params: {
-        name: toolName,
-        arguments: toolArguments,
+    const route = federation.routes.get(toolName);
+    const result = await federation.callTool(toolName, toolArguments, requestType, {
+      signal,
+      // 서버의 notifications/progress는 도착 즉시 tool_progress 이벤트로 전달한다.
+      onProgress: (params) => {
+        emitEvent('tool_progress', {
+          progressToken: params.progressToken,
+          tool: toolName,
+          server: federation.namespaced ? route?.entry.name : undefined,
+          requestType,
+          progress: typeof params.progress === 'number' ? params.progress : 0,
+          total: typeof params.total === 'number' ? params.total : null,
+          message: typeof params.message === 'string' ? params.message : '',
+        });
       },
-    };
+      onRetry: (retry) => {
+        emitEvent('retry', { tool: toolName, requestType, ...retry });
+      },
+      // 도구 실행 중 서버가 보낸 sampling/elicitation 요청은 이 채팅 스트림으로 알리고 응답을 받는다.
+      // 스트림이 없으면 승인 요청이나 입력 폼을 보여 줄 곳이 없으므로 context를 넘기지 않는다.
+      // 그러면 sampling은 승인이 필요할 때 바로 거절되고, elicitation은 바로 cancel로 답한다.
+      context:
+        typeof eventEmitter === 'function'
+          ? {
+              sampling: { emit: emitEvent, requireApproval: samplingApproval === true, signal },
+              elicitation: { emit: emitEvent, signal },
+            }
+          : {},
+    });
+    // 같은 배열에 담긴 서버 요청(id가 있는 sampling/createMessage, elicitation/create)은
+    // 각 핸들러가 미리보기 형태로 이미 알렸으므로 다시 보내지 않는다.
+    for (const notification of result.notifications || []) {
+      if (notification.method === 'notifications/progress' || notification.id !== undefined) {
+        continue;
+      }
+      emitEvent('progress', {
+        step: 'server_notification',
+        requestType,
+        method: notification.method,
+        params: notification.params || {},
+      });
+    }
 
-    const result = await postToMCP(callPayload);
+    // structuredContent가 도구 outputSchema와 다르면 planTrace에 기록한다(응답은 그대로 사용).
+    const outputSchema = findToolByName(tools, toolName)?.outputSchema;
+    const structuredContent = result.parsed?.result?.structuredContent;
+    if (outputSchema && structuredContent !== undefined && !result.parsed?.result?.isError) {
+      const outputValidation = validateJsonSchema(outputSchema, structuredContent);
+      if (!outputValidation.valid) {
+        outputSchemaMismatches.push({
+          tool: toolName,
+          requestType,
+          errors: outputValidation.errors,
+        });
+        emitEvent('progress', {
+          step: 'output_schema_mismatch',
+          tool: toolName,
+          requestType,
+          errors: outputValidation.errors,
+        });
+      }
+    }
     return result;
   };
   const selectedTool = toolPlan?.tool
-    ? tools.find((tool) => tool?.name === toolPlan.tool)
+    ? findToolByName(tools, toolPlan.tool)
     : chooseBestTool(tools, prompt);
 
   if (!selectedTool) {
@@ -1304,6 +1790,9 @@ const callLocalMCP = async ({
     toolListCount: toolList.length,
     toolUsed: selectedTool?.name || null,
     toolArguments: args,
+    argumentValidation: null,
+    outputSchemaMismatches,
+    ...(federation.namespaced ? { servers: federation.servers } : {}),
     discovery: {
       requested: toolPlan?.discovery || null,
       attempts: [],
@@ -1421,6 +1910,85 @@ const callLocalMCP = async ({
     };
   }
 
+  // 계획된 인자를 inputSchema로 검증하고, 위반이 있으면 planner에게 1회 교정을 맡긴다.
+  const inputValidation = validateJsonSchema(selectedTool?.inputSchema, args);
+  planTrace.argumentValidation = {
+    valid: inputValidation.valid,
+    errors: inputValidation.errors,
+    repair: null,
+  };
+  if (!inputValidation.valid) {
+    emitEvent('progress', {
+      step: 'arguments_invalid',
+      tool: selectedTool?.name,
+      errors: inputValidation.errors,
+    });
+
+    let repairedArgs = null;
+    let repairError = null;
+    try {
+      repairedArgs = await repairToolArguments({
+        prompt: routedQuery,
+        tool: selectedTool,
+        toolArguments: args,
+        errors: inputValidation.errors,
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      repairError = error instanceof Error ? error.message : 'argument_repair_failed';
+    }
+
+    const repairedSanitized = repairedArgs
+      ? sanitizeToolArguments(selectedTool, routedQuery, repairedArgs, toolPlan?.routedQuery)
+      : null;
+    const repairValidation = repairedSanitized
+      ? validateJsonSchema(selectedTool?.inputSchema, repairedSanitized)
+      : null;
+    planTrace.argumentValidation.repair = {
+      attempted: true,
+      arguments: repairedSanitized,
+      valid: repairValidation?.valid === true,
+      errors: repairValidation?.errors || [],
+      error: repairError || (repairedArgs ? null : 'repair_unparseable'),
+    };
+    emitEvent('progress', {
+      step: 'arguments_repair',
+      tool: selectedTool?.name,
+      valid: repairValidation?.valid === true,
+      args: repairedSanitized,
+    });
+
+    if (repairValidation?.valid !== true) {
+      const remainingErrors = repairValidation?.errors || inputValidation.errors;
+      emitEvent('error', {
+        step: 'arguments_invalid',
+        tool: selectedTool?.name,
+        errors: remainingErrors,
+      });
+      return {
+        status: 422,
+        data: {
+          action: 'local-mcp',
+          answer: `${selectedTool?.name} 도구 인자가 스키마와 맞지 않아 호출하지 않았습니다. 필요한 값을 알려 주세요.\n${formatSchemaErrors(remainingErrors)}`,
+          tool: selectedTool?.name,
+          requiresInput: true,
+          missing: 'arguments',
+          validationErrors: remainingErrors,
+          routedQuery,
+          explanation: toolPlan?.explanation,
+          arguments: args,
+          planTrace,
+        },
+      };
+    }
+
+    args = repairedSanitized;
+    planTrace.toolArguments = args;
+  }
+
   let callResult = await callTool(selectedTool?.name, args, 'primary');
   emitEvent('progress', {
     step: 'tool_call',
@@ -1718,31 +2286,119 @@ const { A2A_PROTOCOL_VERSION, runOrchestration, runOutputAgentStream } = createO
   localMcpEndpoint: LOCAL_MCP_ENDPOINT,
   buildRouteDecisionPrompt,
   chatOnlyPrompt: CHAT_ONLY_PROMPT,
-  callOpenAI,
+  callLLM,
+  callLLMStructured: llm.callLLMStructured,
+  callLLMWithTools: llm.callLLMWithTools,
+  supportsToolCalling: () => llm.supportsToolCalling(),
   callLocalMCP,
   resolveConversation,
   proxyResponse,
   planExecutionFromManifest,
+  collectToolContext: collectMCPToolContext,
+  collectResourceGrounding: ({ prompt, localEndpoint, mcpServers, signal }) =>
+    mcpResources.collectGrounding(resolveMCPTargets({ localEndpoint, mcpServers }), {
+      query: prompt,
+      limit: LOCAL_MCP_RESOURCE_GROUNDING_LIMIT,
+      signal,
+    }),
   shouldRetryForPathIssue,
   buildRetryExecutionPlan,
   evaluateGitHubPRReadiness,
   parseRoutePlan,
   streamText,
   writeSSE,
+  createTimeoutSignal,
+  conversationContext: createConversationContext({
+    maxMessages: LLM_CONVERSATION_WINDOW,
+    maxReferences: LLM_CONVERSATION_REFERENCES,
+    maxTokens: LLM_CONTEXT_HISTORY_TOKENS,
+  }),
+  contextBudget: createContextBudget({
+    historyTokens: LLM_CONTEXT_HISTORY_TOKENS,
+    resultTokens: LLM_CONTEXT_RESULT_TOKENS,
+  }),
+  outputSchemas: {
+    routeDecision: ROUTE_DECISION_SCHEMA,
+    evaluation: EVALUATION_SCHEMA,
+  },
+  agentLoop: {
+    enabled: LOCAL_MCP_AGENT_LOOP,
+    maxSteps: LOCAL_MCP_AGENT_LOOP_MAX_STEPS,
+    timeBudgetMs: LOCAL_MCP_AGENT_LOOP_TIME_BUDGET_MS,
+  },
 });
 
-app.post('/api/mcp/chat/stream', async (req, res) => {
-  // 스트리밍 엔드포인트: 오케스트레이션 결과를 SSE(delta/final/done)로 전송
-  const { prompt, localEndpoint, conversation } = req.body || {};
+/**
+ * 응답을 끝내기 전에 클라이언트 연결이 닫히면 abort되는 signal.
+ * 오케스트레이션 전체(OpenAI 호출, MCP tools/call, workflow step)에 전달한다.
+ */
+const createClientAbortSignal = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
 
-  if (!OPENAI_API_KEY) {
-    res.status(500).json({
-      error: 'OPENAI_API_KEY가 환경변수에 설정되어 있지 않습니다.',
+/**
+ * 요청 body의 llmProvider(없으면 기본 provider)를 쓸 수 있는지 확인한다.
+ * LLM_OFFLINE=on이거나, auto인데 provider에 API 키가 없으면 오프라인(규칙 기반)으로 처리한다.
+ */
+const resolveLLMProvider = (body) => {
+  const provider =
+    typeof body?.llmProvider === 'string' && body.llmProvider.trim()
+      ? body.llmProvider.trim()
+      : LLM_PROVIDER;
+  if (LLM_OFFLINE === 'on') {
+    return { provider, offline: true };
+  }
+  if (!llm.hasProvider(provider)) {
+    return { status: 400, error: `설정되지 않은 LLM provider입니다: ${provider}` };
+  }
+  if (!llm.isConfigured(provider)) {
+    if (LLM_OFFLINE === 'auto') {
+      return { provider, offline: true };
+    }
+    return { status: 500, error: `${provider} provider의 API 키가 설정되어 있지 않습니다.` };
+  }
+  return { provider, offline: false };
+};
+
+app.get('/api/llm/providers', (req, res) => {
+  res.json({
+    defaultProvider: LLM_PROVIDER,
+    offline: LLM_OFFLINE,
+    providers: llm.listProviders(),
+  });
+});
+
+/**
+ * 채팅 엔드포인트의 LLM 사용량/비용을 날짜(UTC)별, 엔드포인트별로 합산해 응답한다. ?days=7 (오늘 포함)
+ */
+app.get('/api/llm/usage', (req, res) => {
+  res.json({
+    ...usageLedger.report({ days: Number(req.query.days ?? 7) }),
+    retentionDays: LLM_USAGE_RETENTION_DAYS,
+    pricedModels: Object.keys(LLM_PRICING),
+  });
+});
+
+app.post('/api/mcp/chat/stream', async (req, res) => {
+  // 스트리밍 엔드포인트: writer 토큰을 delta로 바로 보내고, 끝나면 final/done을 전송
+  const { localEndpoint, mcpServers, mcpPrompt, samplingApproval, agentLoop, conversationSummary } =
+    req.body || {};
+
+  const llmSelection = resolveLLMProvider(req.body);
+  if (llmSelection.error) {
+    res.status(llmSelection.status).json({
+      error: llmSelection.error,
     });
     return;
   }
 
-  if (!prompt || typeof prompt !== 'string') {
+  if (!mcpPrompt && (!req.body?.prompt || typeof req.body.prompt !== 'string')) {
     res.status(400).json({
       error: 'prompt는 필수 문자열입니다.',
     });
@@ -1760,6 +2416,26 @@ app.post('/api/mcp/chat/stream', async (req, res) => {
     return;
   }
 
+  const mcpServersError = validateMCPServers(mcpServers);
+  if (mcpServersError) {
+    res.status(400).json({
+      error: mcpServersError,
+    });
+    return;
+  }
+
+  const { prompt, conversation, expandedPrompt, ...expansion } = await expandMCPPromptRequest({
+    ...req.body,
+    localEndpoint,
+    mcpServers,
+  });
+  if (!expansion.ok) {
+    res.status(expansion.status).json({
+      error: expansion.error,
+    });
+    return;
+  }
+
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
@@ -1774,13 +2450,37 @@ app.post('/api/mcp/chat/stream', async (req, res) => {
     writeSSE(res, event, payload);
   };
 
+  if (expandedPrompt) {
+    emit('prompt_expanded', expandedPrompt);
+  }
+
+  const signal = createClientAbortSignal(res);
   try {
-    const orchestration = await runOrchestration({
-      prompt,
-      localEndpoint,
-      conversation,
-      emit,
-    });
+    const {
+      result: orchestration,
+      usage,
+      structuredOutput,
+    } = await llm.runWithProvider(
+      llmSelection.provider,
+      () =>
+        runOrchestration({
+          prompt,
+          localEndpoint,
+          mcpServers,
+          conversation,
+          emit,
+          samplingApproval: samplingApproval === true,
+          streamAnswer: true,
+          agentLoop: typeof agentLoop === 'boolean' ? agentLoop : undefined,
+          conversationSummary,
+          offline: llmSelection.offline,
+          signal,
+        }),
+      {
+        onUsage: (usage) => usageLedger.record(req.path, usage),
+        offline: llmSelection.offline,
+      },
+    );
     runOutputAgentStream({
       res,
       response: {
@@ -1793,6 +2493,11 @@ app.post('/api/mcp/chat/stream', async (req, res) => {
           executionPlan: orchestration.executionPlan,
           retried: orchestration.retried,
           workflow: orchestration.workflowState,
+          agentLoop: orchestration.agentLoop,
+          offline: orchestration.offline,
+          conversation: orchestration.conversation,
+          contextBudget: orchestration.contextBudget || [],
+          structuredOutput,
           manifest: {
             ok: orchestration.manifestContext?.ok === true,
             status:
@@ -1800,14 +2505,23 @@ app.post('/api/mcp/chat/stream', async (req, res) => {
               orchestration.manifestContext?.status ||
               0,
             source: orchestration.manifestContext?.manifestAttempt?.source || null,
+            servers: orchestration.manifestContext?.servers || [],
           },
+          grounding: orchestration.grounding || [],
+          prompt: expandedPrompt,
+          llm: usage,
         },
       },
       requestId: orchestration.requestId,
       emit,
+      streamed: orchestration.answerStreamed === true,
     });
     res.end();
   } catch (error) {
+    if (signal.aborted) {
+      console.log('[http] client disconnected, orchestration aborted', { path: req.path });
+      return;
+    }
     const message = error instanceof Error ? error.message : '요청 처리 중 오류가 발생했습니다.';
     emit('error', { message });
     emit('done', { ok: false });
@@ -1817,16 +2531,17 @@ app.post('/api/mcp/chat/stream', async (req, res) => {
 
 app.post('/api/mcp/chat', async (req, res) => {
   // 비스트리밍 엔드포인트: 동일 오케스트레이션 경로를 JSON 응답으로 반환
-  const { prompt, localEndpoint, conversation } = req.body || {};
+  const { localEndpoint, mcpServers, mcpPrompt, agentLoop, conversationSummary } = req.body || {};
 
-  if (!OPENAI_API_KEY) {
-    res.status(500).json({
-      error: 'OPENAI_API_KEY가 환경변수에 설정되어 있지 않습니다.',
+  const llmSelection = resolveLLMProvider(req.body);
+  if (llmSelection.error) {
+    res.status(llmSelection.status).json({
+      error: llmSelection.error,
     });
     return;
   }
 
-  if (!prompt || typeof prompt !== 'string') {
+  if (!mcpPrompt && (!req.body?.prompt || typeof req.body.prompt !== 'string')) {
     res.status(400).json({
       error: 'prompt는 필수 문자열입니다.',
     });
@@ -1844,12 +2559,50 @@ app.post('/api/mcp/chat', async (req, res) => {
     return;
   }
 
-  try {
-    const orchestration = await runOrchestration({
-      prompt,
-      localEndpoint,
-      conversation,
+  const mcpServersError = validateMCPServers(mcpServers);
+  if (mcpServersError) {
+    res.status(400).json({
+      error: mcpServersError,
+    });
+    return;
+  }
+
+  const { prompt, conversation, expandedPrompt, ...expansion } = await expandMCPPromptRequest({
+    ...req.body,
+    localEndpoint,
+    mcpServers,
+  });
+  if (!expansion.ok) {
+    res.status(expansion.status).json({
+      error: expansion.error,
     });
+    return;
+  }
+
+  const signal = createClientAbortSignal(res);
+  try {
+    const {
+      result: orchestration,
+      usage,
+      structuredOutput,
+    } = await llm.runWithProvider(
+      llmSelection.provider,
+      () =>
+        runOrchestration({
+          prompt,
+          localEndpoint,
+          mcpServers,
+          conversation,
+          agentLoop: typeof agentLoop === 'boolean' ? agentLoop : undefined,
+          conversationSummary,
+          offline: llmSelection.offline,
+          signal,
+        }),
+      {
+        onUsage: (usage) => usageLedger.record(req.path, usage),
+        offline: llmSelection.offline,
+      },
+    );
     res.json({
       ...orchestration.response,
       agentTrace: {
@@ -1860,6 +2613,11 @@ app.post('/api/mcp/chat', async (req, res) => {
         executionPlan: orchestration.executionPlan,
         retried: orchestration.retried,
         workflow: orchestration.workflowState,
+        agentLoop: orchestration.agentLoop,
+        offline: orchestration.offline,
+        conversation: orchestration.conversation,
+        contextBudget: orchestration.contextBudget || [],
+        structuredOutput,
         manifest: {
           ok: orchestration.manifestContext?.ok === true,
           status:
@@ -1867,10 +2625,18 @@ app.post('/api/mcp/chat', async (req, res) => {
             orchestration.manifestContext?.status ||
             0,
           source: orchestration.manifestContext?.manifestAttempt?.source || null,
+          servers: orchestration.manifestContext?.servers || [],
         },
+        grounding: orchestration.grounding || [],
+        prompt: expandedPrompt,
+        llm: usage,
       },
     });
   } catch (error) {
+    if (signal.aborted) {
+      console.log('[http] client disconnected, orchestration aborted', { path: req.path });
+      return;
+    }
     const message = error instanceof Error ? error.message : '요청 처리 중 오류가 발생했습니다.';
     res.status(500).json({
       action: 'local-mcp',
@@ -1898,15 +2664,30 @@ app.post('/api/mcp/query', async (req, res) => {
     });
     return;
   }
+  const mcpServersError = validateMCPServers(req.body?.mcpServers);
+  if (mcpServersError) {
+    res.status(400).json({
+      error: mcpServersError,
+    });
+    return;
+  }
+
+  const signal = createClientAbortSignal(res);
   try {
     const localResult = await callLocalMCP({
       prompt,
       localEndpoint: targetUrl,
+      mcpServers: req.body?.mcpServers,
       conversation: req.body?.conversation,
+      signal,
     });
 
     res.json(proxyResponse(localResult));
   } catch (error) {
+    if (signal.aborted) {
+      console.log('[http] client disconnected, orchestration aborted', { path: req.path });
+      return;
+    }
     const message =
       error instanceof Error ? error.message : '로컬 MCP 통신 중 오류가 발생했습니다.';
     res.status(500).json({
@@ -1916,6 +2697,342 @@ app.post('/api/mcp/query', async (req, res) => {
   }
 });
 
+/**
+ * GET 라우트 공통: localEndpoint / mcpServers(JSON) 쿼리를 연결 대상으로 변환한다.
+ */
+const resolveQueryTargets = (req, res) => {
+  let mcpServers;
+  if (typeof req.query.mcpServers === 'string' && req.query.mcpServers.trim()) {
+    try {
+      mcpServers = JSON.parse(req.query.mcpServers);
+    } catch {
+      res.status(400).json({
+        error: 'mcpServers는 JSON 배열 문자열이어야 합니다.',
+      });
+      return null;
+    }
+  }
+
+  const mcpServersError = validateMCPServers(mcpServers);
+  if (mcpServersError) {
+    res.status(400).json({
+      error: mcpServersError,
+    });
+    return null;
+  }
+
+  return resolveMCPTargets({
+    localEndpoint: resolveLocalMCPUrl({ localEndpoint: req.query.localEndpoint }),
+    mcpServers,
+  });
+};
+
+/**
+ * planner가 사용하는 것과 같은 세션 캐시에서 병합된 도구 카탈로그를 응답한다.
+ */
+const respondToolCatalog = async (res, { targets, refreshTools = false }) => {
+  try {
+    const federation = await mcpFederation.connect(targets, { refreshTools });
+    res.json({
+      namespaced: federation.namespaced,
+      ttlMs: LOCAL_MCP_TOOLS_TTL_MS,
+      servers: federation.servers,
+      tools: federation.catalog,
+    });
+  } catch (error) {
+    res.status(502).json({
+      error: error instanceof Error ? error.message : '도구 목록을 불러오지 못했습니다.',
+    });
+  }
+};
+
+app.get('/api/mcp/tools', async (req, res) => {
+  const targets = resolveQueryTargets(req, res);
+  if (!targets) {
+    return;
+  }
+
+  await respondToolCatalog(res, { targets });
+});
+
+app.post('/api/mcp/tools/refresh', async (req, res) => {
+  const mcpServersError = validateMCPServers(req.body?.mcpServers);
+  if (mcpServersError) {
+    res.status(400).json({
+      error: mcpServersError,
+    });
+    return;
+  }
+
+  // 다른 endpoint 캐시도 함께 비우고, 요청한 대상은 즉시 다시 조회한다.
+  mcpSessions.invalidateTools();
+  await respondToolCatalog(res, {
+    targets: resolveMCPTargets({
+      localEndpoint: resolveLocalMCPUrl(req.body),
+      mcpServers: req.body?.mcpServers,
+    }),
+    refreshTools: true,
+  });
+});
+
+app.get('/api/mcp/resources', async (req, res) => {
+  const targets = resolveQueryTargets(req, res);
+  if (!targets) {
+    return;
+  }
+
+  try {
+    const listing = await mcpResources.listResources(targets, {
+      refresh: req.query.refresh === 'true',
+    });
+    res.json({
+      servers: listing.servers,
+      resources: listing.resources,
+      templates: listing.templates,
+    });
+  } catch (error) {
+    res.status(502).json({
+      error: error instanceof Error ? error.message : 'resource 목록을 불러오지 못했습니다.',
+    });
+  }
+});
+
+app.get('/api/mcp/resources/read', async (req, res) => {
+  const uri = typeof req.query.uri === 'string' ? req.query.uri.trim() : '';
+  if (!uri) {
+    res.status(400).json({
+      error: 'uri는 필수 문자열입니다.',
+    });
+    return;
+  }
+
+  const targets = resolveQueryTargets(req, res);
+  if (!targets) {
+    return;
+  }
+
+  try {
+    const read = await mcpResources.readResource(targets, {
+      uri,
+      server: typeof req.query.server === 'string' ? req.query.server : undefined,
+    });
+    res.status(read.ok ? 200 : read.status).json(read);
+  } catch (error) {
+    res.status(502).json({
+      error: error instanceof Error ? error.message : 'resource를 읽지 못했습니다.',
+    });
+  }
+});
+
+app.get('/api/mcp/prompts', async (req, res) => {
+  const targets = resolveQueryTargets(req, res);
+  if (!targets) {
+    return;
+  }
+
+  try {
+    const listing = await mcpServerPrompts.listPrompts(targets, {
+      refresh: req.query.refresh === 'true',
+    });
+    res.json({
+      namespaced: listing.namespaced,
+      servers: listing.servers,
+      prompts: listing.prompts,
+    });
+  } catch (error) {
+    res.status(502).json({
+      error: error instanceof Error ? error.message : 'prompt 목록을 불러오지 못했습니다.',
+    });
+  }
+});
+
+app.post('/api/mcp/prompts/get', async (req, res) => {
+  const { name, server } = req.body || {};
+  if (!name || typeof name !== 'string') {
+    res.status(400).json({
+      error: 'name은 필수 문자열입니다.',
+    });
+    return;
+  }
+
+  const mcpServersError = validateMCPServers(req.body?.mcpServers);
+  if (mcpServersError) {
+    res.status(400).json({
+      error: mcpServersError,
+    });
+    return;
+  }
+
+  try {
+    const result = await mcpServerPrompts.getPrompt(
+      resolveMCPTargets({
+        localEndpoint: resolveLocalMCPUrl(req.body),
+        mcpServers: req.body?.mcpServers,
+      }),
+      {
+        name,
+        server: typeof server === 'string' ? server : undefined,
+        arguments: req.body?.arguments || {},
+      },
+    );
+    res.status(result.ok ? 200 : result.status).json({
+      ...result,
+      expanded: result.ok ? expandPromptMessages(result.messages) : null,
+    });
+  } catch (error) {
+    res.status(502).json({
+      error: error instanceof Error ? error.message : 'prompt를 불러오지 못했습니다.',
+    });
+  }
+});
+
+app.get('/api/mcp/stdio', (_, res) => {
+  res.json({
+    prefix: STDIO_ENDPOINT_PREFIX,
+    servers: stdioServers.list(),
+  });
+});
+
+app.post('/api/mcp/sampling/:id/decision', (req, res) => {
+  // 채팅 스트림의 sampling_request(approvalRequired)에 대한 사용자 승인/거절
+  const approved = req.body?.approved;
+  if (typeof approved !== 'boolean') {
+    res.status(400).json({
+      error: 'approved는 필수 boolean입니다.',
+    });
+    return;
+  }
+  if (!mcpSampling.decide(req.params.id, approved)) {
+    res.status(404).json({
+      error: '승인 대기 중인 sampling 요청이 아닙니다.',
+    });
+    return;
+  }
+  res.json({ ok: true, samplingId: req.params.id, approved });
+});
+
+app.post('/api/mcp/elicitation/:id/response', (req, res) => {
+  // 채팅 스트림의 elicitation_request에 대한 사용자 입력(accept/decline/cancel)
+  const result = mcpElicitation.respond(req.params.id, {
+    action: req.body?.action,
+    content: req.body?.content,
+  });
+  if (!result.ok) {
+    res.status(result.status).json({
+      error: result.error,
+      validationErrors: result.errors,
+    });
+    return;
+  }
+  res.json({ ok: true, elicitationId: req.params.id, action: req.body.action });
+});
+
+app.get('/api/mcp/auth/status', async (req, res) => {
+  // 연결 설정 화면이 인가 단계가 필요한 서버를 표시하기 위해 사용한다.
+  const targets = resolveQueryTargets(req, res);
+  if (!targets) {
+    return;
+  }
+
+  const servers = await Promise.all(
+    targets.map(async (target) => ({
+      name: target.name,
+      ...(await mcpCredentials.getStatus(target.targetUrl)),
+    })),
+  );
+  res.json({ servers });
+});
+
+app.post('/api/mcp/auth/authorize', async (req, res) => {
+  const endpoint = typeof req.body?.endpoint === 'string' ? req.body.endpoint.trim() : '';
+  if (!endpoint) {
+    res.status(400).json({
+      error: 'endpoint는 필수 문자열입니다.',
+    });
+    return;
+  }
+
+  try {
+    const authorization = await mcpCredentials.startAuthorization(
+      resolveLocalMCPUrl({ localEndpoint: endpoint }),
+    );
+    res.json(authorization);
+  } catch (error) {
+    res.status(502).json({
+      error: error instanceof Error ? error.message : 'OAuth 인가를 시작하지 못했습니다.',
+    });
+  }
+});
+
+app.get('/api/mcp/auth/callback', async (req, res) => {
+  // 인가 서버가 돌려보낸 팝업 창에서 토큰을 교환한 뒤, 결과를 연결 설정 화면으로 전달하고 창을 닫는다.
+  let result;
+  try {
+    const authorized = await mcpCredentials.completeAuthorization({
+      state: String(req.query.state || ''),
+      code: typeof req.query.code === 'string' ? req.query.code : '',
+      error: typeof req.query.error === 'string' ? req.query.error : '',
+      errorDescription:
+        typeof req.query.error_description === 'string' ? req.query.error_description : '',
+    });
+    result = { type: 'mcp-oauth', ok: true, endpoint: authorized.endpoint };
+  } catch (error) {
+    result = {
+      type: 'mcp-oauth',
+      ok: false,
+      error: error instanceof Error ? error.message : 'OAuth 인가에 실패했습니다.',
+    };
+  }
+
+  const payload = JSON.stringify(result).replace(/</g, '\\u003c');
+  res
+    .status(result.ok ? 200 : 400)
+    .type('html')
+    .send(
+      `<!doctype html><meta charset="utf-8"><p>${result.ok ? '인증이 완료되었습니다. 창을 닫아도 됩니다.' : '인증에 실패했습니다.'}</p><script>window.opener?.postMessage(${payload}, ${JSON.stringify(FRONT_ORIGIN)});window.close();</script>`,
+    );
+});
+
+app.post('/api/mcp/auth/signout', async (req, res) => {
+  const endpoint = typeof req.body?.endpoint === 'string' ? req.body.endpoint.trim() : '';
+  if (!endpoint) {
+    res.status(400).json({
+      error: 'endpoint는 필수 문자열입니다.',
+    });
+    return;
+  }
+
+  const targetUrl = resolveLocalMCPUrl({ localEndpoint: endpoint });
+  const signedOut = mcpCredentials.signOut(targetUrl);
+  await mcpSessions.closeSession(targetUrl);
+  res.json({ ok: true, signedOut });
+});
+
+app.post('/api/mcp/stdio/:name/restart', async (req, res) => {
+  const supervisor = stdioServers.get(req.params.name);
+  if (!supervisor) {
+    res.status(404).json({
+      error: '등록되지 않은 stdio MCP 서버입니다.',
+    });
+    return;
+  }
+
+  supervisor.reset();
+  mcpSessions.resetCircuit(`${STDIO_ENDPOINT_PREFIX}${req.params.name}`);
+  await mcpSessions.closeSession(`${STDIO_ENDPOINT_PREFIX}${req.params.name}`);
+  res.json({ ok: true, server: supervisor.describe() });
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    stdioServers.stopAll();
+    process.exit(0);
+  });
+}
+
 app.listen(PORT, () => {
   console.log(`[local-mcp-bridge] listening on http://localhost:${PORT}`);
+  if (LLM_FIXTURES) {
+    console.log(`[llm] fixture ${LLM_FIXTURES} 모드 (${LLM_FIXTURES_DIR})`);
+  }
 });
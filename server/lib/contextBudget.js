@@ -0,0 +1,183 @@
+/**
+ * LLM 프롬프트 토큰 예산.
+ * - 토크나이저 없이 토큰 수를 어림한다(한글/CJK는 글자당 1, 그 외는 4글자당 1).
+ * - 큰 도구 결과는 긴 문자열을 자르고, 큰 배열은 관련도 순으로 골라 예산 안으로 줄인다.
+ * - 줄인 내역(dropped)을 돌려줘 호출자가 trace에 남길 수 있게 한다.
+ */
+const STRING_MAX_CHARS = 300;
+const TRUNCATION_MARK = '\n...(이하 생략: 토큰 예산 초과)';
+
+export const estimateTokens = (text) => {
+  const value = String(text ?? '');
+  let wide = 0;
+  for (const char of value) {
+    if (char.codePointAt(0) > 0x2e7f) {
+      wide += 1;
+    }
+  }
+  return Math.ceil(wide + (value.length - wide) / 4);
+};
+
+/**
+ * 텍스트를 maxTokens 안으로 자른다. 잘랐으면 truncated와 줄어든 토큰 수를 함께 돌려준다.
+ */
+export const truncateToTokens = (text, maxTokens) => {
+  const value = String(text ?? '');
+  const tokens = estimateTokens(value);
+  if (tokens <= maxTokens) {
+    return { text: value, truncated: false, tokens, droppedTokens: 0 };
+  }
+  let end = Math.floor((value.length * maxTokens) / tokens);
+  while (end > 0 && estimateTokens(value.slice(0, end)) > maxTokens) {
+    end = Math.floor(end * 0.9);
+  }
+  const kept = value.slice(0, end);
+  const keptTokens = estimateTokens(kept);
+  return {
+    text: `${kept}${TRUNCATION_MARK}`,
+    truncated: true,
+    tokens: keptTokens,
+    droppedTokens: tokens - keptTokens,
+  };
+};
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length >= 2);
+
+/**
+ * 배열 항목을 남길 우선순위로 정렬한 인덱스. score 필드가 있으면 그 값, 없으면 질의어와 겹치는 정도를 쓴다.
+ * 동점이면 원래 순서를 유지한다.
+ */
+const rankIndexes = (items, queryTokens) => {
+  const scoreOf = (item) => {
+    if (typeof item?.score === 'number') {
+      return item.score;
+    }
+    if (queryTokens.length === 0) {
+      return 0;
+    }
+    const haystack = JSON.stringify(item).toLowerCase();
+    return queryTokens.reduce((score, token) => (haystack.includes(token) ? score + 1 : score), 0);
+  };
+  return items
+    .map((item, index) => ({ index, score: scoreOf(item) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((entry) => entry.index);
+};
+
+// 가장 큰(직렬화 길이 기준) 2개 이상 항목 배열을 찾는다.
+const findLargestArray = (value, path = '$', best = null) => {
+  if (Array.isArray(value)) {
+    const size = JSON.stringify(value).length;
+    if (value.length > 1 && (!best || size > best.size)) {
+      best = { path, array: value, size };
+    }
+    value.forEach((item, index) => {
+      best = findLargestArray(item, `${path}[${index}]`, best);
+    });
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      best = findLargestArray(child, `${path}.${key}`, best);
+    }
+  }
+  return best;
+};
+
+const truncateStrings = (value, counter) => {
+  if (typeof value === 'string') {
+    if (value.length > STRING_MAX_CHARS) {
+      counter.count += 1;
+      return `${value.slice(0, STRING_MAX_CHARS)}...`;
+    }
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => truncateStrings(item, counter));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [key, truncateStrings(child, counter)]),
+    );
+  }
+  return value;
+};
+
+/**
+ * 도구 결과(JSON 값)를 maxTokens 안의 프롬프트 텍스트로 만든다.
+ * 1) 긴 문자열을 자르고 2) 가장 큰 배열부터 관련도 순으로 항목을 덜어내며(남은 항목은 원래 순서 유지)
+ * 3) 그래도 넘치면 직렬화한 텍스트를 자른다.
+ * @returns {{ text: string, dropped: Array<{ path: string, kept?: number, total?: number, truncatedStrings?: number, truncatedTokens?: number }> }}
+ */
+export const fitValueToTokens = (value, maxTokens, { query = '' } = {}) => {
+  const serialize = (input) =>
+    typeof input === 'string' ? input : JSON.stringify(input ?? null, null, 2);
+  const initial = serialize(value);
+  if (estimateTokens(initial) <= maxTokens) {
+    return { text: initial, dropped: [] };
+  }
+  if (!value || typeof value !== 'object') {
+    const truncated = truncateToTokens(initial, maxTokens);
+    return {
+      text: truncated.text,
+      dropped: [{ path: '$', truncatedTokens: truncated.droppedTokens }],
+    };
+  }
+
+  const dropped = [];
+  const counter = { count: 0 };
+  const working = truncateStrings(value, counter);
+  if (counter.count > 0) {
+    dropped.push({ path: '$', truncatedStrings: counter.count });
+  }
+
+  const queryTokens = tokenize(query);
+  // path -> 원래 항목 수 (같은 배열을 여러 번 줄여도 total은 처음 값으로 보고한다)
+  const originalSizes = new Map();
+  let text = serialize(working);
+  while (estimateTokens(text) > maxTokens) {
+    const largest = findLargestArray(working);
+    if (!largest) {
+      break;
+    }
+    const { array, path } = largest;
+    if (!originalSizes.has(path)) {
+      originalSizes.set(path, array.length);
+    }
+    const ratio = maxTokens / estimateTokens(text);
+    const keep = Math.max(1, Math.min(array.length - 1, Math.floor(array.length * ratio)));
+    const keptIndexes = new Set(rankIndexes(array, queryTokens).slice(0, keep));
+    const next = array.filter((item, index) => keptIndexes.has(index));
+    array.splice(0, array.length, ...next);
+    text = serialize(working);
+  }
+  for (const [path, total] of originalSizes) {
+    const kept = path
+      .replace(/^\$/, '')
+      .split(/\.|\[|\]/)
+      .filter(Boolean)
+      .reduce((node, key) => node?.[key], working);
+    dropped.push({ path, kept: Array.isArray(kept) ? kept.length : 0, total });
+  }
+
+  if (estimateTokens(text) > maxTokens) {
+    const truncated = truncateToTokens(text, maxTokens);
+    text = truncated.text;
+    dropped.push({ path: '$', truncatedTokens: truncated.droppedTokens });
+  }
+  return { text, dropped };
+};
+
+/**
+ * 설정된 예산으로 묶은 헬퍼. historyTokens는 이전 대화, resultTokens는 도구 결과/초안 한 덩어리의 예산이다.
+ */
+export const createContextBudget = ({ historyTokens = 1500, resultTokens = 6000 } = {}) => ({
+  historyTokens,
+  resultTokens,
+  estimate: estimateTokens,
+  fitResult: (value, { query, maxTokens = resultTokens } = {}) =>
+    fitValueToTokens(value, maxTokens, { query }),
+  fitText: (text, maxTokens = resultTokens) => truncateToTokens(text, maxTokens),
+});
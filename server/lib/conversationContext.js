@@ -0,0 +1,306 @@
+import { truncateToTokens } from './contextBudget.js';
+
+/**
+ * 후속 질문용 대화 컨텍스트.
+ * - 클라이언트가 보낸 conversation에서 최근 N개 메시지를 토큰 예산 안에서 남긴 창(window)을 만든다.
+ * - 창에서 밀려난 오래된 메시지는 누적 요약(running summary)으로 압축할 대상(overflow)으로 돌려준다.
+ * - 이전 답변에 붙어 온 도구 결과 요약(toolContext: 경로/검색 hit)을 지시어 해석용 참조로 모은다.
+ * - 이번 요청의 MCP 실행 결과를 다음 요청에서 참조할 수 있게 toolContext로 줄인다.
+ *
+ * 서버는 대화 상태를 보관하지 않는다. toolContext와 conversationSummary는 최종 응답으로 내려가고
+ * 클라이언트가 다음 요청에 그대로 실어 보낸다.
+ */
+// 메시지 1개가 창 예산을 혼자 차지하지 않도록 두는 상한(토큰)
+const MESSAGE_MAX_TOKENS = 400;
+const REFERENCE_MAX_PATHS = 20;
+const REFERENCE_MAX_HITS = 10;
+const REFERENCE_SNIPPET_MAX_CHARS = 120;
+const REFERENCE_ARGUMENT_MAX_CHARS = 200;
+// 도구 결과에서 경로로 취급할 키
+const PATH_KEYS = new Set(['path', 'paths', 'output_path', 'sources']);
+
+const truncate = (text, limit) =>
+  text.length > limit ? `${text.slice(0, limit)}...(이하 생략)` : text;
+
+const collectPaths = (value, acc, depth = 0) => {
+  if (!value || typeof value !== 'object' || depth > 4) {
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    if (PATH_KEYS.has(key)) {
+      for (const item of Array.isArray(child) ? child : [child]) {
+        if (typeof item === 'string' && item.trim()) {
+          acc.add(item.trim());
+        }
+      }
+    } else if (child && typeof child === 'object') {
+      collectPaths(child, acc, depth + 1);
+    }
+  }
+};
+
+// 긴 값(본문, 큰 배열)은 빼고 도구를 다시 부를 때 의미 있는 짧은 인자만 남긴다.
+const compactArguments = (args) => {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(args).filter(
+      ([key, value]) =>
+        key !== 'paths' &&
+        value !== undefined &&
+        JSON.stringify(value).length <= REFERENCE_ARGUMENT_MAX_CHARS,
+    ),
+  );
+};
+
+const normalizeHits = (hits) =>
+  (Array.isArray(hits) ? hits : [])
+    .filter((hit) => hit && typeof hit.path === 'string')
+    .slice(0, REFERENCE_MAX_HITS)
+    .map((hit) => ({
+      path: hit.path,
+      ...(Number.isInteger(hit.line) ? { line: hit.line } : {}),
+      ...(typeof hit.snippet === 'string'
+        ? { snippet: truncate(hit.snippet.trim(), REFERENCE_SNIPPET_MAX_CHARS) }
+        : {}),
+    }));
+
+/**
+ * 클라이언트가 돌려보낸 toolContext 항목을 검증하고 크기를 제한한다.
+ */
+const normalizeReference = (reference) => {
+  if (!reference || typeof reference !== 'object' || typeof reference.tool !== 'string') {
+    return null;
+  }
+  return {
+    tool: reference.tool,
+    arguments: compactArguments(reference.arguments),
+    paths: (Array.isArray(reference.paths) ? reference.paths : [])
+      .filter((item) => typeof item === 'string')
+      .slice(0, REFERENCE_MAX_PATHS),
+    hits: normalizeHits(reference.hits),
+  };
+};
+
+/**
+ * 이전 대화 텍스트(format 결과)가 있으면 프롬프트 앞에 붙인다.
+ */
+export const withHistory = (history, content) => (history ? `${history}\n\n${content}` : content);
+
+const describeTurnsAgo = (turnsAgo) => (turnsAgo === 1 ? '직전 답변' : `${turnsAgo}개 전 답변`);
+
+const formatReference = ({ reference, turnsAgo }) => {
+  const args = Object.entries(reference.arguments)
+    .map(([key, value]) => `${key}=${JSON.stringify(value)}`)
+    .join(', ');
+  const lines = [`- [${describeTurnsAgo(turnsAgo)}] ${reference.tool}(${args})`];
+  if (reference.hits.length > 0) {
+    reference.hits.forEach((hit, index) => {
+      const location = hit.line ? `${hit.path}:${hit.line}` : hit.path;
+      lines.push(`  ${index + 1}. ${location}${hit.snippet ? ` "${hit.snippet}"` : ''}`);
+    });
+  } else {
+    reference.paths.forEach((path, index) => lines.push(`  ${index + 1}. ${path}`));
+  }
+  return lines.join('\n');
+};
+
+/**
+ * 클라이언트가 돌려보낸 conversationSummary를 검증한다. 대화가 초기화돼 turns가 메시지 수보다 크면 버린다.
+ */
+const normalizeSummary = (summary, itemCount) => {
+  if (
+    !summary ||
+    typeof summary.text !== 'string' ||
+    !summary.text.trim() ||
+    !Number.isInteger(summary.turns) ||
+    summary.turns < 1 ||
+    summary.turns > itemCount
+  ) {
+    return null;
+  }
+  return { text: summary.text.trim(), turns: summary.turns };
+};
+
+const formatMessage = (message) =>
+  `${message.role === 'user' ? '사용자' : '어시스턴트'}: ${message.content}`;
+
+export const createConversationContext = ({
+  maxMessages = 6,
+  maxReferences = 3,
+  maxTokens = 1500,
+} = {}) => {
+  // 예산의 60%는 최근 메시지 원문, 25%는 누적 요약에 쓰고 나머지는 도구 결과 참조 몫으로 남긴다.
+  const messageTokens = Math.floor(maxTokens * 0.6);
+  const summaryTokens = Math.floor(maxTokens * 0.25);
+
+  /**
+   * conversation(클라이언트 형식 { role, text, toolContext? })에서 이번 요청 앞의 대화만 추린다.
+   * 화면이 함께 보낸 현재 요청(마지막 user 메시지)과 아직 비어 있는 assistant 자리는 제외한다.
+   * summary({ text, turns })는 앞 turns개 메시지를 이미 요약한 결과로, 그 뒤 메시지만 창 후보가 된다.
+   * @returns {{ messages: Array<{ role: string, content: string }>, references: Array<object>,
+   *   summary: { text: string, turns: number } | null, overflow: Array<{ role: string, content: string }>,
+   *   truncatedMessages: number }}
+   */
+  const buildWindow = (rawConversation, prompt = '', summary = null) => {
+    const empty = {
+      messages: [],
+      references: [],
+      summary: null,
+      overflow: [],
+      truncatedMessages: 0,
+    };
+    if (maxMessages <= 0) {
+      return empty;
+    }
+    const items = (Array.isArray(rawConversation) ? rawConversation : []).filter(
+      (item) =>
+        item &&
+        (item.role === 'user' || item.role === 'assistant') &&
+        typeof item.text === 'string' &&
+        item.text.trim(),
+    );
+    if (
+      items.length > 0 &&
+      items.at(-1).role === 'user' &&
+      items.at(-1).text.trim() === String(prompt).trim()
+    ) {
+      items.pop();
+    }
+
+    const previous = normalizeSummary(summary, items.length);
+    const candidates = items.slice(previous?.turns || 0);
+
+    // 최신 메시지부터 개수/토큰 예산이 허락하는 만큼 원문으로 남긴다(최소 1개는 잘라서라도 남긴다).
+    const messages = [];
+    let usedTokens = 0;
+    let truncatedMessages = 0;
+    for (let index = candidates.length - 1; index >= 0; index -= 1) {
+      if (messages.length >= maxMessages) {
+        break;
+      }
+      const limit = Math.min(MESSAGE_MAX_TOKENS, messageTokens - usedTokens);
+      const fitted = truncateToTokens(candidates[index].text.trim(), Math.max(limit, 0));
+      if (fitted.truncated && messages.length > 0) {
+        break;
+      }
+      if (fitted.truncated) {
+        truncatedMessages += 1;
+      }
+      usedTokens += fitted.tokens;
+      messages.unshift({ role: candidates[index].role, content: fitted.text });
+    }
+    const overflow = candidates
+      .slice(0, candidates.length - messages.length)
+      .map((item) => ({ role: item.role, content: item.text.trim() }));
+
+    // 최근 답변의 도구 결과부터 maxReferences개까지 참조로 남긴다(요약된 턴의 결과도 포함).
+    const references = [];
+    const answers = items.filter((item) => item.role === 'assistant');
+    for (let index = answers.length - 1; index >= 0; index -= 1) {
+      const toolContext = Array.isArray(answers[index].toolContext)
+        ? answers[index].toolContext
+        : [];
+      for (const raw of [...toolContext].reverse()) {
+        const reference = normalizeReference(raw);
+        if (reference && references.length < maxReferences) {
+          references.push({ reference, turnsAgo: answers.length - index });
+        }
+      }
+    }
+
+    return { messages, references, summary: previous, overflow, truncatedMessages };
+  };
+
+  /**
+   * 누적 요약을 만들 요약 에이전트 입력. 이전 요약과 창에서 밀려난 메시지를 합친다.
+   */
+  const buildSummaryRequest = (window) =>
+    [
+      window.summary ? `이전 요약:\n${window.summary.text}` : '',
+      `요약에 추가할 대화(오래된 순):\n${window.overflow.map(formatMessage).join('\n')}`,
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+
+  /**
+   * 요약 결과를 창에 반영한다. 요약은 summaryTokens 안으로 자르고 overflow 메시지만큼 turns를 늘린다.
+   */
+  const applySummary = (window, text) => {
+    const turns = (window.summary?.turns || 0) + window.overflow.length;
+    const fitted = truncateToTokens(String(text || '').trim(), summaryTokens);
+    return {
+      ...window,
+      summary: fitted.text ? { text: fitted.text, turns } : window.summary,
+      overflow: [],
+    };
+  };
+
+  /**
+   * 라우터/planner/writer 프롬프트 앞에 붙일 텍스트. 이전 대화가 없으면 빈 문자열이다.
+   */
+  const format = (window) => {
+    if (
+      !window ||
+      (!window.summary && window.messages.length === 0 && window.references.length === 0)
+    ) {
+      return '';
+    }
+    const sections = [];
+    if (window.summary) {
+      sections.push(`이전 대화 요약:\n${window.summary.text}`);
+    }
+    if (window.messages.length > 0) {
+      sections.push(`이전 대화(오래된 순):\n${window.messages.map(formatMessage).join('\n')}`);
+    }
+    if (window.references.length > 0) {
+      sections.push(
+        `이전 도구 결과("그 목록", "두 번째 파일"처럼 앞 내용을 가리키는 표현은 여기서 찾는다):\n${window.references
+          .map(formatReference)
+          .join('\n')}`,
+      );
+    }
+    return sections.join('\n\n');
+  };
+
+  /**
+   * 이번 요청에서 실행한 MCP 응답들을 다음 요청의 참조용 toolContext로 줄인다.
+   * 실패/입력 대기 응답과 같은 도구+인자의 중복 실행(재시도)은 마지막 것만 남긴다.
+   */
+  const summarizeToolResponses = (responses = []) => {
+    const byCall = new Map();
+    for (const response of responses) {
+      if (!response?.tool || response.requiresInput || (response.mcpStatus || 200) >= 400) {
+        continue;
+      }
+      const paths = new Set();
+      collectPaths(response.result, paths);
+      // 결과에 경로가 없을 때만 호출 인자의 paths를 대상으로 남긴다(목록 번호가 결과 순서와 맞도록).
+      if (paths.size === 0) {
+        collectPaths({ paths: response.arguments?.paths }, paths);
+      }
+      const reference = {
+        tool: response.tool,
+        arguments: compactArguments(response.arguments),
+        paths: [...paths].slice(0, REFERENCE_MAX_PATHS),
+        hits: normalizeHits(response.result?.hits),
+      };
+      const key = `${reference.tool}:${JSON.stringify(response.arguments || {})}`;
+      byCall.delete(key);
+      byCall.set(key, reference);
+    }
+    return [...byCall.values()].filter(
+      (reference) => reference.paths.length > 0 || reference.hits.length > 0,
+    );
+  };
+
+  return {
+    summaryTokens,
+    buildWindow,
+    buildSummaryRequest,
+    applySummary,
+    format,
+    summarizeToolResponses,
+  };
+};
@@ -0,0 +1,371 @@
+/**
+ * MCP 도구 inputSchema/outputSchema 검증용 JSON Schema 유틸.
+ * - 도구 스키마에서 쓰는 키워드(type, required, properties, additionalProperties,
+ *   enum/const, 길이/범위 제약, items, 조합 키워드, 로컬 $ref)를 검증
+ * - default 값을 인자에 채움
+ * - 위반 내역을 planner 재시도용 문장으로 변환
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+};
+
+const isDeepEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (typeOf(a) !== typeOf(b) || a === null || typeof a !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => isDeepEqual(item, b[index]));
+  }
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => hasOwn(b, key) && isDeepEqual(a[key], b[key]))
+  );
+};
+
+const joinPath = (path, key) =>
+  typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+/**
+ * `#/$defs/name` 형태의 로컬 참조만 해석한다. 외부 문서 참조는 검증하지 않는다.
+ */
+const resolveRef = (root, ref) => {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    return null;
+  }
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment.replace(/~1/g, '/').replace(/~0/g, '~')))
+    .reduce((node, segment) => (isPlainObject(node) ? node[segment] : undefined), root);
+};
+
+const validateNode = (schema, value, path, root, errors) => {
+  if (schema === false) {
+    errors.push({ path, keyword: 'false', message: '허용되지 않는 값입니다.' });
+    return;
+  }
+  if (!isPlainObject(schema)) {
+    return;
+  }
+
+  if (typeof schema.$ref === 'string') {
+    const target = resolveRef(root, schema.$ref);
+    if (target !== undefined && target !== null) {
+      validateNode(target, value, path, root, errors);
+    }
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({
+        path,
+        keyword: 'type',
+        message: `${types.join(' | ')} 타입이어야 합니다. (현재: ${typeOf(value)})`,
+      });
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((item) => isDeepEqual(item, value))) {
+    errors.push({
+      path,
+      keyword: 'enum',
+      message: `다음 값 중 하나여야 합니다: ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`,
+    });
+  }
+  if (hasOwn(schema, 'const') && !isDeepEqual(schema.const, value)) {
+    errors.push({
+      path,
+      keyword: 'const',
+      message: `${JSON.stringify(schema.const)} 값이어야 합니다.`,
+    });
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+      errors.push({
+        path,
+        keyword: 'minLength',
+        message: `${schema.minLength}자 이상이어야 합니다. (현재: ${length}자)`,
+      });
+    }
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+      errors.push({
+        path,
+        keyword: 'maxLength',
+        message: `${schema.maxLength}자 이하여야 합니다. (현재: ${length}자)`,
+      });
+    }
+    if (typeof schema.pattern === 'string') {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push({
+            path,
+            keyword: 'pattern',
+            message: `패턴 ${schema.pattern}과 일치해야 합니다.`,
+          });
+        }
+      } catch {
+        // 해석할 수 없는 패턴은 검증하지 않는다.
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push({ path, keyword: 'minimum', message: `${schema.minimum} 이상이어야 합니다.` });
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push({ path, keyword: 'maximum', message: `${schema.maximum} 이하여야 합니다.` });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push({
+        path,
+        keyword: 'exclusiveMinimum',
+        message: `${schema.exclusiveMinimum}보다 커야 합니다.`,
+      });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push({
+        path,
+        keyword: 'exclusiveMaximum',
+        message: `${schema.exclusiveMaximum}보다 작아야 합니다.`,
+      });
+    }
+    if (
+      typeof schema.multipleOf === 'number' &&
+      schema.multipleOf > 0 &&
+      !Number.isInteger(value / schema.multipleOf)
+    ) {
+      errors.push({
+        path,
+        keyword: 'multipleOf',
+        message: `${schema.multipleOf}의 배수여야 합니다.`,
+      });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push({
+        path,
+        keyword: 'minItems',
+        message: `항목이 ${schema.minItems}개 이상이어야 합니다.`,
+      });
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push({
+        path,
+        keyword: 'maxItems',
+        message: `항목이 ${schema.maxItems}개 이하여야 합니다.`,
+      });
+    }
+    if (
+      schema.uniqueItems === true &&
+      value.some((item, index) => value.findIndex((other) => isDeepEqual(item, other)) !== index)
+    ) {
+      errors.push({ path, keyword: 'uniqueItems', message: '항목이 중복되면 안 됩니다.' });
+    }
+    if (Array.isArray(schema.prefixItems)) {
+      schema.prefixItems.forEach((itemSchema, index) => {
+        if (index < value.length) {
+          validateNode(itemSchema, value[index], joinPath(path, index), root, errors);
+        }
+      });
+    }
+    const restStart = Array.isArray(schema.prefixItems) ? schema.prefixItems.length : 0;
+    if (schema.items !== undefined && !Array.isArray(schema.items)) {
+      value.slice(restStart).forEach((item, offset) => {
+        validateNode(schema.items, item, joinPath(path, restStart + offset), root, errors);
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    for (const key of required) {
+      if (!hasOwn(value, key) || value[key] === undefined) {
+        errors.push({
+          path: joinPath(path, key),
+          keyword: 'required',
+          message: '필수 값이 없습니다.',
+        });
+      }
+    }
+
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+    if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+      errors.push({
+        path,
+        keyword: 'minProperties',
+        message: `속성이 ${schema.minProperties}개 이상이어야 합니다.`,
+      });
+    }
+    if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+      errors.push({
+        path,
+        keyword: 'maxProperties',
+        message: `속성이 ${schema.maxProperties}개 이하여야 합니다.`,
+      });
+    }
+
+    const patternEntries = isPlainObject(schema.patternProperties)
+      ? Object.entries(schema.patternProperties)
+          .map(([pattern, patternSchema]) => {
+            try {
+              return [new RegExp(pattern, 'u'), patternSchema];
+            } catch {
+              return null;
+            }
+          })
+          .filter(Boolean)
+      : [];
+
+    for (const key of keys) {
+      const childPath = joinPath(path, key);
+      let matched = false;
+      if (hasOwn(properties, key)) {
+        matched = true;
+        validateNode(properties[key], value[key], childPath, root, errors);
+      }
+      for (const [regex, patternSchema] of patternEntries) {
+        if (regex.test(key)) {
+          matched = true;
+          validateNode(patternSchema, value[key], childPath, root, errors);
+        }
+      }
+      if (matched || schema.additionalProperties === undefined) {
+        continue;
+      }
+      if (schema.additionalProperties === false) {
+        errors.push({
+          path: childPath,
+          keyword: 'additionalProperties',
+          message: '스키마에 정의되지 않은 속성입니다.',
+        });
+        continue;
+      }
+      validateNode(schema.additionalProperties, value[key], childPath, root, errors);
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((subSchema) => validateNode(subSchema, value, path, root, errors));
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const passed = schema.anyOf.some((subSchema) => {
+      const subErrors = [];
+      validateNode(subSchema, value, path, root, subErrors);
+      return subErrors.length === 0;
+    });
+    if (!passed) {
+      errors.push({
+        path,
+        keyword: 'anyOf',
+        message: 'anyOf 조건 중 어느 것도 만족하지 않습니다.',
+      });
+    }
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const passedCount = schema.oneOf.filter((subSchema) => {
+      const subErrors = [];
+      validateNode(subSchema, value, path, root, subErrors);
+      return subErrors.length === 0;
+    }).length;
+    if (passedCount !== 1) {
+      errors.push({
+        path,
+        keyword: 'oneOf',
+        message: `oneOf 조건 중 정확히 하나를 만족해야 합니다. (만족: ${passedCount}개)`,
+      });
+    }
+  }
+  if (schema.not !== undefined) {
+    const subErrors = [];
+    validateNode(schema.not, value, path, root, subErrors);
+    if (subErrors.length === 0) {
+      errors.push({ path, keyword: 'not', message: 'not 조건에 해당하는 값입니다.' });
+    }
+  }
+  if (schema.if !== undefined) {
+    const conditionErrors = [];
+    validateNode(schema.if, value, path, root, conditionErrors);
+    const branch = conditionErrors.length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) {
+      validateNode(branch, value, path, root, errors);
+    }
+  }
+};
+
+/**
+ * value를 schema로 검증한다. schema가 없으면 항상 통과한다.
+ * errors: [{ path, keyword, message }] (path는 `branch`, `paths[0]`처럼 인자 기준)
+ */
+export const validateJsonSchema = (schema, value) => {
+  if (schema === undefined || schema === null || schema === true) {
+    return { valid: true, errors: [] };
+  }
+  const errors = [];
+  validateNode(schema, value, '', schema, errors);
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * 객체 인자에서 빠진 속성을 schema의 default로 채운다(중첩 객체 포함). 원본은 변경하지 않는다.
+ */
+export const applySchemaDefaults = (schema, value) => {
+  if (!isPlainObject(schema) || !isPlainObject(value) || !isPlainObject(schema.properties)) {
+    return value;
+  }
+
+  const next = { ...value };
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    if (!isPlainObject(propertySchema)) {
+      continue;
+    }
+    if (next[key] === undefined && hasOwn(propertySchema, 'default')) {
+      next[key] = structuredClone(propertySchema.default);
+      continue;
+    }
+    if (isPlainObject(next[key])) {
+      next[key] = applySchemaDefaults(propertySchema, next[key]);
+    }
+  }
+  return next;
+};
+
+/**
+ * 검증 오류를 planner에게 돌려줄 수 있는 줄 단위 문장으로 만든다.
+ */
+export const formatSchemaErrors = (errors = []) =>
+  errors.map((error) => `- ${error.path || '(root)'}: ${error.message}`).join('\n');
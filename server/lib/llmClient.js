@@ -0,0 +1,553 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { formatSchemaErrors, validateJsonSchema } from './jsonSchema.js';
+import { createProviderAdapter, extractJsonText } from './llmProviders.js';
+import { addCallUsage, createUsageTotals } from './llmUsage.js';
+import { readSSEEvents } from './mcpStreamableHttp.js';
+import {
+  TRANSIENT_HTTP_STATUSES,
+  computeRetryDelay,
+  createTimeoutSignal,
+  parseRetryAfter,
+  sleep,
+} from './resilience.js';
+
+// OpenAI/Anthropic 공통 함수(도구) 이름 제약
+const FUNCTION_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+// 스키마 검증에 실패한 응답을 trace에 남길 때의 최대 길이
+const INVALID_OUTPUT_MAX_CHARS = 500;
+
+/**
+ * MCP 도구 목록을 provider에 보낼 함수 정의로 바꾼다.
+ * 'notes.search'처럼 제약에 맞지 않는 이름은 바꿔 보내고, 응답을 되돌릴 수 있도록 별칭 -> 원래 이름을 함께 반환한다.
+ */
+const toFunctionDefinitions = (tools = []) => {
+  const aliases = new Map();
+  const definitions = [];
+  for (const tool of tools) {
+    const name = String(tool?.name || '');
+    if (!name) {
+      continue;
+    }
+    const base = FUNCTION_NAME_PATTERN.test(name)
+      ? name
+      : name.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) || 'tool';
+    let alias = base;
+    for (let index = 2; aliases.has(alias); index += 1) {
+      alias = `${base.slice(0, 60)}_${index}`;
+    }
+    aliases.set(alias, name);
+    const { $schema, ...schema } =
+      tool.inputSchema && typeof tool.inputSchema === 'object' ? tool.inputSchema : {};
+    definitions.push({
+      name: alias,
+      description: String(tool.description || ''),
+      parameters: { ...schema, type: 'object', properties: schema.properties || {} },
+    });
+  }
+  return { definitions, aliases };
+};
+
+/**
+ * LLM 호출 클라이언트 팩토리.
+ * provider 어댑터(llmProviders.js)를 감싸서 다른 모듈은 callLLM / createChatCompletion만 사용한다.
+ * - 호출마다 timeout, 429/5xx/네트워크 오류는 지수 백오프(Retry-After 우선)로 재시도
+ * - JSON 모드, 스트리밍(onDelta), native tool calling, 사용량(usage)을 provider와 무관한 형태로 정규화
+ * - runWithProvider로 감싼 요청 안의 모든 호출은 그 provider를 쓰고 사용량을 합산한다
+ *   (오케스트레이션/MCP planner 코드는 provider를 알 필요가 없다)
+ * - 호출마다 agent를 받아 사용량/비용(priceUsage)을 에이전트별로도 나눠 합산한다
+ * - callLLMStructured는 JSON 응답을 스키마로 검증하고, 어긋나면 위반 내역을 알려 다시 받는다(structuredOutputRetries회)
+ * - fixtures로 호출을 녹화하거나 녹화된 응답을 재생해 네트워크 없이 같은 흐름을 반복할 수 있다
+ */
+export const createLLMClient = ({
+  providers = {},
+  defaultProvider = 'openai',
+  timeoutMs = 60_000,
+  maxRetries = 2,
+  retryBaseDelayMs = 500,
+  retryMaxDelayMs = 10_000,
+  // (model, usage) -> USD. 단가를 모르면 null (llmUsage.js createUsagePricing)
+  priceUsage = () => null,
+  // 녹화/재생 저장소 (llmFixtures.js createLLMFixtureStore). 없으면 항상 provider를 호출한다.
+  fixtures = null,
+  // 스키마에 맞지 않는 JSON 응답을 다시 요청하는 횟수
+  structuredOutputRetries = 1,
+}) => {
+  const adapters = new Map();
+  for (const [name, config] of Object.entries(providers)) {
+    try {
+      adapters.set(name, createProviderAdapter(name, config));
+    } catch (error) {
+      console.warn('[llm] provider 설정 오류:', name, error.message);
+    }
+  }
+  // 요청 단위 { provider, offline, usage, structuredOutput } (runWithProvider)
+  const requestScope = new AsyncLocalStorage();
+
+  const hasProvider = (name) => adapters.has(name);
+
+  const activeProvider = () => requestScope.getStore()?.provider || defaultProvider;
+
+  const resolveAdapter = (name) => {
+    const providerName = name || activeProvider();
+    const adapter = adapters.get(providerName);
+    if (!adapter) {
+      throw new Error(`설정되지 않은 LLM provider입니다: ${providerName}`);
+    }
+    return adapter;
+  };
+
+  const supportsToolCalling = (name) =>
+    Boolean(adapters.get(name || activeProvider())?.toolCalling);
+
+  // 재생 모드는 provider를 호출하지 않으므로 API 키가 없어도 쓸 수 있다.
+  const isConfigured = (name) => {
+    const adapter = adapters.get(name || defaultProvider);
+    return Boolean(adapter?.configured || (adapter && fixtures?.mode === 'replay'));
+  };
+
+  const listProviders = () =>
+    [...adapters.values()].map((adapter) => ({
+      name: adapter.name,
+      type: adapter.type,
+      model: adapter.model,
+      configured: adapter.configured,
+      structuredOutputs: adapter.structuredOutputs,
+      default: adapter.name === defaultProvider,
+    }));
+
+  const requestOnce = async ({ adapter, request, signal }) => {
+    const timeout = createTimeoutSignal(signal, timeoutMs);
+    try {
+      const response = await fetch(request.url, {
+        method: 'POST',
+        signal: timeout.signal,
+        headers: { 'Content-Type': 'application/json', ...request.headers },
+        body: JSON.stringify(request.body),
+      });
+      // 스트림 응답은 본문을 여기서 읽지 않고 호출자가 이어서 읽는다.
+      const payload =
+        response.ok && request.body.stream ? null : await response.json().catch(() => null);
+      return { response, payload, timeout };
+    } catch (error) {
+      timeout.cleanup();
+      if (timeout.isTimedOut()) {
+        throw new Error(`${adapter.name} 응답 시간이 초과되었습니다. (${timeoutMs}ms)`, {
+          cause: error,
+        });
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * 재시도 포함 요청. 성공하면 { response, payload, timeout }를 반환하고, timeout 정리는 호출자가 한다.
+   * onRetry({ provider, attempt, maxRetries, delayMs, status, reason })는 재시도 직전에 호출된다.
+   */
+  const requestWithRetry = async ({ adapter, request, signal, onRetry }) => {
+    let attempt = 0;
+    while (true) {
+      let result = null;
+      let failure = null;
+      try {
+        result = await requestOnce({ adapter, request, signal });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        failure = error;
+      }
+
+      const status = result?.response.status || 0;
+      const retryable = failure !== null || TRANSIENT_HTTP_STATUSES.has(status);
+      if (retryable && attempt < maxRetries) {
+        result?.timeout.cleanup();
+        attempt += 1;
+        const delayMs = computeRetryDelay(attempt, {
+          baseDelayMs: retryBaseDelayMs,
+          maxDelayMs: retryMaxDelayMs,
+          retryAfterMs: parseRetryAfter(result?.response.headers.get('retry-after')),
+        });
+        onRetry?.({
+          provider: adapter.name,
+          attempt,
+          maxRetries,
+          delayMs: Math.round(delayMs),
+          status,
+          reason: failure
+            ? failure.message
+            : adapter.errorMessage(result?.payload) || `HTTP ${status}`,
+        });
+        await sleep(delayMs, signal);
+        continue;
+      }
+
+      if (failure) {
+        throw failure;
+      }
+
+      if (!result.response.ok) {
+        result.timeout.cleanup();
+        const message = adapter.errorMessage(result.payload) || `${adapter.name} 호출 실패`;
+        throw new Error(`${adapter.name} API 오류 (${result.response.status}): ${message}`);
+      }
+      return result;
+    }
+  };
+
+  const readStream = async ({ adapter, response, onDelta }) => {
+    const merged = { text: '', model: null, finishReason: null, usage: null };
+    for await (const event of readSSEEvents(response.body)) {
+      const part = adapter.parseStreamEvent(event);
+      if (part.delta) {
+        merged.text += part.delta;
+        onDelta(part.delta);
+      }
+      merged.model = part.model || merged.model;
+      merged.finishReason = part.finishReason || merged.finishReason;
+      if (part.usage) {
+        const usage = { ...merged.usage, ...part.usage };
+        usage.totalTokens = (usage.inputTokens || 0) + (usage.outputTokens || 0);
+        merged.usage = usage;
+      }
+      if (part.done) {
+        break;
+      }
+    }
+    return merged;
+  };
+
+  const recordUsage = ({ adapter, model, usage, agent }) => {
+    const scope = requestScope.getStore();
+    if (!scope) {
+      return;
+    }
+    const call = { ...usage, costUsd: priceUsage(model, usage) };
+    addCallUsage(scope.usage, call);
+    scope.usage.byAgent[agent] = addCallUsage(
+      scope.usage.byAgent[agent] || createUsageTotals(),
+      call,
+    );
+    scope.usage.provider = adapter.name;
+  };
+
+  /**
+   * 재요청이 필요했거나 끝내 실패한 스키마 응답을 요청 trace에 남긴다(첫 시도에 통과한 호출은 남기지 않는다).
+   */
+  const recordStructuredOutput = ({ agent, schema, attempts, ok, errors = [], text = '' }) => {
+    const scope = requestScope.getStore();
+    if (!scope || (ok && attempts === 1)) {
+      return;
+    }
+    scope.structuredOutput.push({
+      agent,
+      schema: schema.name,
+      ok,
+      attempts,
+      ...(ok
+        ? {}
+        : {
+            errors,
+            output:
+              text.length > INVALID_OUTPUT_MAX_CHARS
+                ? `${text.slice(0, INVALID_OUTPUT_MAX_CHARS)}...`
+                : text,
+          }),
+    });
+  };
+
+  /**
+   * provider HTTP 호출 1건(재시도/스트림 읽기 포함). 정규화 결과 { text, model, finishReason, usage, toolCalls }를 반환한다.
+   */
+  const requestCompletion = async ({ adapter, input, signal, onRetry, onDelta }) => {
+    const request = adapter.buildRequest({ ...input, stream: typeof onDelta === 'function' });
+    const { response, payload, timeout } = await requestWithRetry({
+      adapter,
+      request,
+      signal,
+      onRetry,
+    });
+
+    try {
+      return onDelta
+        ? await readStream({ adapter, response, onDelta })
+        : adapter.parseResponse(payload);
+    } catch (error) {
+      if (timeout.isTimedOut()) {
+        throw new Error(`${adapter.name} 응답 시간이 초과되었습니다. (${timeoutMs}ms)`, {
+          cause: error,
+        });
+      }
+      throw error;
+    } finally {
+      timeout.cleanup();
+    }
+  };
+
+  /**
+   * fixture 재생. 녹화된 응답을 네트워크 없이 돌려주고, 스트리밍 호출이면 본문을 delta 하나로 전달한다.
+   */
+  const replayCompletion = async ({ adapter, input, agent, onDelta }) => {
+    const { hash, response } = await fixtures.find({
+      request: { provider: adapter.name, ...input },
+      agent,
+    });
+    if (!response) {
+      throw new Error(
+        `녹화된 LLM 응답이 없습니다. (agent: ${agent}, hash: ${hash}) LLM_FIXTURES=record로 먼저 녹화해 주세요.`,
+      );
+    }
+    const result = {
+      text: '',
+      model: null,
+      finishReason: 'stop',
+      usage: null,
+      toolCalls: [],
+      ...response,
+    };
+    if (onDelta && result.text) {
+      onDelta(result.text);
+    }
+    return result;
+  };
+
+  /**
+   * 공통 호출. onDelta가 있으면 스트리밍으로 받아 조각마다 전달한다.
+   * agent는 사용량을 나눠 합산할 호출 주체(plan-agent, writer-agent 등)다.
+   * fixtures가 record면 응답을 녹화하고, replay면 provider 대신 녹화된 응답을 쓴다
+   * (스트리밍 여부는 요청 해시에 넣지 않아 /chat에서 녹화한 응답을 /chat/stream에서도 재생할 수 있다).
+   * 반환: { text, model, finishReason, usage, toolCalls, provider }
+   */
+  const complete = async ({
+    messages,
+    model,
+    responseFormat = 'text',
+    jsonSchema,
+    maxTokens,
+    temperature,
+    stop,
+    signal,
+    onRetry,
+    onDelta,
+    tools,
+    toolChoice,
+    provider,
+    agent = 'unattributed',
+  }) => {
+    if (requestScope.getStore()?.offline) {
+      throw new Error('오프라인 모드에서는 LLM을 호출하지 않습니다.');
+    }
+    const adapter = resolveAdapter(provider);
+    const input = {
+      messages,
+      model: model || adapter.model,
+      responseFormat,
+      jsonSchema,
+      maxTokens,
+      temperature,
+      stop,
+      tools,
+      toolChoice,
+    };
+
+    let result;
+    if (fixtures?.mode === 'replay') {
+      result = await replayCompletion({ adapter, input, agent, onDelta });
+    } else {
+      result = await requestCompletion({ adapter, input, signal, onRetry, onDelta });
+      if (fixtures?.mode === 'record') {
+        await fixtures.save({
+          request: { provider: adapter.name, ...input },
+          agent,
+          response: result,
+        });
+      }
+    }
+
+    recordUsage({
+      adapter,
+      model: result.model || model || adapter.model,
+      usage: result.usage,
+      agent,
+    });
+    return {
+      ...result,
+      text:
+        responseFormat === 'json' && !adapter.jsonMode ? extractJsonText(result.text) : result.text,
+      model: result.model || model || adapter.model,
+      provider: adapter.name,
+    };
+  };
+
+  /**
+   * 에이전트용 호출. provider 기본 모델/temperature로 텍스트(또는 JSON 문자열)만 반환한다.
+   */
+  const callLLM = async ({
+    messages,
+    responseFormat = 'text',
+    signal,
+    onRetry,
+    onDelta,
+    agent,
+  }) => {
+    const adapter = resolveAdapter();
+    const result = await complete({
+      messages,
+      agent,
+      responseFormat,
+      temperature: adapter.temperature,
+      signal,
+      onRetry,
+      onDelta,
+      provider: adapter.name,
+    });
+    return result.text;
+  };
+
+  /**
+   * 스키마가 정해진 JSON 응답. schema는 { name, schema, strict } (prompts/outputSchemas.js)이다.
+   * 응답을 JSON Schema로 검증하고, 파싱/검증에 실패하면 직전 응답과 위반 내역을 덧붙여 structuredOutputRetries회까지 다시 요청한다.
+   * 실패한 시도는 onInvalid({ attempt, maxAttempts, schema, errors })로 알리고 요청 trace(structuredOutput)에 남긴다.
+   * 반환: { ok, value, text, attempts, errors } (ok가 false면 value는 null, errors는 마지막 시도의 위반 내역)
+   */
+  const callLLMStructured = async ({ messages, schema, signal, onRetry, onInvalid, agent }) => {
+    const adapter = resolveAdapter();
+    const maxAttempts = structuredOutputRetries + 1;
+    let conversation = messages;
+    let text = '';
+    let errors = [];
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      const result = await complete({
+        messages: conversation,
+        agent,
+        responseFormat: 'json',
+        jsonSchema: schema,
+        temperature: adapter.temperature,
+        signal,
+        onRetry,
+        provider: adapter.name,
+      });
+      text = result.text;
+      let value;
+      try {
+        value = JSON.parse(text);
+        errors = validateJsonSchema(schema.schema, value).errors;
+      } catch (error) {
+        errors = [{ path: '', keyword: 'json', message: `JSON 파싱 실패: ${error.message}` }];
+      }
+      if (errors.length === 0) {
+        recordStructuredOutput({ agent, schema, attempts: attempt, ok: true });
+        return { ok: true, value, text, attempts: attempt, errors: [] };
+      }
+      onInvalid?.({ attempt, maxAttempts, schema: schema.name, errors });
+      conversation = [
+        ...messages,
+        { role: 'assistant', content: text },
+        {
+          role: 'user',
+          content: `응답이 JSON Schema(${schema.name})에 맞지 않습니다. 위반 내역:\n${formatSchemaErrors(errors)}\n스키마를 만족하는 JSON 객체만 다시 반환해.`,
+        },
+      ];
+    }
+    recordStructuredOutput({ agent, schema, attempts: maxAttempts, ok: false, errors, text });
+    return { ok: false, value: null, text, attempts: maxAttempts, errors };
+  };
+
+  /**
+   * 도구를 provider의 native function/tool calling으로 넘기고, 모델이 고른 호출들을 순서대로 받는다.
+   * tools는 MCP 도구 형태({ name, description, inputSchema })이며 toolCalls의 name은 원래 도구명이다.
+   * 이전 호출/결과를 이어 보낼 때는 messages에 { role: 'assistant', toolCalls }와 { role: 'tool', toolCallId, content }를 넣는다.
+   * 반환: { text, finishReason, toolCalls: [{ id, name, arguments }] } (arguments를 해석할 수 없으면 null)
+   */
+  const callLLMWithTools = async ({
+    messages,
+    tools,
+    toolChoice = 'auto',
+    signal,
+    onRetry,
+    agent,
+  }) => {
+    const adapter = resolveAdapter();
+    if (!adapter.toolCalling) {
+      throw new Error(
+        `${adapter.name} provider는 tool calling을 사용하지 않도록 설정되어 있습니다.`,
+      );
+    }
+    const { definitions, aliases } = toFunctionDefinitions(tools);
+    const aliasOf = new Map([...aliases].map(([alias, name]) => [name, alias]));
+    const result = await complete({
+      messages: messages.map((message) =>
+        Array.isArray(message?.toolCalls)
+          ? {
+              ...message,
+              toolCalls: message.toolCalls.map((call) => ({
+                ...call,
+                name: aliasOf.get(call.name) || call.name,
+              })),
+            }
+          : message,
+      ),
+      tools: definitions,
+      toolChoice,
+      temperature: adapter.temperature,
+      signal,
+      onRetry,
+      provider: adapter.name,
+      agent,
+    });
+    return {
+      text: result.text,
+      finishReason: result.finishReason,
+      // 결과를 다시 보낼 때 짝을 맞출 수 있도록 id가 없는 호출(일부 로컬 서버)에는 id를 붙인다.
+      toolCalls: (result.toolCalls || []).map((call) => ({
+        ...call,
+        id: call.id || `call_${randomUUID().slice(0, 8)}`,
+        name: aliases.get(call.name) || call.name,
+      })),
+    };
+  };
+
+  /**
+   * 모델/토큰 수를 호출자가 정하는 호출(MCP sampling 등). 실제 사용된 모델과 종료 사유도 반환한다.
+   */
+  const createChatCompletion = (options) => complete(options);
+
+  /**
+   * fn 안의 LLM 호출이 provider(없으면 기본값)를 쓰도록 하고, 호출 사용량을 합산한다.
+   * onUsage(usage)는 fn이 실패해도 호출된다(실패한 요청이 쓴 토큰도 집계하도록).
+   * offline이면 fn 안의 모든 LLM 호출(MCP sampling 포함)을 네트워크 요청 없이 바로 실패시킨다.
+   * 반환: { result, usage: { provider, calls, inputTokens, outputTokens, totalTokens, costUsd, unpricedCalls, byAgent },
+   *   structuredOutput: [{ agent, schema, ok, attempts, errors?, output? }] } (스키마 응답의 재요청/실패 내역)
+   */
+  const runWithProvider = async (provider, fn, { onUsage, offline = false } = {}) => {
+    const scope = {
+      provider: provider || defaultProvider,
+      offline,
+      usage: {
+        provider: provider || defaultProvider,
+        ...createUsageTotals(),
+        byAgent: {},
+      },
+      structuredOutput: [],
+    };
+    try {
+      const result = await requestScope.run(scope, fn);
+      return { result, usage: scope.usage, structuredOutput: scope.structuredOutput };
+    } finally {
+      onUsage?.(scope.usage);
+    }
+  };
+
+  return {
+    callLLM,
+    callLLMStructured,
+    callLLMWithTools,
+    createChatCompletion,
+    runWithProvider,
+    activeProvider,
+    listProviders,
+    hasProvider,
+    isConfigured,
+    supportsToolCalling,
+  };
+};
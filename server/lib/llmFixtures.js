@@ -0,0 +1,120 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * LLM 호출 녹화/재생 저장소 (결정적인 테스트/데모용).
+ * - record: 실제 provider 응답을 요청 해시별 fixture 파일(<hash>.json)로 남긴다.
+ * - replay: 같은 요청 해시의 fixture를 네트워크 없이 돌려준다.
+ *   해시가 맞는 파일이 없으면 직접 작성한 scripted fixture({ match, response })를 파일명 순으로 찾는다.
+ *
+ * fixture의 response는 provider와 무관한 정규화 결과({ text, model, finishReason, usage, toolCalls })다.
+ */
+export const LLM_FIXTURE_MODES = ['record', 'replay'];
+
+// 키 순서가 달라도 같은 해시가 나오도록 객체 키를 정렬해 직렬화한다.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+export const hashLLMRequest = (request) =>
+  createHash('sha256').update(stableStringify(request)).digest('hex').slice(0, 32);
+
+const textOf = (message) =>
+  typeof message?.content === 'string' ? message.content : JSON.stringify(message?.content ?? '');
+
+/**
+ * scripted fixture의 match 조건. 모든 조건이 맞아야 한다.
+ * - agent: 호출 주체(plan-agent 등)와 정확히 일치
+ * - system / user: 첫 system 메시지 / 마지막 user 메시지에 포함된 문자열
+ * - tools: native tool calling 호출 여부
+ */
+const matchesScript = (match = {}, { request, agent }) => {
+  const messages = Array.isArray(request.messages) ? request.messages : [];
+  const system = textOf(messages.find((message) => message?.role === 'system'));
+  const user = textOf(messages.findLast((message) => message?.role === 'user'));
+  return (
+    (match.agent === undefined || match.agent === agent) &&
+    (match.system === undefined || system.includes(match.system)) &&
+    (match.user === undefined || user.includes(match.user)) &&
+    (match.tools === undefined || match.tools === Array.isArray(request.tools))
+  );
+};
+
+export const createLLMFixtureStore = ({ mode, dir }) => {
+  if (!LLM_FIXTURE_MODES.includes(mode)) {
+    throw new Error(`알 수 없는 LLM fixture 모드입니다: ${mode}`);
+  }
+  const root = path.resolve(dir);
+  // replay에서 처음 찾을 때 한 번 읽는다: hash -> fixture, scripted fixture 목록(파일명 순)
+  let loaded = null;
+
+  const load = async () => {
+    if (loaded) {
+      return loaded;
+    }
+    const byHash = new Map();
+    const scripted = [];
+    const files = (await readdir(root).catch(() => []))
+      .filter((file) => file.endsWith('.json'))
+      .sort();
+    for (const file of files) {
+      let fixture;
+      try {
+        fixture = JSON.parse(await readFile(path.join(root, file), 'utf8'));
+      } catch (error) {
+        console.warn('[llm-fixtures] fixture 파싱 실패:', file, error.message);
+        continue;
+      }
+      if (!fixture?.response || typeof fixture.response !== 'object') {
+        continue;
+      }
+      if (typeof fixture.hash === 'string') {
+        byHash.set(fixture.hash, fixture);
+      } else if (fixture.match && typeof fixture.match === 'object') {
+        scripted.push({ ...fixture, file });
+      }
+    }
+    loaded = { byHash, scripted };
+    return loaded;
+  };
+
+  /**
+   * 요청(provider에 보낼 정규화 입력)에 맞는 녹화 응답. 없으면 null.
+   */
+  const find = async ({ request, agent }) => {
+    const { byHash, scripted } = await load();
+    const hash = hashLLMRequest(request);
+    const recorded =
+      byHash.get(hash) ||
+      scripted.find((fixture) => matchesScript(fixture.match, { request, agent }));
+    return { hash, response: recorded?.response || null };
+  };
+
+  /**
+   * 실제 응답을 <hash>.json으로 저장한다. 같은 요청을 다시 녹화하면 덮어쓴다.
+   */
+  const save = async ({ request, agent, response }) => {
+    const hash = hashLLMRequest(request);
+    const fixture = { hash, agent, recordedAt: new Date().toISOString(), request, response };
+    await mkdir(root, { recursive: true });
+    await writeFile(
+      path.join(root, `${hash}.json`),
+      `${JSON.stringify(fixture, null, 2)}\n`,
+      'utf8',
+    );
+    return hash;
+  };
+
+  return { mode, dir: root, find, save };
+};
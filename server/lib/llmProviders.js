@@ -0,0 +1,535 @@
+/**
+ * LLM provider 어댑터.
+ * 각 어댑터는 공통 요청({ messages, model, responseFormat, jsonSchema, maxTokens, temperature, stop, stream, tools, toolChoice })을
+ * provider HTTP 요청으로 바꾸고, 응답/스트림 이벤트를 { text, model, finishReason, usage, toolCalls }로 정규화한다.
+ * jsonSchema({ name, schema, strict })는 JSON 응답의 형식이다. structured outputs를 쓰는 provider에는 response_format으로,
+ * 나머지에는 JSON 지시문에 붙여 보낸다.
+ * tools는 [{ name, description, parameters(JSON Schema) }], toolCalls는 [{ id, name, arguments }] 형태다.
+ * 도구 결과를 이어서 보낼 때 messages에는 OpenAI chat 형식 외에 다음 두 가지를 쓸 수 있다.
+ *   { role: 'assistant', content, toolCalls }  /  { role: 'tool', toolCallId, content }
+ * 재시도/timeout/스트림 읽기는 llmClient.js가 맡는다.
+ *
+ * - openai: OpenAI chat/completions
+ * - azure: Azure OpenAI (deployment 단위 URL, api-key 헤더)
+ * - openai-compatible: Ollama, llama.cpp 등 OpenAI 호환 서버(baseUrl 필수, apiKey 선택)
+ * - anthropic: Anthropic Messages API
+ */
+
+export const LLM_PROVIDER_TYPES = ['openai', 'azure', 'openai-compatible', 'anthropic'];
+
+// JSON 응답 모드를 지원하지 않는 provider에는 지시문으로 요청하고 응답에서 JSON만 꺼낸다.
+const JSON_INSTRUCTION =
+  '반드시 다른 설명 없이 하나의 JSON 객체만 출력한다. 코드 블록(```)으로 감싸지 않는다.';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+};
+
+const trimSlash = (value) => String(value || '').replace(/\/+$/, '');
+
+/**
+ * 모델이 JSON 앞뒤에 설명이나 코드 블록을 붙였으면 첫 JSON 객체만 남긴다.
+ */
+export const extractJsonText = (text) => {
+  const trimmed = String(text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  const candidate = fenced ? fenced[1] : trimmed;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  return start >= 0 && end > start ? candidate.slice(start, end + 1) : candidate;
+};
+
+const withJsonInstruction = (messages, jsonSchema) => {
+  const instruction = jsonSchema
+    ? `${JSON_INSTRUCTION}\n다음 JSON Schema를 만족해야 한다:\n${JSON.stringify(jsonSchema.schema)}`
+    : JSON_INSTRUCTION;
+  const [first, ...rest] = messages;
+  if (first?.role === 'system' && typeof first.content === 'string') {
+    return [{ ...first, content: `${first.content}\n\n${instruction}` }, ...rest];
+  }
+  return [{ role: 'system', content: instruction }, ...messages];
+};
+
+/**
+ * 공통 도구 호출/결과 메시지를 OpenAI chat 형식(tool_calls, role: tool)으로 바꾼다.
+ */
+const toOpenAIToolMessages = (messages) =>
+  messages.map((message) => {
+    if (message?.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: String(message.content) };
+    }
+    if (message?.role === 'assistant' && Array.isArray(message.toolCalls)) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map((call) => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+        })),
+      };
+    }
+    return message;
+  });
+
+const contentToText = (content) => {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .map((item) => (typeof item?.text === 'string' ? item.text : ''))
+      .filter(Boolean)
+      .join('\n');
+  }
+  return '';
+};
+
+// native tool calling의 toolChoice -> Anthropic tool_choice
+const ANTHROPIC_TOOL_CHOICES = {
+  auto: { type: 'auto' },
+  required: { type: 'any' },
+  none: { type: 'none' },
+};
+
+/**
+ * function/tool arguments(JSON 문자열)를 객체로 바꾼다. 해석할 수 없으면 null.
+ */
+const parseToolArguments = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return typeof value === 'string' ? {} : null;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+const toUsage = (inputTokens, outputTokens) => {
+  const input = Number.isFinite(inputTokens) ? inputTokens : 0;
+  const output = Number.isFinite(outputTokens) ? outputTokens : 0;
+  return { inputTokens: input, outputTokens: output, totalTokens: input + output };
+};
+
+/**
+ * response_format.json_schema로 보낼 스키마 정의. strict 스키마는 provider가 형식을 보장한다.
+ */
+const toResponseFormat = (jsonSchema) => ({
+  type: 'json_schema',
+  json_schema: {
+    name: jsonSchema.name,
+    strict: jsonSchema.strict === true,
+    schema: jsonSchema.schema,
+  },
+});
+
+const createOpenAIStyleAdapter = (config, { url, headers, sendModel = true }) => {
+  const jsonMode = config.jsonMode !== false;
+  // JSON 모드를 끈 provider는 response_format 자체를 모른다고 보고 structured outputs도 쓰지 않는다.
+  const structuredOutputs = jsonMode && config.structuredOutputs !== false;
+  return {
+    jsonMode,
+    structuredOutputs,
+    toolCalling: config.toolCalling !== false,
+    buildRequest: ({
+      messages,
+      model,
+      responseFormat,
+      jsonSchema,
+      maxTokens,
+      temperature,
+      stop,
+      stream,
+      tools,
+      toolChoice,
+    }) => {
+      const json = responseFormat === 'json';
+      const schemaMode = json && Boolean(jsonSchema) && structuredOutputs;
+      const hasTools = Array.isArray(tools) && tools.length > 0;
+      return {
+        url: url(model),
+        headers,
+        body: {
+          ...(sendModel ? { model } : {}),
+          // structured outputs를 쓰지 않으면 스키마는 지시문으로 전달한다.
+          messages: toOpenAIToolMessages(
+            json && !schemaMode && (jsonSchema || !jsonMode)
+              ? withJsonInstruction(messages, jsonSchema)
+              : messages,
+          ),
+          ...(schemaMode ? { response_format: toResponseFormat(jsonSchema) } : {}),
+          ...(json && jsonMode && !schemaMode ? { response_format: { type: 'json_object' } } : {}),
+          ...(typeof maxTokens === 'number' ? { max_tokens: maxTokens } : {}),
+          ...(typeof temperature === 'number' ? { temperature } : {}),
+          ...(Array.isArray(stop) && stop.length > 0 ? { stop } : {}),
+          ...(hasTools
+            ? {
+                tools: tools.map((tool) => ({
+                  type: 'function',
+                  function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters,
+                  },
+                })),
+                tool_choice: toolChoice || 'auto',
+              }
+            : {}),
+          ...(stream
+            ? {
+                stream: true,
+                ...(config.streamUsage !== false
+                  ? { stream_options: { include_usage: true } }
+                  : {}),
+              }
+            : {}),
+        },
+      };
+    },
+    parseResponse: (payload) => ({
+      text: contentToText(payload?.choices?.[0]?.message?.content),
+      model: payload?.model || null,
+      finishReason: payload?.choices?.[0]?.finish_reason || null,
+      usage: payload?.usage
+        ? toUsage(payload.usage.prompt_tokens, payload.usage.completion_tokens)
+        : null,
+      toolCalls: (payload?.choices?.[0]?.message?.tool_calls || [])
+        .filter((call) => typeof call?.function?.name === 'string')
+        .map((call) => ({
+          id: call.id || null,
+          name: call.function.name,
+          arguments: parseToolArguments(call.function.arguments),
+        })),
+    }),
+    /**
+     * 스트림 이벤트 1개를 { delta, model, finishReason, usage, done } 일부로 바꾼다.
+     */
+    parseStreamEvent: ({ data }) => {
+      if (data === '[DONE]') {
+        return { done: true };
+      }
+      const chunk = JSON.parse(data);
+      const choice = chunk?.choices?.[0];
+      return {
+        delta: typeof choice?.delta?.content === 'string' ? choice.delta.content : '',
+        model: chunk?.model || null,
+        finishReason: choice?.finish_reason || null,
+        usage: chunk?.usage
+          ? toUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens)
+          : null,
+      };
+    },
+    errorMessage: (payload) => payload?.error?.message || null,
+  };
+};
+
+const createOpenAIAdapter = (config) =>
+  createOpenAIStyleAdapter(config, {
+    url: () => `${trimSlash(config.baseUrl || 'https://api.openai.com/v1')}/chat/completions`,
+    headers: {
+      ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+      ...(config.headers || {}),
+    },
+  });
+
+const createOpenAICompatibleAdapter = (config) =>
+  createOpenAIStyleAdapter(
+    // 로컬 서버는 stream_options나 json_schema 응답 형식을 모르는 경우가 있어 기본으로 보내지 않는다.
+    { streamUsage: false, structuredOutputs: false, ...config },
+    {
+      url: () => `${trimSlash(config.baseUrl)}/chat/completions`,
+      headers: {
+        ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+        ...(config.headers || {}),
+      },
+    },
+  );
+
+/**
+ * Azure OpenAI는 모델 대신 deployment를 URL로 고른다. 요청 모델이 있으면 deployment 이름으로 쓴다.
+ */
+const createAzureAdapter = (config) =>
+  createOpenAIStyleAdapter(config, {
+    url: (model) =>
+      `${trimSlash(config.baseUrl)}/openai/deployments/${encodeURIComponent(
+        model || config.deployment,
+      )}/chat/completions?api-version=${encodeURIComponent(config.apiVersion || '2024-10-21')}`,
+    headers: { 'api-key': config.apiKey, ...(config.headers || {}) },
+    sendModel: false,
+  });
+
+const parseDataUrl = (url) => {
+  const match = String(url || '').match(/^data:([^;,]+);base64,(.*)$/);
+  return match ? { mediaType: match[1], data: match[2] } : null;
+};
+
+/**
+ * OpenAI 형식 messages를 Anthropic { system, messages }로 바꾼다.
+ * system 메시지는 합치고, 같은 role이 연속되면 하나로 합친다(Anthropic은 user/assistant 교대만 허용).
+ * 도구 호출은 assistant의 tool_use, 도구 결과(role: tool)는 user의 tool_result 블록이 된다.
+ */
+export const toAnthropicMessages = (messages = []) => {
+  const system = [];
+  const converted = [];
+  for (const message of messages) {
+    if (message?.role === 'system') {
+      system.push(contentToText(message.content));
+      continue;
+    }
+    if (message?.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: String(message.content),
+      };
+      const previous = converted[converted.length - 1];
+      if (previous?.role === 'user') {
+        previous.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+      continue;
+    }
+    if (message?.role !== 'user' && message?.role !== 'assistant') {
+      continue;
+    }
+    if (message.role === 'assistant' && Array.isArray(message.toolCalls)) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: String(message.content) }] : []),
+          ...message.toolCalls.map((call) => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments || {},
+          })),
+        ],
+      });
+      continue;
+    }
+    const blocks = Array.isArray(message.content)
+      ? message.content
+          .map((part) => {
+            if (part?.type === 'image_url') {
+              const image = parseDataUrl(part.image_url?.url);
+              return image
+                ? {
+                    type: 'image',
+                    source: { type: 'base64', media_type: image.mediaType, data: image.data },
+                  }
+                : null;
+            }
+            return typeof part?.text === 'string' ? { type: 'text', text: part.text } : null;
+          })
+          .filter(Boolean)
+      : [{ type: 'text', text: String(message.content ?? '') }];
+    const previous = converted[converted.length - 1];
+    if (previous?.role === message.role) {
+      previous.content.push(...blocks);
+    } else {
+      converted.push({ role: message.role, content: blocks });
+    }
+  }
+  if (converted[0]?.role === 'assistant') {
+    converted.unshift({ role: 'user', content: [{ type: 'text', text: '(대화 시작)' }] });
+  }
+  return { system: system.filter(Boolean).join('\n\n'), messages: converted };
+};
+
+const createAnthropicAdapter = (config) => ({
+  jsonMode: false,
+  structuredOutputs: false,
+  toolCalling: config.toolCalling !== false,
+  buildRequest: ({
+    messages,
+    model,
+    responseFormat,
+    jsonSchema,
+    maxTokens,
+    temperature,
+    stop,
+    stream,
+    tools,
+    toolChoice,
+  }) => {
+    const { system, messages: converted } = toAnthropicMessages(
+      responseFormat === 'json' ? withJsonInstruction(messages, jsonSchema) : messages,
+    );
+    return {
+      url: `${trimSlash(config.baseUrl || 'https://api.anthropic.com')}/v1/messages`,
+      headers: {
+        'x-api-key': config.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        ...(config.headers || {}),
+      },
+      body: {
+        model,
+        max_tokens:
+          typeof maxTokens === 'number'
+            ? maxTokens
+            : config.maxTokens || ANTHROPIC_DEFAULT_MAX_TOKENS,
+        ...(system ? { system } : {}),
+        messages: converted,
+        ...(typeof temperature === 'number' ? { temperature } : {}),
+        ...(Array.isArray(stop) && stop.length > 0 ? { stop_sequences: stop } : {}),
+        ...(Array.isArray(tools) && tools.length > 0
+          ? {
+              tools: tools.map((tool) => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters,
+              })),
+              tool_choice: ANTHROPIC_TOOL_CHOICES[toolChoice] || ANTHROPIC_TOOL_CHOICES.auto,
+            }
+          : {}),
+        ...(stream ? { stream: true } : {}),
+      },
+    };
+  },
+  parseResponse: (payload) => ({
+    text: (payload?.content || [])
+      .filter((block) => block?.type === 'text')
+      .map((block) => block.text)
+      .join(''),
+    model: payload?.model || null,
+    finishReason: ANTHROPIC_STOP_REASONS[payload?.stop_reason] || payload?.stop_reason || null,
+    usage: payload?.usage ? toUsage(payload.usage.input_tokens, payload.usage.output_tokens) : null,
+    toolCalls: (payload?.content || [])
+      .filter((block) => block?.type === 'tool_use' && typeof block.name === 'string')
+      .map((block) => ({
+        id: block.id || null,
+        name: block.name,
+        arguments: parseToolArguments(block.input),
+      })),
+  }),
+  parseStreamEvent: ({ event, data }) => {
+    const chunk = JSON.parse(data);
+    const type = chunk?.type || event;
+    if (type === 'message_start') {
+      return {
+        model: chunk.message?.model || null,
+        usage: toUsage(chunk.message?.usage?.input_tokens, chunk.message?.usage?.output_tokens),
+      };
+    }
+    if (type === 'content_block_delta' && chunk.delta?.type === 'text_delta') {
+      return { delta: chunk.delta.text };
+    }
+    if (type === 'message_delta') {
+      return {
+        finishReason:
+          ANTHROPIC_STOP_REASONS[chunk.delta?.stop_reason] || chunk.delta?.stop_reason || null,
+        // message_delta의 usage는 누적 output_tokens만 담고 있다.
+        usage: chunk.usage ? { outputTokens: chunk.usage.output_tokens } : null,
+      };
+    }
+    if (type === 'message_stop') {
+      return { done: true };
+    }
+    if (type === 'error') {
+      throw new Error(chunk.error?.message || 'Anthropic 스트림 오류');
+    }
+    return {};
+  },
+  errorMessage: (payload) => payload?.error?.message || null,
+});
+
+const ADAPTER_FACTORIES = {
+  openai: createOpenAIAdapter,
+  azure: createAzureAdapter,
+  'openai-compatible': createOpenAICompatibleAdapter,
+  anthropic: createAnthropicAdapter,
+};
+
+/**
+ * provider 설정을 검증하고 어댑터를 붙인다. 필수 값이 없으면 오류.
+ */
+export const createProviderAdapter = (name, config) => {
+  const factory = ADAPTER_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(
+      `알 수 없는 LLM provider type입니다: ${config.type} (${LLM_PROVIDER_TYPES.join(', ')})`,
+    );
+  }
+  if ((config.type === 'azure' || config.type === 'openai-compatible') && !config.baseUrl) {
+    throw new Error(`${name}: baseUrl이 필요합니다.`);
+  }
+  if (config.type === 'azure' && !config.deployment && !config.model) {
+    throw new Error(`${name}: deployment가 필요합니다.`);
+  }
+  return {
+    name,
+    type: config.type,
+    model: config.model || config.deployment || null,
+    temperature: typeof config.temperature === 'number' ? config.temperature : 0.2,
+    // 키가 필요 없는 로컬 서버를 제외하면 apiKey가 있어야 호출할 수 있다.
+    configured: config.type === 'openai-compatible' || Boolean(config.apiKey),
+    ...factory(config),
+  };
+};
+
+/**
+ * 환경변수에서 provider 설정 목록을 만든다.
+ * - OPENAI_API_KEY / OPENAI_MODEL -> openai
+ * - ANTHROPIC_API_KEY / ANTHROPIC_MODEL -> anthropic
+ * - AZURE_OPENAI_ENDPOINT / AZURE_OPENAI_API_KEY / AZURE_OPENAI_DEPLOYMENT / AZURE_OPENAI_API_VERSION -> azure
+ * - LLM_PROVIDERS(JSON, 이름 -> { type, baseUrl, apiKey, apiKeyEnv, model, ... })는 위 설정을 덮어쓰거나 추가
+ */
+export const parseProviderConfigs = (env = process.env) => {
+  const configs = {
+    openai: {
+      type: 'openai',
+      apiKey: env.OPENAI_API_KEY || '',
+      model: env.OPENAI_MODEL || 'gpt-4o-mini',
+    },
+  };
+  if (env.ANTHROPIC_API_KEY) {
+    configs.anthropic = {
+      type: 'anthropic',
+      apiKey: env.ANTHROPIC_API_KEY,
+      model: env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+    };
+  }
+  if (env.AZURE_OPENAI_ENDPOINT) {
+    configs.azure = {
+      type: 'azure',
+      baseUrl: env.AZURE_OPENAI_ENDPOINT,
+      apiKey: env.AZURE_OPENAI_API_KEY || '',
+      deployment: env.AZURE_OPENAI_DEPLOYMENT || '',
+      apiVersion: env.AZURE_OPENAI_API_VERSION || undefined,
+    };
+  }
+
+  if (env.LLM_PROVIDERS) {
+    let parsed = {};
+    try {
+      parsed = JSON.parse(env.LLM_PROVIDERS);
+    } catch {
+      console.warn('[llm] LLM_PROVIDERS JSON 파싱 실패');
+    }
+    for (const [name, value] of Object.entries(parsed || {})) {
+      if (!value || typeof value !== 'object') {
+        console.warn('[llm] provider 설정을 건너뜀:', name);
+        continue;
+      }
+      const { apiKeyEnv, ...config } = value;
+      configs[name] = {
+        ...configs[name],
+        ...config,
+        ...(apiKeyEnv ? { apiKey: env[apiKeyEnv] || '' } : {}),
+      };
+    }
+  }
+  return configs;
+};
@@ -0,0 +1,168 @@
+/**
+ * LLM 사용량/비용 집계.
+ * - 모델별 단가표(USD / 1M 토큰)로 호출 1건의 비용을 계산한다. 단가가 없는 모델이나 사용량을 보고하지 않은 호출(stream usage를 끈 로컬 서버 등)은
+ *   비용 대신 unpricedCalls로 센다.
+ * - 요청이 끝날 때마다 엔드포인트/날짜(UTC)별로 합산해 두고 최근 retentionDays일만 메모리에 보관한다.
+ */
+const COST_PRECISION = 1e6;
+
+const roundCost = (value) => Math.round(value * COST_PRECISION) / COST_PRECISION;
+
+export const createUsageTotals = () => ({
+  calls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  totalTokens: 0,
+  costUsd: 0,
+  unpricedCalls: 0,
+});
+
+/**
+ * 호출 1건({ inputTokens, outputTokens, totalTokens, costUsd })을 합계에 더한다.
+ * costUsd가 숫자가 아니면(단가를 모르는 모델, usage 없음) unpricedCalls로 센다.
+ */
+export const addCallUsage = (target, call = {}) => {
+  target.calls += 1;
+  target.inputTokens += call.inputTokens || 0;
+  target.outputTokens += call.outputTokens || 0;
+  target.totalTokens += call.totalTokens || 0;
+  if (typeof call.costUsd === 'number') {
+    target.costUsd = roundCost(target.costUsd + call.costUsd);
+  } else {
+    target.unpricedCalls += 1;
+  }
+  return target;
+};
+
+/**
+ * 다른 합계(createUsageTotals 형태)를 target에 더한다.
+ */
+export const mergeUsage = (target, totals = {}) => {
+  target.calls += totals.calls || 0;
+  target.inputTokens += totals.inputTokens || 0;
+  target.outputTokens += totals.outputTokens || 0;
+  target.totalTokens += totals.totalTokens || 0;
+  target.costUsd = roundCost(target.costUsd + (totals.costUsd || 0));
+  target.unpricedCalls += totals.unpricedCalls || 0;
+  return target;
+};
+
+/**
+ * LLM_PRICING 환경 변수(JSON)를 읽는다.
+ * 형식: { "gpt-4o-mini": { "input": 0.15, "output": 0.6 } } (USD / 1M 토큰)
+ */
+export const parsePricingConfig = (raw) => {
+  if (!raw) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(
+      Object.entries(parsed || {}).filter(
+        ([, price]) =>
+          price &&
+          typeof price === 'object' &&
+          Number.isFinite(Number(price.input)) &&
+          Number.isFinite(Number(price.output)),
+      ),
+    );
+  } catch {
+    console.warn('[llm] LLM_PRICING JSON 파싱 실패');
+    return {};
+  }
+};
+
+/**
+ * 단가표로 (model, usage) -> USD 함수를 만든다.
+ * 응답 모델명은 날짜가 붙은 스냅숏(gpt-4o-mini-2024-07-18 등)일 수 있어, 정확히 같은 키가 없으면 가장 긴 접두어 키를 쓴다.
+ * 단가를 찾지 못하면 null을 반환한다.
+ */
+export const createUsagePricing = (pricing = {}) => {
+  const keys = Object.keys(pricing).sort((a, b) => b.length - a.length);
+  return (model, usage) => {
+    const name = String(model || '');
+    const key = pricing[name] ? name : keys.find((candidate) => name.startsWith(candidate));
+    if (!key || !usage) {
+      return null;
+    }
+    const price = pricing[key];
+    return roundCost(
+      ((usage.inputTokens || 0) * Number(price.input) +
+        (usage.outputTokens || 0) * Number(price.output)) /
+        1_000_000,
+    );
+  };
+};
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * 요청 단위 사용량을 날짜/엔드포인트별로 합산하는 메모리 장부.
+ */
+export const createUsageLedger = ({ retentionDays = 30, now = () => new Date() } = {}) => {
+  // 'YYYY-MM-DD' -> Map(endpoint -> { requests, ...합계 })
+  const days = new Map();
+
+  const prune = () => {
+    const oldest = dayOf(new Date(now().getTime() - (retentionDays - 1) * 86_400_000));
+    for (const day of days.keys()) {
+      if (day < oldest) {
+        days.delete(day);
+      }
+    }
+  };
+
+  /**
+   * 요청 1건의 사용량(runWithProvider가 돌려준 합계)을 기록한다. 호출이 없었던 요청도 requests로 센다.
+   */
+  const record = (endpoint, usage) => {
+    const day = dayOf(now());
+    if (!days.has(day)) {
+      days.set(day, new Map());
+      prune();
+    }
+    const endpoints = days.get(day);
+    const entry = endpoints.get(endpoint) || { requests: 0, ...createUsageTotals() };
+    entry.requests += 1;
+    mergeUsage(entry, usage);
+    endpoints.set(endpoint, entry);
+  };
+
+  /**
+   * 최근 dayCount일(오늘 포함)의 날짜별/엔드포인트별 합계.
+   */
+  const report = ({ days: dayCount = 7 } = {}) => {
+    const count = Math.min(Math.max(Math.trunc(dayCount) || 1, 1), retentionDays);
+    const since = dayOf(new Date(now().getTime() - (count - 1) * 86_400_000));
+    const sumInto = (target, entry) => {
+      target.requests += entry.requests;
+      return mergeUsage(target, entry);
+    };
+    const byEndpoint = new Map();
+    const total = { requests: 0, ...createUsageTotals() };
+    const daily = [...days.entries()]
+      .filter(([day]) => day >= since)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, endpoints]) => {
+        const dayTotal = { requests: 0, ...createUsageTotals() };
+        const entries = [...endpoints.entries()].map(([endpoint, entry]) => {
+          sumInto(dayTotal, entry);
+          sumInto(total, entry);
+          if (!byEndpoint.has(endpoint)) {
+            byEndpoint.set(endpoint, { requests: 0, ...createUsageTotals() });
+          }
+          sumInto(byEndpoint.get(endpoint), entry);
+          return { endpoint, ...entry };
+        });
+        return { date, ...dayTotal, endpoints: entries };
+      });
+    return {
+      since,
+      days: daily,
+      endpoints: [...byEndpoint.entries()].map(([endpoint, entry]) => ({ endpoint, ...entry })),
+      total,
+    };
+  };
+
+  return { record, report };
+};
@@ -0,0 +1,417 @@
+import {
+  buildAuthorizationUrl,
+  createOAuthState,
+  createPkcePair,
+  discoverAuthorizationServer,
+  discoverProtectedResource,
+  parseWWWAuthenticate,
+  registerClient,
+  requestToken,
+} from './mcpOAuth.js';
+import { createTimeoutSignal } from './resilience.js';
+
+/**
+ * endpoint별 MCP 자격 증명 저장소.
+ * - 고정 bearer 토큰 / 사용자 지정 헤더 (LOCAL_MCP_CREDENTIALS)
+ * - MCP OAuth 2.1 인가 흐름(탐색, PKCE, 동적 등록)으로 받은 토큰과 만료 전 자동 갱신
+ * 자격 증명은 정확히 같은 endpoint에만 붙인다. 브라우저가 보낸 임의 endpoint에는 아무것도 붙이지 않는다.
+ */
+
+// 만료 직전 토큰으로 요청하지 않도록 이 시간만큼(수명이 짧으면 수명의 절반) 일찍 갱신한다.
+const REFRESH_SKEW_MS = 60_000;
+
+const withRefreshAt = (token) => ({
+  ...token,
+  refreshAt: token.expiresAt
+    ? token.expiresAt - Math.min(REFRESH_SKEW_MS, (token.expiresAt - Date.now()) / 2)
+    : null,
+});
+
+/**
+ * endpoint를 자격 증명 조회 키로 바꾼다(query/hash와 끝의 / 제거). http(s)가 아니면 null.
+ */
+export const toCredentialKey = (endpoint) => {
+  try {
+    const url = new URL(endpoint);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return null;
+  }
+};
+
+const normalizeCredential = (value) => {
+  if (typeof value === 'string' && value.trim()) {
+    return { type: 'bearer', token: value.trim() };
+  }
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const type = value.type || (value.token ? 'bearer' : value.headers ? 'headers' : null);
+  if (type === 'bearer' && typeof value.token === 'string' && value.token) {
+    return { type, token: value.token };
+  }
+  if (type === 'headers' && value.headers && typeof value.headers === 'object') {
+    return {
+      type,
+      headers: Object.fromEntries(
+        Object.entries(value.headers).filter(([, header]) => typeof header === 'string'),
+      ),
+    };
+  }
+  if (type === 'oauth') {
+    return {
+      type,
+      clientId: typeof value.clientId === 'string' ? value.clientId : null,
+      clientSecret: typeof value.clientSecret === 'string' ? value.clientSecret : null,
+      scope: typeof value.scope === 'string' ? value.scope : null,
+    };
+  }
+  return null;
+};
+
+/**
+ * LOCAL_MCP_CREDENTIALS(JSON, endpoint -> 자격 증명)를 해석한다.
+ * 값은 토큰 문자열(bearer) 또는 { type: 'bearer', token } / { type: 'headers', headers } /
+ * { type: 'oauth', clientId?, clientSecret?, scope? } 객체다.
+ */
+export const parseCredentialConfig = (raw) => {
+  const credentials = new Map();
+  if (!raw) {
+    return credentials;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    console.warn('[credentials] LOCAL_MCP_CREDENTIALS JSON 파싱 실패');
+    return credentials;
+  }
+  for (const [endpoint, value] of Object.entries(parsed || {})) {
+    const key = toCredentialKey(endpoint);
+    const credential = normalizeCredential(value);
+    if (!key || !credential) {
+      console.warn('[credentials] 자격 증명 설정을 건너뜀:', endpoint);
+      continue;
+    }
+    credentials.set(key, credential);
+  }
+  return credentials;
+};
+
+export const createMCPCredentialStore = ({
+  credentials = new Map(),
+  legacyToken = '',
+  legacyEndpoints = [],
+  redirectUri,
+  clientName = 'Local MCP Knowledge Client',
+  authorizationTtlMs = 600_000,
+  probeTimeoutMs = 10_000,
+}) => {
+  // LOCAL_MCP_TOKEN은 환경변수로 등록한 endpoint에만 붙인다.
+  const legacyKeys = new Set(legacyEndpoints.map(toCredentialKey).filter(Boolean));
+  // key -> { resourceMetadataUrl, scope } (가장 최근 401 응답의 WWW-Authenticate)
+  const challenges = new Map();
+  // key -> { accessToken, refreshToken, expiresAt, refreshAt, scope, client, serverMetadata, resource }
+  const oauthTokens = new Map();
+  // 인가 서버 issuer -> 동적 등록한 client (같은 인가 서버를 쓰는 endpoint끼리 재사용)
+  const registeredClients = new Map();
+  // state -> 진행 중인 인가 요청 (authorizationTtlMs가 지나면 startAuthorization에서 정리)
+  const pendingAuthorizations = new Map();
+  // key -> 진행 중인 토큰 갱신 (동시 요청이 한 번만 갱신하도록)
+  const refreshing = new Map();
+
+  const getStaticCredential = (key) => {
+    const credential = credentials.get(key);
+    if (credential && credential.type !== 'oauth') {
+      return credential;
+    }
+    if (!credential && legacyToken && legacyKeys.has(key)) {
+      return { type: 'bearer', token: legacyToken };
+    }
+    return null;
+  };
+
+  const refreshAccessToken = (key) => {
+    if (refreshing.has(key)) {
+      return refreshing.get(key);
+    }
+    const current = oauthTokens.get(key);
+    const pending = requestToken(current.serverMetadata, {
+      clientId: current.client.clientId,
+      clientSecret: current.client.clientSecret,
+      params: {
+        grant_type: 'refresh_token',
+        refresh_token: current.refreshToken,
+        resource: current.resource,
+      },
+    })
+      .then((token) => {
+        oauthTokens.set(
+          key,
+          withRefreshAt({
+            ...current,
+            ...token,
+            // 인가 서버가 refresh_token을 다시 주지 않으면 기존 값을 계속 쓴다.
+            refreshToken: token.refreshToken || current.refreshToken,
+          }),
+        );
+        return true;
+      })
+      .catch((error) => {
+        console.warn('[credentials] 토큰 갱신 실패:', key, error.message);
+        oauthTokens.delete(key);
+        return false;
+      })
+      .finally(() => {
+        refreshing.delete(key);
+      });
+    refreshing.set(key, pending);
+    return pending;
+  };
+
+  /**
+   * endpoint 요청에 붙일 인증 헤더. OAuth 토큰이 곧 만료되면 먼저 갱신한다.
+   */
+  const getHeaders = async (endpoint) => {
+    const key = toCredentialKey(endpoint);
+    if (!key) {
+      return {};
+    }
+    const credential = getStaticCredential(key);
+    if (credential?.type === 'bearer') {
+      return { Authorization: `Bearer ${credential.token}` };
+    }
+    if (credential?.type === 'headers') {
+      return { ...credential.headers };
+    }
+
+    const token = oauthTokens.get(key);
+    if (token?.refreshAt && token.refreshAt <= Date.now()) {
+      if (!token.refreshToken || !(await refreshAccessToken(key))) {
+        oauthTokens.delete(key);
+        return {};
+      }
+    }
+    const current = oauthTokens.get(key);
+    return current ? { Authorization: `Bearer ${current.accessToken}` } : {};
+  };
+
+  /**
+   * 401 응답을 기록한다. 갱신 가능한 OAuth 토큰이 있으면 갱신하고 true(재시도 가능)를 반환한다.
+   */
+  const handleUnauthorized = async (endpoint, wwwAuthenticate) => {
+    const key = toCredentialKey(endpoint);
+    if (!key) {
+      return false;
+    }
+    const challenge = parseWWWAuthenticate(wwwAuthenticate);
+    challenges.set(key, {
+      resourceMetadataUrl: challenge?.params.resource_metadata || null,
+      scope: challenge?.params.scope || null,
+    });
+    const token = oauthTokens.get(key);
+    if (!token) {
+      return false;
+    }
+    if (!token.refreshToken) {
+      oauthTokens.delete(key);
+      return false;
+    }
+    return refreshAccessToken(key);
+  };
+
+  /**
+   * 인증 없이(또는 현재 자격 증명으로) 요청했을 때 서버가 401을 주는지 확인한다.
+   */
+  const probe = async (key) => {
+    const timeout = createTimeoutSignal(undefined, probeTimeoutMs);
+    try {
+      const response = await fetch(key, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          ...(await getHeaders(key)),
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 'auth-probe', method: 'ping' }),
+        signal: timeout.signal,
+      });
+      response.body?.cancel?.().catch(() => {});
+      if (response.status === 401) {
+        await handleUnauthorized(key, response.headers.get('www-authenticate'));
+      }
+      return { status: response.status };
+    } catch {
+      return { status: 0 };
+    } finally {
+      timeout.cleanup();
+    }
+  };
+
+  /**
+   * endpoint 인증 상태.
+   * type: none | bearer | headers | oauth, authorized: 서버가 현재 자격 증명을 받아들이는지,
+   * canAuthorize: OAuth 인가 단계로 해결할 수 있는지
+   */
+  const getStatus = async (endpoint) => {
+    const key = toCredentialKey(endpoint);
+    if (!key) {
+      return { endpoint, type: 'none', reachable: true, authorized: true, canAuthorize: false };
+    }
+    const credential = getStaticCredential(key);
+    const { status } = await probe(key);
+    const token = oauthTokens.get(key);
+    return {
+      endpoint,
+      type: credential?.type || (token || credentials.has(key) ? 'oauth' : 'none'),
+      reachable: status !== 0,
+      authorized: status !== 401,
+      canAuthorize: !credential,
+      expiresAt: token?.expiresAt || null,
+      scope: token?.scope || null,
+    };
+  };
+
+  // 콜백이 오지 않은(팝업을 닫은) 인가 요청의 PKCE verifier/client를 버린다.
+  const sweepExpiredAuthorizations = () => {
+    const now = Date.now();
+    for (const [state, pending] of pendingAuthorizations) {
+      if (now - pending.createdAt > authorizationTtlMs) {
+        pendingAuthorizations.delete(state);
+      }
+    }
+  };
+
+  /**
+   * OAuth 인가를 시작한다. 탐색/동적 등록 후 사용자가 열어야 할 authorizationUrl을 반환한다.
+   * Protected Resource Metadata의 resource가 이 endpoint가 아니면(RFC 9728) 인가를 진행하지 않는다.
+   */
+  const startAuthorization = async (endpoint) => {
+    sweepExpiredAuthorizations();
+    const key = toCredentialKey(endpoint);
+    if (!key) {
+      throw new Error('OAuth 인가는 http(s) MCP endpoint에서만 사용할 수 있습니다.');
+    }
+    if (getStaticCredential(key)) {
+      throw new Error('고정 자격 증명이 설정된 endpoint입니다.');
+    }
+    if (!redirectUri) {
+      throw new Error('OAuth redirect URI가 설정되지 않았습니다.');
+    }
+
+    if (!challenges.has(key)) {
+      await probe(key);
+    }
+    const challenge = challenges.get(key) || {};
+    const resourceMetadata = await discoverProtectedResource(key, {
+      resourceMetadataUrl: challenge.resourceMetadataUrl,
+    });
+    if (resourceMetadata?.resource && toCredentialKey(resourceMetadata.resource) !== key) {
+      throw new Error(
+        `Protected Resource Metadata의 resource(${resourceMetadata.resource})가 endpoint(${key})와 일치하지 않습니다.`,
+      );
+    }
+    const issuer = resourceMetadata?.authorization_servers?.[0] || new URL(key).origin;
+    const serverMetadata = await discoverAuthorizationServer(issuer);
+    const challengeMethods = serverMetadata.code_challenge_methods_supported;
+    if (Array.isArray(challengeMethods) && !challengeMethods.includes('S256')) {
+      throw new Error('인증 서버가 PKCE(S256)를 지원하지 않습니다.');
+    }
+
+    const config = credentials.get(key)?.type === 'oauth' ? credentials.get(key) : {};
+    const scope =
+      config.scope ||
+      challenge.scope ||
+      (Array.isArray(resourceMetadata?.scopes_supported)
+        ? resourceMetadata.scopes_supported.join(' ')
+        : null);
+    let client = config.clientId
+      ? { clientId: config.clientId, clientSecret: config.clientSecret }
+      : registeredClients.get(issuer);
+    if (!client) {
+      client = await registerClient(serverMetadata, { redirectUri, clientName, scope });
+      registeredClients.set(issuer, client);
+    }
+
+    const pkce = createPkcePair();
+    const state = createOAuthState();
+    const resource = resourceMetadata?.resource || key;
+    pendingAuthorizations.set(state, {
+      key,
+      client,
+      serverMetadata,
+      resource,
+      codeVerifier: pkce.verifier,
+      createdAt: Date.now(),
+    });
+    return {
+      endpoint: key,
+      state,
+      authorizationUrl: buildAuthorizationUrl(serverMetadata, {
+        clientId: client.clientId,
+        redirectUri,
+        codeChallenge: pkce.challenge,
+        state,
+        resource,
+        scope,
+      }),
+    };
+  };
+
+  /**
+   * 인가 서버 redirect(code, state)를 받아 토큰을 발급받는다.
+   */
+  const completeAuthorization = async ({ state, code, error, errorDescription }) => {
+    const pending = pendingAuthorizations.get(state);
+    pendingAuthorizations.delete(state);
+    if (!pending || Date.now() - pending.createdAt > authorizationTtlMs) {
+      throw new Error('알 수 없거나 만료된 인가 요청입니다. 다시 시도해 주세요.');
+    }
+    if (error) {
+      throw new Error(`인가가 거부되었습니다: ${errorDescription || error}`);
+    }
+    if (!code) {
+      throw new Error('인가 코드가 없습니다.');
+    }
+
+    const token = await requestToken(pending.serverMetadata, {
+      clientId: pending.client.clientId,
+      clientSecret: pending.client.clientSecret,
+      params: {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: pending.codeVerifier,
+        resource: pending.resource,
+      },
+    });
+    oauthTokens.set(
+      pending.key,
+      withRefreshAt({
+        ...token,
+        client: pending.client,
+        serverMetadata: pending.serverMetadata,
+        resource: pending.resource,
+      }),
+    );
+    challenges.delete(pending.key);
+    return { endpoint: pending.key, expiresAt: token.expiresAt, scope: token.scope };
+  };
+
+  const signOut = (endpoint) => {
+    const key = toCredentialKey(endpoint);
+    return key ? oauthTokens.delete(key) : false;
+  };
+
+  return {
+    getHeaders,
+    handleUnauthorized,
+    getStatus,
+    startAuthorization,
+    completeAuthorization,
+    signOut,
+  };
+};
@@ -0,0 +1,170 @@
+import { validateJsonSchema, formatSchemaErrors } from './jsonSchema.js';
+import { createPendingReplies } from './mcpShared.js';
+
+/**
+ * MCP elicitation(elicitation/create) 처리기.
+ * - 서버가 보낸 requestedSchema(평평한 원시 타입 속성)를 채팅 화면용 입력 필드 목록으로 변환
+ * - 연관된 채팅 요청의 SSE로 입력 요청을 보내고, 사용자의 응답(accept/decline/cancel)을 기다림
+ * - accept 응답은 requestedSchema로 검증한 뒤 서버에 돌려줌
+ */
+
+const ELICITATION_ACTIONS = new Set(['accept', 'decline', 'cancel']);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toOptions = (schema) => {
+  if (Array.isArray(schema?.enum)) {
+    const names = Array.isArray(schema.enumNames) ? schema.enumNames : [];
+    return schema.enum.map((value, index) => ({
+      value,
+      label: typeof names[index] === 'string' ? names[index] : String(value),
+    }));
+  }
+  const titled = Array.isArray(schema?.oneOf) ? schema.oneOf : schema?.anyOf;
+  if (Array.isArray(titled) && titled.every((item) => isPlainObject(item) && 'const' in item)) {
+    return titled.map((item) => ({
+      value: item.const,
+      label: typeof item.title === 'string' ? item.title : String(item.const),
+    }));
+  }
+  return null;
+};
+
+/**
+ * requestedSchema.properties를 입력 필드 목록으로 바꾼다.
+ * type: string | number | integer | boolean | enum(단일 선택) | multiselect(배열 + 선택지)
+ */
+export const toElicitationFields = (requestedSchema) => {
+  const properties = isPlainObject(requestedSchema?.properties) ? requestedSchema.properties : {};
+  const required = new Set(
+    Array.isArray(requestedSchema?.required) ? requestedSchema.required : [],
+  );
+
+  return Object.entries(properties)
+    .filter(([, schema]) => isPlainObject(schema))
+    .map(([name, schema]) => {
+      const itemOptions = schema.type === 'array' ? toOptions(schema.items) : null;
+      const options = itemOptions || toOptions(schema);
+      let type = 'string';
+      if (itemOptions) {
+        type = 'multiselect';
+      } else if (options) {
+        type = 'enum';
+      } else if (['number', 'integer', 'boolean'].includes(schema.type)) {
+        type = schema.type;
+      }
+
+      return {
+        name,
+        type,
+        title: typeof schema.title === 'string' ? schema.title : name,
+        description: typeof schema.description === 'string' ? schema.description : '',
+        required: required.has(name),
+        ...(options ? { options } : {}),
+        ...(schema.default !== undefined ? { default: schema.default } : {}),
+        ...(typeof schema.format === 'string' ? { format: schema.format } : {}),
+        ...(typeof schema.minimum === 'number' ? { minimum: schema.minimum } : {}),
+        ...(typeof schema.maximum === 'number' ? { maximum: schema.maximum } : {}),
+        ...(typeof schema.minLength === 'number' ? { minLength: schema.minLength } : {}),
+        ...(typeof schema.maxLength === 'number' ? { maxLength: schema.maxLength } : {}),
+      };
+    });
+};
+
+export const createMCPElicitationHandler = ({ responseTimeoutMs = 300_000 }) => {
+  // elicitationId -> 사용자 응답 { action, content?, reason? } 대기 (data는 검증용 requestedSchema)
+  const pendingElicitations = createPendingReplies({
+    timeoutMs: responseTimeoutMs,
+    timeoutReply: { action: 'cancel', reason: 'timeout' },
+    abortReply: { action: 'cancel', reason: 'client_aborted' },
+  });
+  let elicitationSeq = 0;
+
+  /**
+   * 입력 대기 중인 elicitation에 사용자 응답을 전달한다.
+   * accept의 content가 스키마에 맞지 않으면 대기를 유지한 채 { ok: false, errors }를 반환한다.
+   */
+  const respond = (elicitationId, { action, content } = {}) => {
+    if (!pendingElicitations.has(elicitationId)) {
+      return { ok: false, status: 404, error: '입력 대기 중인 elicitation 요청이 아닙니다.' };
+    }
+    if (!ELICITATION_ACTIONS.has(action)) {
+      return {
+        ok: false,
+        status: 400,
+        error: 'action은 accept, decline, cancel 중 하나여야 합니다.',
+      };
+    }
+    if (action !== 'accept') {
+      pendingElicitations.settle(elicitationId, {
+        action,
+        reason: action === 'decline' ? 'user_declined' : 'user_cancelled',
+      });
+      return { ok: true };
+    }
+
+    const values = Object.fromEntries(
+      Object.entries(isPlainObject(content) ? content : {}).filter(
+        ([, value]) => value !== undefined && value !== null && value !== '',
+      ),
+    );
+    const validation = validateJsonSchema(pendingElicitations.get(elicitationId), values);
+    if (!validation.valid) {
+      return {
+        ok: false,
+        status: 400,
+        error: `입력값이 요청 형식과 맞지 않습니다.\n${formatSchemaErrors(validation.errors)}`,
+        errors: validation.errors,
+      };
+    }
+    pendingElicitations.settle(elicitationId, { action: 'accept', content: values });
+    return { ok: true };
+  };
+
+  /**
+   * elicitation/create 처리기. request.context.elicitation = { emit, signal }
+   * 채팅 요청 밖에서 온 elicitation은 입력 폼을 띄울 화면이 없어 사용자 대신 cancel로 답한다.
+   */
+  const handleElicitation = async (params = {}, { session, request } = {}) => {
+    const elicitation = request?.context?.elicitation || null;
+    if (!elicitation) {
+      return { action: 'cancel' };
+    }
+
+    elicitationSeq += 1;
+    const elicitationId = `elicitation_${Date.now()}_${elicitationSeq}`;
+    const requestedSchema = isPlainObject(params.requestedSchema)
+      ? params.requestedSchema
+      : { type: 'object', properties: {} };
+    const emit = elicitation.emit || (() => {});
+
+    emit('elicitation_request', {
+      elicitationId,
+      server: session?.targetUrl || null,
+      message: typeof params.message === 'string' ? params.message : '',
+      fields: toElicitationFields(requestedSchema),
+    });
+
+    // 폼 입력 대기 시간은 responseTimeoutMs로만 제한하고 도구 호출 timeout에는 넣지 않는다.
+    const release = request?.holdTimeout?.() || (() => {});
+    try {
+      const response = await pendingElicitations.wait(elicitationId, {
+        signal: elicitation.signal,
+        data: requestedSchema,
+      });
+      emit('elicitation_result', {
+        elicitationId,
+        action: response.action,
+        reason: response.reason,
+      });
+      return response.action === 'accept'
+        ? { action: 'accept', content: response.content }
+        : { action: response.action };
+    } finally {
+      release();
+    }
+  };
+
+  return { handleElicitation, respond };
+};
@@ -0,0 +1,187 @@
+/**
+ * 다중 MCP 서버 federation.
+ * - 여러 endpoint 세션을 동시에 연결하고 tools 목록을 병합
+ * - 서버가 2개 이상이면 도구명을 `서버.도구` 형식으로 namespacing
+ * - namespaced 도구명으로 들어온 tools/call을 원래 서버/도구명으로 라우팅
+ * - 도구별 출처(manifest / tools/list)를 포함한 카탈로그 제공
+ */
+export const TOOL_NAMESPACE_SEPARATOR = '.';
+
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export const isValidServerName = (name) =>
+  typeof name === 'string' && SERVER_NAME_PATTERN.test(name);
+
+/**
+ * namespacing 여부와 무관하게 서버가 정의한 원래 도구명을 반환한다.
+ */
+export const getToolBaseName = (tool) => String(tool?.originalName || tool?.name || '');
+
+/**
+ * 서버 하나의 세션을 열고(initialize 포함) load(session)의 결과를 entry에 합친다.
+ * tools/resources/prompts 카탈로그가 같은 entry 형태({ name, targetUrl, session, init, ok, status, error, thrown })를 쓴다.
+ * - 세션 생성/initialize 실패는 entry.error에 남기고 load는 호출하지 않는다.
+ * - 예외(세션 생성, load)는 thrown에도 남겨 단일 서버 호출자가 그대로 다시 던질 수 있게 한다.
+ * defaults는 load가 채우는 필드의 실패 시 기본값이다.
+ */
+export const connectMCPTarget = async ({
+  getSession,
+  target,
+  defaults = {},
+  load,
+  loadErrorCode = 'list_failed',
+}) => {
+  const entry = {
+    name: target.name,
+    targetUrl: target.targetUrl,
+    session: null,
+    init: null,
+    ok: false,
+    status: 0,
+    error: null,
+    thrown: null,
+    ...defaults,
+  };
+
+  try {
+    entry.session = await getSession(target.targetUrl);
+  } catch (error) {
+    entry.thrown = error;
+    entry.error = error instanceof Error ? error.message : 'session_failed';
+    return entry;
+  }
+
+  entry.init = entry.session.init;
+  if (!entry.session.ok) {
+    entry.status = entry.init?.status || 0;
+    entry.error = entry.init?.parsed?.error?.message || entry.init?.raw || 'initialize_failed';
+    return entry;
+  }
+
+  try {
+    Object.assign(entry, await load(entry.session));
+  } catch (error) {
+    entry.thrown = error;
+    entry.error = error instanceof Error ? error.message : loadErrorCode;
+  }
+  return entry;
+};
+
+export const createMCPFederation = ({ getSession }) => {
+  const connectTarget = (target, { refreshTools = false } = {}) =>
+    connectMCPTarget({
+      getSession,
+      target,
+      defaults: { toolContext: null },
+      loadErrorCode: 'tools_list_failed',
+      load: async (session) => {
+        const toolContext = await session.listTools({ refresh: refreshTools });
+        return {
+          toolContext,
+          ok: toolContext.ok,
+          status: toolContext.status,
+          error: toolContext.error,
+        };
+      },
+    });
+
+  /**
+   * targets: [{ name, targetUrl }]
+   * 단일 서버면 기존과 동일하게 도구명을 그대로 쓰고, 세션 예외도 그대로 전파한다.
+   * refreshTools=true면 캐시를 무시하고 도구 목록을 다시 조회한다.
+   */
+  const connect = async (targets = [], options = {}) => {
+    const namespaced = targets.length > 1;
+    const entries = await Promise.all(targets.map((target) => connectTarget(target, options)));
+    if (!namespaced && entries[0]?.thrown) {
+      throw entries[0].thrown;
+    }
+
+    const tools = [];
+    const catalog = [];
+    const routes = new Map();
+    for (const entry of entries) {
+      if (!entry.ok) {
+        continue;
+      }
+
+      for (const tool of entry.toolContext.tools || []) {
+        if (!tool || typeof tool.name !== 'string') {
+          continue;
+        }
+
+        const federatedTool = namespaced
+          ? {
+              ...tool,
+              name: `${entry.name}${TOOL_NAMESPACE_SEPARATOR}${tool.name}`,
+              originalName: tool.name,
+              serverName: entry.name,
+            }
+          : tool;
+        tools.push(federatedTool);
+        catalog.push({
+          name: federatedTool.name,
+          originalName: tool.name,
+          server: entry.name,
+          description: tool.description || '',
+          provenance: entry.toolContext.provenance?.[tool.name] || [],
+          inputSchema: tool.inputSchema || null,
+          outputSchema: tool.outputSchema || null,
+        });
+        routes.set(federatedTool.name, { entry, originalName: tool.name });
+      }
+    }
+
+    const callTool = async (toolName, toolArguments, requestType = 'primary', options = {}) => {
+      const route =
+        routes.get(toolName) ||
+        (!namespaced && entries[0]?.session ? { entry: entries[0], originalName: toolName } : null);
+      if (!route) {
+        return {
+          status: 404,
+          parsed: {
+            jsonrpc: '2.0',
+            error: {
+              code: -32602,
+              message: `연결된 MCP 서버에서 도구를 찾지 못했습니다: ${toolName}`,
+            },
+          },
+          raw: '',
+          notifications: [],
+        };
+      }
+
+      return route.entry.session.request(
+        'tools/call',
+        {
+          name: route.originalName,
+          arguments: toolArguments,
+        },
+        requestType,
+        options,
+      );
+    };
+
+    return {
+      namespaced,
+      entries,
+      tools,
+      catalog,
+      routes,
+      callTool,
+      servers: entries.map((entry) => ({
+        name: entry.name,
+        targetUrl: entry.targetUrl,
+        ok: entry.ok,
+        status: entry.status,
+        error: entry.ok ? null : entry.error,
+        transport: entry.session?.transportKind || null,
+        toolCount: entry.ok ? entry.toolContext.tools.length : 0,
+        cached: entry.ok ? entry.toolContext.cached : false,
+        fetchedAt: entry.ok ? entry.toolContext.fetchedAt : null,
+      })),
+    };
+  };
+
+  return { connect };
+};
@@ -0,0 +1,212 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { createTimeoutSignal } from './resilience.js';
+
+/**
+ * MCP 인증(OAuth 2.1) 프로토콜 유틸.
+ * - 401 응답의 WWW-Authenticate 해석
+ * - Protected Resource Metadata(RFC 9728) / Authorization Server Metadata(RFC 8414) 탐색
+ * - PKCE(S256), Dynamic Client Registration(RFC 7591), 토큰 발급/갱신
+ * 상태(토큰, 진행 중인 인가 요청)는 보관하지 않는다. 보관은 mcpCredentials.js가 맡는다.
+ */
+
+const base64Url = (buffer) =>
+  buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * `Bearer resource_metadata="...", scope="a b"` 형식의 헤더를 { scheme, params }로 바꾼다.
+ */
+export const parseWWWAuthenticate = (header) => {
+  if (typeof header !== 'string' || !header.trim()) {
+    return null;
+  }
+  const [scheme, ...rest] = header.trim().split(/\s+/);
+  const params = {};
+  for (const match of rest.join(' ').matchAll(/([\w-]+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g)) {
+    params[match[1].toLowerCase()] = (match[2] ?? match[3]).replace(/\\(.)/g, '$1');
+  }
+  return { scheme: scheme.toLowerCase(), params };
+};
+
+/**
+ * PKCE code_verifier와 S256 code_challenge를 만든다.
+ */
+export const createPkcePair = () => {
+  const verifier = base64Url(randomBytes(32));
+  const challenge = base64Url(createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+};
+
+export const createOAuthState = () => base64Url(randomBytes(16));
+
+const fetchJson = async (url, init = {}, timeoutMs = 10_000) => {
+  const timeout = createTimeoutSignal(undefined, timeoutMs);
+  try {
+    const response = await fetch(url, { ...init, signal: timeout.signal });
+    const data = await response.json().catch(() => null);
+    return { ok: response.ok, status: response.status, data };
+  } catch (error) {
+    return {
+      ok: false,
+      status: 0,
+      data: null,
+      error: timeout.isTimedOut() ? 'fetch_timeout' : error?.message || 'fetch_failed',
+    };
+  } finally {
+    timeout.cleanup();
+  }
+};
+
+/**
+ * 경로가 있는 URL은 well-known 경로를 path 앞에 끼워 넣은 후보를 먼저 시도한다.
+ * 예) https://host/tenant -> https://host/.well-known/{suffix}/tenant, https://host/.well-known/{suffix}
+ */
+const wellKnownCandidates = (baseUrl, suffix) => {
+  const url = new URL(baseUrl);
+  const path = url.pathname.replace(/\/+$/, '');
+  const candidates = [];
+  if (path) {
+    candidates.push(`${url.origin}/.well-known/${suffix}${path}`);
+  }
+  candidates.push(`${url.origin}/.well-known/${suffix}`);
+  return candidates;
+};
+
+/**
+ * MCP 서버의 Protected Resource Metadata를 찾는다.
+ * 401 응답이 resource_metadata URL을 알려주면 그것을 먼저 쓰고, 없으면 well-known 경로를 시도한다.
+ */
+export const discoverProtectedResource = async (endpoint, { resourceMetadataUrl } = {}) => {
+  const candidates = [
+    ...(resourceMetadataUrl ? [resourceMetadataUrl] : []),
+    ...wellKnownCandidates(endpoint, 'oauth-protected-resource'),
+  ];
+  for (const candidate of candidates) {
+    const result = await fetchJson(candidate, { headers: { Accept: 'application/json' } });
+    if (result.ok && Array.isArray(result.data?.authorization_servers)) {
+      return { ...result.data, source: candidate };
+    }
+  }
+  return null;
+};
+
+/**
+ * Authorization Server Metadata를 찾는다(OAuth -> OpenID Connect 순).
+ * 메타데이터가 없으면 초기 MCP 명세처럼 issuer 기준 기본 경로(/authorize, /token, /register)를 쓴다.
+ */
+export const discoverAuthorizationServer = async (issuer) => {
+  const url = new URL(issuer);
+  const path = url.pathname.replace(/\/+$/, '');
+  const candidates = [
+    ...wellKnownCandidates(issuer, 'oauth-authorization-server'),
+    ...(path ? [`${url.origin}/.well-known/openid-configuration${path}`] : []),
+    ...(path ? [`${url.origin}${path}/.well-known/openid-configuration`] : []),
+    `${url.origin}/.well-known/openid-configuration`,
+  ];
+  for (const candidate of candidates) {
+    const result = await fetchJson(candidate, { headers: { Accept: 'application/json' } });
+    if (result.ok && result.data?.authorization_endpoint && result.data?.token_endpoint) {
+      return { ...result.data, source: candidate };
+    }
+  }
+  return {
+    issuer: url.origin,
+    authorization_endpoint: `${url.origin}/authorize`,
+    token_endpoint: `${url.origin}/token`,
+    registration_endpoint: `${url.origin}/register`,
+    source: null,
+  };
+};
+
+/**
+ * Dynamic Client Registration으로 public client를 등록한다.
+ */
+export const registerClient = async (serverMetadata, { redirectUri, clientName, scope }) => {
+  if (!serverMetadata.registration_endpoint) {
+    throw new Error(
+      '인증 서버가 클라이언트 동적 등록을 지원하지 않습니다. LOCAL_MCP_CREDENTIALS에 clientId를 설정해 주세요.',
+    );
+  }
+  const result = await fetchJson(serverMetadata.registration_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({
+      client_name: clientName,
+      redirect_uris: [redirectUri],
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      token_endpoint_auth_method: 'none',
+      ...(scope ? { scope } : {}),
+    }),
+  });
+  if (!result.ok || typeof result.data?.client_id !== 'string') {
+    throw new Error(
+      `클라이언트 동적 등록에 실패했습니다. (${result.status}) ${result.data?.error_description || result.data?.error || result.error || ''}`.trim(),
+    );
+  }
+  return {
+    clientId: result.data.client_id,
+    clientSecret: typeof result.data.client_secret === 'string' ? result.data.client_secret : null,
+  };
+};
+
+export const buildAuthorizationUrl = (
+  serverMetadata,
+  { clientId, redirectUri, codeChallenge, state, resource, scope },
+) => {
+  const url = new URL(serverMetadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  url.searchParams.set('state', state);
+  // 발급된 토큰이 이 MCP 서버 전용이 되도록 resource(RFC 8707)를 함께 보낸다.
+  url.searchParams.set('resource', resource);
+  if (scope) {
+    url.searchParams.set('scope', scope);
+  }
+  return url.toString();
+};
+
+/**
+ * token endpoint 호출(authorization_code / refresh_token 공통). client_secret이 있으면 Basic 인증을 쓴다.
+ * 반환: { accessToken, refreshToken, tokenType, scope, expiresAt }
+ */
+export const requestToken = async (serverMetadata, { clientId, clientSecret, params }) => {
+  const body = new URLSearchParams({ ...params, client_id: clientId });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json',
+  };
+  const authMethods = serverMetadata.token_endpoint_auth_methods_supported;
+  if (clientSecret) {
+    if (Array.isArray(authMethods) && !authMethods.includes('client_secret_basic')) {
+      body.set('client_secret', clientSecret);
+    } else {
+      headers.Authorization = `Basic ${Buffer.from(
+        `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`,
+      ).toString('base64')}`;
+    }
+  }
+
+  const result = await fetchJson(serverMetadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: body.toString(),
+  });
+  if (!result.ok || typeof result.data?.access_token !== 'string') {
+    const error = new Error(
+      `토큰 발급에 실패했습니다. (${result.status}) ${result.data?.error_description || result.data?.error || result.error || ''}`.trim(),
+    );
+    error.oauthError = result.data?.error || null;
+    throw error;
+  }
+  const expiresIn = Number(result.data.expires_in);
+  return {
+    accessToken: result.data.access_token,
+    refreshToken: typeof result.data.refresh_token === 'string' ? result.data.refresh_token : null,
+    tokenType: result.data.token_type || 'Bearer',
+    scope: typeof result.data.scope === 'string' ? result.data.scope : null,
+    expiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+  };
+};
@@ -0,0 +1,202 @@
+import { connectMCPTarget } from './mcpFederation.js';
+
+/**
+ * MCP resources 조회/읽기 유틸.
+ * - 연결된 서버별 resources/list, resources/templates/list 결과를 병합
+ * - resources/read 결과(contents)를 텍스트로 정규화
+ * - 사용자 요청과 관련 있는 문서를 골라 writer 에이전트 grounding으로 제공
+ */
+const DEFAULT_GROUNDING_MAX_CHARS = 4000;
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length >= 2);
+
+/**
+ * resources/read 응답의 contents 중 텍스트만 이어붙인다. blob은 크기만 표시한다.
+ */
+export const extractResourceText = (contents = []) =>
+  contents
+    .map((content) => {
+      if (typeof content?.text === 'string') {
+        return content.text;
+      }
+      if (typeof content?.blob === 'string') {
+        return `[binary ${content.mimeType || 'blob'} ${content.blob.length} bytes(base64)]`;
+      }
+      return '';
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+const scoreResource = (resource, queryTokens) => {
+  const haystack = [resource.name, resource.title, resource.description, resource.uri]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return queryTokens.reduce((score, token) => (haystack.includes(token) ? score + 1 : score), 0);
+};
+
+export const createMCPResourceCatalog = ({ getSession }) => {
+  const connectTarget = (target, { refresh = false } = {}) =>
+    connectMCPTarget({
+      getSession,
+      target,
+      defaults: { supported: false, resources: [], templates: [] },
+      loadErrorCode: 'resources_list_failed',
+      load: async (session) => {
+        const context = await session.listResources({ refresh });
+        return {
+          ok: context.ok,
+          supported: context.supported,
+          error: context.error,
+          resources: context.resources,
+          templates: context.templates,
+        };
+      },
+    });
+
+  /**
+   * targets: [{ name, targetUrl }]
+   * 각 resource/template에 server 이름을 붙여 하나의 목록으로 반환한다.
+   */
+  const listResources = async (targets = [], options = {}) => {
+    const entries = await Promise.all(targets.map((target) => connectTarget(target, options)));
+    return {
+      entries,
+      resources: entries.flatMap((entry) =>
+        entry.resources.map((resource) => ({ ...resource, server: entry.name })),
+      ),
+      templates: entries.flatMap((entry) =>
+        entry.templates.map((template) => ({ ...template, server: entry.name })),
+      ),
+      servers: entries.map((entry) => ({
+        name: entry.name,
+        targetUrl: entry.targetUrl,
+        ok: entry.ok,
+        supported: entry.supported,
+        error: entry.ok ? null : entry.error,
+        resourceCount: entry.resources.length,
+        templateCount: entry.templates.length,
+      })),
+    };
+  };
+
+  /**
+   * 이미 연결한 서버 entry(listResources().entries)에서 resources/read를 호출한다.
+   */
+  const readFromEntry = async (owner, uri, { signal } = {}) => {
+    const response = await owner.session.readResource(uri, { signal });
+    const contents = Array.isArray(response.parsed?.result?.contents)
+      ? response.parsed.result.contents
+      : null;
+    if (response.status >= 400 || !contents) {
+      return {
+        ok: false,
+        status: response.status >= 400 ? response.status : 502,
+        error: response.parsed?.error?.message || response.raw || 'resources_read_failed',
+        server: owner.name,
+        uri,
+        contents: [],
+        text: '',
+      };
+    }
+
+    return {
+      ok: true,
+      status: 200,
+      error: null,
+      server: owner.name,
+      uri,
+      contents,
+      text: extractResourceText(contents),
+    };
+  };
+
+  /**
+   * server를 지정하지 않으면 uri를 목록에 가진 서버로, 없으면 첫 번째 지원 서버로 보낸다.
+   * (template으로 만든 uri는 목록에 없을 수 있다)
+   */
+  const readResource = async (targets = [], { uri, server } = {}) => {
+    const listing = await listResources(targets);
+    const candidates = listing.entries.filter((entry) => entry.ok && entry.supported);
+    const owner =
+      (server
+        ? candidates.find((entry) => entry.name === server)
+        : candidates.find((entry) => entry.resources.some((item) => item.uri === uri)) ||
+          candidates[0]) || null;
+
+    if (!owner) {
+      return {
+        ok: false,
+        status: 404,
+        error: server
+          ? `resources를 지원하는 MCP 서버를 찾지 못했습니다: ${server}`
+          : 'resources를 지원하는 MCP 서버가 없습니다.',
+        server: server || null,
+        uri,
+        contents: [],
+        text: '',
+      };
+    }
+
+    return readFromEntry(owner, uri);
+  };
+
+  /**
+   * 요청과 이름/설명/uri가 겹치는 resource를 최대 limit개 읽어 grounding 문서로 만든다.
+   * 목록 조회는 한 번만 하고, 고른 문서는 그 목록의 서버 세션으로 바로 읽는다.
+   * 읽기에 실패한 문서는 건너뛰고 나머지만 반환한다(signal 중단은 그대로 던진다).
+   */
+  const collectGrounding = async (
+    targets = [],
+    { query, limit = 3, maxChars = DEFAULT_GROUNDING_MAX_CHARS, signal } = {},
+  ) => {
+    if (limit <= 0) {
+      return [];
+    }
+
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    const listing = await listResources(targets);
+    const entries = new Map(listing.entries.map((entry) => [entry.name, entry]));
+    const ranked = listing.resources
+      .map((resource) => ({ resource, score: scoreResource(resource, queryTokens) }))
+      .filter((item) => item.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const documents = await Promise.all(
+      ranked.map(async ({ resource, score }) => {
+        let read;
+        try {
+          read = await readFromEntry(entries.get(resource.server), resource.uri, { signal });
+        } catch (error) {
+          if (signal?.aborted) {
+            throw error;
+          }
+          return null;
+        }
+        if (!read.ok || !read.text) {
+          return null;
+        }
+        return {
+          uri: resource.uri,
+          server: resource.server,
+          name: resource.title || resource.name || resource.uri,
+          score,
+          truncated: read.text.length > maxChars,
+          text: read.text.slice(0, maxChars),
+        };
+      }),
+    );
+    return documents.filter(Boolean);
+  };
+
+  return { listResources, readResource, collectGrounding };
+};
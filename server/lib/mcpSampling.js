@@ -0,0 +1,212 @@
+import { createPendingReplies } from './mcpShared.js';
+
+/**
+ * MCP sampling(sampling/createMessage) 처리기.
+ * - 서버가 요청한 메시지를 OpenAI chat 형식으로 변환해 브릿지 모델로 생성
+ * - modelPreferences(hints, 우선순위)를 설정된 모델 목록 중 하나로 매핑
+ * - 연관된 채팅 요청이 있으면 SSE로 요청/결과를 알리고, 필요하면 사용자 승인을 기다림
+ */
+
+// 사용자가 거절하면 MCP 명세대로 -1 오류 코드로 응답한다.
+const USER_REJECTED_CODE = -1;
+
+const createSamplingError = (message, code = USER_REJECTED_CODE) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const toContentList = (content) => [].concat(content || []).filter(Boolean);
+
+const contentToText = (content) => {
+  if (content.type === 'text') {
+    return String(content.text || '');
+  }
+  return `[${content.type || 'unknown'} content]`;
+};
+
+/**
+ * sampling 메시지를 OpenAI messages로 변환한다. 이미지는 user 메시지에서만 data URL로 전달한다.
+ */
+export const toOpenAIMessages = ({ systemPrompt, messages = [] }) => {
+  const converted = [];
+  if (typeof systemPrompt === 'string' && systemPrompt.trim()) {
+    converted.push({ role: 'system', content: systemPrompt });
+  }
+
+  for (const message of messages) {
+    if (message?.role !== 'user' && message?.role !== 'assistant') {
+      continue;
+    }
+    const contents = toContentList(message.content);
+    const hasImage = contents.some((content) => content.type === 'image');
+    if (message.role === 'user' && hasImage) {
+      converted.push({
+        role: 'user',
+        content: contents.map((content) =>
+          content.type === 'image'
+            ? {
+                type: 'image_url',
+                image_url: {
+                  url: `data:${content.mimeType || 'image/png'};base64,${content.data}`,
+                },
+              }
+            : { type: 'text', text: contentToText(content) },
+        ),
+      });
+      continue;
+    }
+    converted.push({
+      role: message.role,
+      content: contents.map(contentToText).filter(Boolean).join('\n\n'),
+    });
+  }
+  return converted;
+};
+
+/**
+ * modelPreferences를 models(가벼운 모델 -> 고성능 모델 순) 중 하나로 고른다.
+ * hints가 설정된 모델 이름과 겹치면 우선하고, 아니면 intelligence와 cost/speed 우선순위를 비교한다.
+ */
+export const selectSamplingModel = (preferences = {}, models = []) => {
+  if (models.length === 0) {
+    return null;
+  }
+
+  const hints = Array.isArray(preferences?.hints) ? preferences.hints : [];
+  for (const hint of hints) {
+    const name = typeof hint?.name === 'string' ? hint.name.toLowerCase() : '';
+    if (!name) {
+      continue;
+    }
+    const matched = models.find(
+      (model) => model.toLowerCase().includes(name) || name.includes(model.toLowerCase()),
+    );
+    if (matched) {
+      return matched;
+    }
+  }
+
+  const priority = (value) => (typeof value === 'number' ? Math.min(1, Math.max(0, value)) : 0.5);
+  const intelligence = priority(preferences?.intelligencePriority);
+  const economy = (priority(preferences?.costPriority) + priority(preferences?.speedPriority)) / 2;
+  const position = (intelligence - economy + 1) / 2;
+  return models[Math.round(position * (models.length - 1))];
+};
+
+const STOP_REASONS = {
+  stop: 'endTurn',
+  length: 'maxTokens',
+};
+
+const previewText = (text, maxChars = 500) =>
+  text.length > maxChars ? `${text.slice(0, maxChars)}…` : text;
+
+export const createMCPSamplingHandler = ({
+  createChatCompletion,
+  models = [],
+  requireApproval: requireApprovalByDefault = false,
+  approvalTimeoutMs = 120_000,
+}) => {
+  // samplingId -> 사용자 결정 { approved, reason } 대기
+  const pendingApprovals = createPendingReplies({
+    timeoutMs: approvalTimeoutMs,
+    timeoutReply: { approved: false, reason: 'approval_timeout' },
+    abortReply: { approved: false, reason: 'client_aborted' },
+  });
+  let samplingSeq = 0;
+
+  /**
+   * 승인 대기 중인 sampling 요청에 사용자 결정을 전달한다. 대기 중이 아니면 false.
+   */
+  const decide = (samplingId, approved) =>
+    pendingApprovals.settle(samplingId, {
+      approved: approved === true,
+      reason: approved === true ? 'approved' : 'user_rejected',
+    });
+
+  /**
+   * sampling/createMessage 처리기. request.context.sampling = { emit, requireApproval, signal }
+   * 승인이 필요한데 연관된 채팅 요청이 없으면(서버 GET 스트림 등) 물어볼 곳이 없으므로 거절한다.
+   */
+  const handleCreateMessage = async (params = {}, { session, request } = {}) => {
+    samplingSeq += 1;
+    const samplingId = `sampling_${Date.now()}_${samplingSeq}`;
+    const sampling = request?.context?.sampling || null;
+    const emit = sampling?.emit || (() => {});
+    const model = selectSamplingModel(params.modelPreferences, models);
+    const messages = toOpenAIMessages(params);
+    const requireApproval = requireApprovalByDefault || sampling?.requireApproval === true;
+
+    emit('sampling_request', {
+      samplingId,
+      server: session?.targetUrl || null,
+      model,
+      maxTokens: params.maxTokens ?? null,
+      systemPrompt: typeof params.systemPrompt === 'string' ? params.systemPrompt : '',
+      messages: (params.messages || []).map((message) => ({
+        role: message?.role,
+        text: previewText(toContentList(message?.content).map(contentToText).join('\n')),
+      })),
+      approvalRequired: requireApproval,
+    });
+
+    if (requireApproval && !sampling) {
+      throw createSamplingError(
+        'Sampling request requires user approval but no client is attached',
+      );
+    }
+
+    // 승인 대기와 모델 생성 동안 서버는 응답을 기다리므로 원래 tools/call의 timeout은 멈춘다.
+    const release = request?.holdTimeout?.() || (() => {});
+    try {
+      if (requireApproval) {
+        const decision = await pendingApprovals.wait(samplingId, { signal: sampling.signal });
+        if (!decision.approved) {
+          emit('sampling_result', { samplingId, status: 'rejected', reason: decision.reason });
+          throw createSamplingError(
+            decision.reason === 'approval_timeout'
+              ? 'Sampling request was not approved in time'
+              : 'User rejected sampling request',
+          );
+        }
+      }
+
+      let completion;
+      try {
+        completion = await createChatCompletion({
+          messages,
+          model,
+          maxTokens: typeof params.maxTokens === 'number' ? params.maxTokens : undefined,
+          temperature: typeof params.temperature === 'number' ? params.temperature : undefined,
+          stop: params.stopSequences,
+          signal: sampling?.signal,
+        });
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'sampling_failed';
+        emit('sampling_result', { samplingId, status: 'failed', error: message });
+        throw createSamplingError(message, -32603);
+      }
+
+      const stopReason = STOP_REASONS[completion.finishReason] || completion.finishReason;
+      emit('sampling_result', {
+        samplingId,
+        status: 'completed',
+        model: completion.model,
+        stopReason,
+        text: previewText(completion.text),
+      });
+
+      return {
+        role: 'assistant',
+        content: { type: 'text', text: completion.text },
+        model: completion.model,
+        stopReason: stopReason || 'endTurn',
+      };
+    } finally {
+      release();
+    }
+  };
+
+  return { handleCreateMessage, decide };
+};
@@ -0,0 +1,182 @@
+import { TOOL_NAMESPACE_SEPARATOR, connectMCPTarget } from './mcpFederation.js';
+
+/**
+ * MCP 서버 prompts(prompts/list, prompts/get) 유틸.
+ * - 연결된 서버의 prompt 목록을 `/명령` 후보로 병합 (서버가 2개 이상이면 `서버.prompt`)
+ * - prompts/get 결과 메시지를 오케스트레이션 입력(prompt + conversation)으로 변환
+ */
+
+/**
+ * prompt 메시지 content 하나를 텍스트로 변환한다.
+ * 임베디드 resource는 본문을, 이미지/오디오/링크는 자리표시만 남긴다.
+ */
+const contentToText = (content) => {
+  if (!content || typeof content !== 'object') {
+    return '';
+  }
+  if (content.type === 'text') {
+    return String(content.text || '');
+  }
+  if (content.type === 'resource') {
+    const resource = content.resource || {};
+    return typeof resource.text === 'string'
+      ? `[${resource.uri || 'resource'}]\n${resource.text}`
+      : `[${resource.uri || 'resource'}]`;
+  }
+  if (content.type === 'resource_link') {
+    return `[${content.name || content.uri || 'resource'}](${content.uri || ''})`;
+  }
+  return `[${content.type || 'unknown'} content]`;
+};
+
+/**
+ * prompts/get 메시지 목록을 { prompt, conversation } 형태로 변환한다.
+ * 마지막으로 연속된 user 메시지들을 합쳐 이번 요청으로 쓰고, 나머지는 대화 이력으로 넘긴다.
+ */
+export const expandPromptMessages = (messages = []) => {
+  const normalized = messages
+    .filter((message) => message && (message.role === 'user' || message.role === 'assistant'))
+    .map((message) => ({
+      role: message.role,
+      text: []
+        .concat(message.content || [])
+        .map(contentToText)
+        .filter(Boolean)
+        .join('\n\n'),
+    }))
+    .filter((message) => message.text);
+
+  let lastUserIndex = -1;
+  normalized.forEach((message, index) => {
+    if (message.role === 'user') {
+      lastUserIndex = index;
+    }
+  });
+  if (lastUserIndex < 0) {
+    return { prompt: '', conversation: normalized };
+  }
+
+  let firstUserIndex = lastUserIndex;
+  while (firstUserIndex > 0 && normalized[firstUserIndex - 1].role === 'user') {
+    firstUserIndex -= 1;
+  }
+
+  return {
+    prompt: normalized
+      .slice(firstUserIndex, lastUserIndex + 1)
+      .map((message) => message.text)
+      .join('\n\n'),
+    conversation: [...normalized.slice(0, firstUserIndex), ...normalized.slice(lastUserIndex + 1)],
+  };
+};
+
+export const createMCPPromptCatalog = ({ getSession }) => {
+  const connectTarget = (target, { refresh = false } = {}) =>
+    connectMCPTarget({
+      getSession,
+      target,
+      defaults: { supported: false, prompts: [] },
+      loadErrorCode: 'prompts_list_failed',
+      load: async (session) => {
+        const context = await session.listPrompts({ refresh });
+        return {
+          ok: context.ok,
+          supported: context.supported,
+          error: context.error,
+          prompts: context.prompts,
+        };
+      },
+    });
+
+  /**
+   * targets: [{ name, targetUrl }]
+   * command는 화면에서 `/command`로 입력하는 이름이다.
+   */
+  const listPrompts = async (targets = [], options = {}) => {
+    const namespaced = targets.length > 1;
+    const entries = await Promise.all(targets.map((target) => connectTarget(target, options)));
+    return {
+      entries,
+      namespaced,
+      prompts: entries.flatMap((entry) =>
+        entry.prompts.map((prompt) => ({
+          command: namespaced
+            ? `${entry.name}${TOOL_NAMESPACE_SEPARATOR}${prompt.name}`
+            : prompt.name,
+          name: prompt.name,
+          server: entry.name,
+          title: prompt.title || '',
+          description: prompt.description || '',
+          arguments: Array.isArray(prompt.arguments)
+            ? prompt.arguments
+                .filter((argument) => typeof argument?.name === 'string')
+                .map((argument) => ({
+                  name: argument.name,
+                  description: argument.description || '',
+                  required: argument.required === true,
+                }))
+            : [],
+        })),
+      ),
+      servers: entries.map((entry) => ({
+        name: entry.name,
+        targetUrl: entry.targetUrl,
+        ok: entry.ok,
+        supported: entry.supported,
+        error: entry.ok ? null : entry.error,
+        promptCount: entry.prompts.length,
+      })),
+    };
+  };
+
+  /**
+   * prompts/get 호출. server가 없으면 해당 이름의 prompt를 가진 첫 서버로 보낸다.
+   */
+  const getPrompt = async (targets = [], { name, server, arguments: promptArguments = {} }) => {
+    const listing = await listPrompts(targets);
+    const owner =
+      listing.entries.find(
+        (entry) =>
+          entry.ok &&
+          (!server || entry.name === server) &&
+          entry.prompts.some((prompt) => prompt.name === name),
+      ) || null;
+    if (!owner) {
+      return {
+        ok: false,
+        status: 404,
+        error: `MCP prompt를 찾지 못했습니다: ${server ? `${server}${TOOL_NAMESPACE_SEPARATOR}` : ''}${name}`,
+        server: server || null,
+        name,
+        description: '',
+        messages: [],
+      };
+    }
+
+    const response = await owner.session.getPrompt(name, promptArguments);
+    const result = response.parsed?.result;
+    if (response.status >= 400 || !Array.isArray(result?.messages)) {
+      return {
+        ok: false,
+        status: response.status >= 400 ? response.status : 502,
+        error: response.parsed?.error?.message || response.raw || 'prompts_get_failed',
+        server: owner.name,
+        name,
+        description: '',
+        messages: [],
+      };
+    }
+
+    return {
+      ok: true,
+      status: 200,
+      error: null,
+      server: owner.name,
+      name,
+      description: result.description || '',
+      messages: result.messages,
+    };
+  };
+
+  return { listPrompts, getPrompt };
+};
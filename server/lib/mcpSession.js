@@ -0,0 +1,682 @@
+import { createMCPHttpTransport } from './mcpStreamableHttp.js';
+import {
+  TRANSIENT_HTTP_STATUSES,
+  computeRetryDelay,
+  createCircuitBreaker,
+  createTimeoutSignal,
+  parseRetryAfter,
+  sleep,
+} from './resilience.js';
+import {
+  createMCPStdioTransport,
+  getStdioServerName,
+  isStdioEndpoint,
+} from './mcpStdioTransport.js';
+
+/**
+ * MCP 세션 매니저.
+ * endpoint별로 initialize 핸드셰이크를 1회만 수행하고 세션을 재사용한다.
+ * - initialize -> notifications/initialized
+ * - Mcp-Session-Id 헤더 보관/재전송 (HTTP)
+ * - manifest + tools/list 병합 결과와 resources/prompts 목록을 세션 단위로 캐시해 planner/executor가 공유
+ *   (TTL 만료, notifications/{tools,resources,prompts}/list_changed 수신, 수동 갱신 시 무효화)
+ * - 전송 계층(Streamable HTTP / stdio)과 무관하게 같은 request/notify 인터페이스 제공
+ * - 요청마다 timeout, 일시적 오류 재시도(지수 백오프, Retry-After 우선), endpoint별 circuit breaker 적용
+ * - buildHeaders(targetUrl)로 endpoint별 인증 헤더를 붙이고, 401이면 onUnauthorized로 토큰 갱신 후 1회 재시도
+ */
+export const createMCPSessionManager = ({
+  protocolVersion = '2025-11-25',
+  clientInfo = { name: 'local-mcp-bridge', version: '0.1.0' },
+  clientCapabilities = {},
+  buildHeaders,
+  onUnauthorized = null,
+  fetchManifest,
+  mergeToolSpecs,
+  openServerStream = true,
+  stdioServers = null,
+  toolCacheTtlMs = 60_000,
+  requestTimeoutMs = 30_000,
+  maxRetries = 2,
+  retryBaseDelayMs = 500,
+  retryMaxDelayMs = 10_000,
+  circuitFailureThreshold = 5,
+  circuitCooldownMs = 30_000,
+}) => {
+  const sessions = new Map();
+  const messageListeners = new Set();
+  // progressToken -> notifications/progress 수신 콜백
+  const progressListeners = new Map();
+  // 진행 중인 요청 id -> { id, method, session, context, holdTimeout } (서버 request 처리기에 전달)
+  const requestContexts = new Map();
+  // 서버 -> 클라이언트 request 처리기 (method -> handler)
+  const requestHandlers = new Map([['ping', async () => ({})]]);
+  let requestSeq = 0;
+  const MAX_LIST_PAGES = 20;
+  // tools/call은 부작용이 있을 수 있어, 서버가 실행 전에 거절한 상태 코드만 재시도한다.
+  const TOOL_CALL_RETRY_STATUSES = new Set([429, 503]);
+  const circuitBreaker = createCircuitBreaker({
+    failureThreshold: circuitFailureThreshold,
+    cooldownMs: circuitCooldownMs,
+  });
+
+  const nextRequestId = (suffix = '') => {
+    requestSeq += 1;
+    return suffix ? `${Date.now()}-${requestSeq}-${suffix}` : `${Date.now()}-${requestSeq}`;
+  };
+
+  /**
+   * 서버 request가 어느 클라이언트 요청 처리 중에 왔는지 찾는다.
+   * 연관 요청을 알 수 없으면(stdio, GET 스트림) 같은 세션에서 가장 최근에 context와 함께 보낸 요청으로 본다.
+   */
+  const findRequestContext = (session, relatedRequestId) => {
+    if (relatedRequestId !== undefined && relatedRequestId !== null) {
+      const related = requestContexts.get(String(relatedRequestId));
+      if (related) {
+        return related;
+      }
+    }
+    let latest = null;
+    for (const entry of requestContexts.values()) {
+      if (entry.session === session && entry.context) {
+        latest = entry;
+      }
+    }
+    return latest;
+  };
+
+  /**
+   * 서버가 보낸 request에 등록된 처리기로 응답하고, 없으면 Method not found 오류를 돌려준다.
+   * 처리기는 (params, { session, message, request })로 호출되며, request는 연관된 클라이언트 요청 정보다.
+   */
+  const replyToServerRequest = async (session, message, relatedRequestId) => {
+    const handler = requestHandlers.get(message.method);
+    let reply;
+    if (!handler) {
+      reply = {
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: -32601, message: `Method not found: ${message.method}` },
+      };
+    } else {
+      try {
+        const result = await handler(message.params || {}, {
+          session,
+          message,
+          request: findRequestContext(session, relatedRequestId),
+        });
+        reply = { jsonrpc: '2.0', id: message.id, result: result || {} };
+      } catch (error) {
+        reply = {
+          jsonrpc: '2.0',
+          id: message.id,
+          error: {
+            code: typeof error?.code === 'number' ? error.code : -32603,
+            message: error instanceof Error ? error.message : 'internal_error',
+          },
+        };
+      }
+    }
+
+    try {
+      await session.transport.send(reply);
+    } catch {
+      // noop
+    }
+  };
+
+  /**
+   * 서버가 보낸 notification/request를 처리한다.
+   */
+  const handleServerMessage = async (session, message, { relatedRequestId } = {}) => {
+    if (message?.method === 'notifications/tools/list_changed') {
+      session.invalidateTools();
+    }
+    if (message?.method === 'notifications/resources/list_changed') {
+      session.invalidateResources();
+    }
+    if (message?.method === 'notifications/prompts/list_changed') {
+      session.invalidatePrompts();
+    }
+    if (message?.method === 'notifications/progress') {
+      const onProgress = progressListeners.get(String(message.params?.progressToken ?? ''));
+      try {
+        onProgress?.(message.params || {});
+      } catch {
+        // noop
+      }
+    }
+
+    for (const listener of messageListeners) {
+      try {
+        listener({ targetUrl: session.targetUrl, message });
+      } catch {
+        // noop
+      }
+    }
+
+    if (typeof message?.method !== 'string' || message.id === undefined || message.id === null) {
+      return;
+    }
+
+    // 처리기가 사용자 승인 등으로 오래 걸려도 같은 스트림의 다음 메시지(progress 등)는 계속 읽는다.
+    void replyToServerRequest(session, message, relatedRequestId);
+  };
+
+  const dropSession = (session) => {
+    const current = sessions.get(session.targetUrl);
+    if (current && current.session === session) {
+      sessions.delete(session.targetUrl);
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * 핸드셰이크에 실패한 세션을 캐시에서 빼고 전송을 닫는다.
+   * 같은 핸드셰이크를 기다린 호출이 여럿이어도 캐시에서 뺀 한 곳에서만 닫는다.
+   */
+  const discardSession = async (session) => {
+    if (dropSession(session)) {
+      await session.transport?.close();
+    }
+  };
+
+  const createTransport = (session) => {
+    const onMessage = (message, meta) => handleServerMessage(session, message, meta);
+
+    if (isStdioEndpoint(session.targetUrl)) {
+      const supervisor = stdioServers?.get(getStdioServerName(session.targetUrl)) || null;
+      if (!supervisor) {
+        return null;
+      }
+      return createMCPStdioTransport({
+        supervisor,
+        onMessage,
+        // 프로세스가 재시작되면 다음 요청에서 다시 핸드셰이크한다.
+        onClose: () => dropSession(session),
+      });
+    }
+
+    return createMCPHttpTransport({
+      targetUrl: session.targetUrl,
+      buildHeaders: () => buildHeaders(session.targetUrl),
+      onMessage,
+      openServerStream,
+    });
+  };
+
+  /**
+   * 목록 조회 결과 캐시. TTL이 지났거나 refresh=true면 다시 조회한다.
+   * toolCacheTtlMs가 0 이하면 만료 없이 무효화될 때까지 유지하고, 실패한 조회는 캐시하지 않는다.
+   */
+  const createCatalogCache = (load) => {
+    let pending = null;
+    let expiresAt = 0;
+
+    const invalidate = () => {
+      pending = null;
+      expiresAt = 0;
+    };
+
+    const get = async ({ refresh = false } = {}) => {
+      const expired = toolCacheTtlMs > 0 && expiresAt > 0 && Date.now() >= expiresAt;
+      if (refresh || expired) {
+        invalidate();
+      }
+
+      const cached = !!pending;
+      if (!cached) {
+        const loading = load();
+        pending = loading;
+        loading
+          .then((context) => {
+            if (pending === loading && context.ok && toolCacheTtlMs > 0) {
+              expiresAt = context.fetchedAt + toolCacheTtlMs;
+            }
+          })
+          .catch(() => {});
+      }
+
+      const current = pending;
+      let context;
+      try {
+        context = await current;
+      } catch (error) {
+        if (pending === current) {
+          invalidate();
+        }
+        throw error;
+      }
+      if (!context.ok && pending === current) {
+        invalidate();
+      }
+      return { ...context, cached };
+    };
+
+    return { get, invalidate };
+  };
+
+  const createSession = (targetUrl) => {
+    const session = {
+      targetUrl,
+      protocolVersion: null,
+      serverInfo: null,
+      serverCapabilities: null,
+      ok: false,
+      init: null,
+      transport: null,
+      get sessionId() {
+        return session.transport?.sessionId || null;
+      },
+      get transportKind() {
+        return session.transport?.kind || null;
+      },
+    };
+    session.transport = createTransport(session);
+
+    /**
+     * signal이 중단되면 전송을 끊고 서버에 notifications/cancelled를 보낸 뒤 AbortError를 던진다.
+     * onProgress가 있으면 요청 id를 progressToken으로 보내고 notifications/progress를 전달한다.
+     * 일시적 실패는 재시도하며, 재시도 직전에 onRetry({ method, attempt, delayMs, status, reason })를 호출한다.
+     * context는 이 요청 처리 중 서버가 보낸 request(sampling 등)의 처리기에 그대로 전달된다.
+     */
+    session.request = async (
+      method,
+      params = {},
+      idSuffix = '',
+      { signal, onProgress, onRetry, context } = {},
+    ) => {
+      let attempt = 0;
+      let reauthorized = false;
+      while (true) {
+        const circuit = circuitBreaker.check(session.targetUrl);
+        if (!circuit.allowed) {
+          throw new Error(
+            `MCP 서버 호출이 계속 실패해 잠시 차단했습니다: ${session.targetUrl} (${Math.ceil(circuit.retryInMs / 1000)}초 후 다시 시도, 마지막 오류: ${circuit.lastError || '알 수 없음'})`,
+          );
+        }
+
+        const id = nextRequestId(idSuffix);
+        const requestParams = onProgress
+          ? { ...params, _meta: { ...params._meta, progressToken: id } }
+          : params;
+        if (onProgress) {
+          progressListeners.set(id, onProgress);
+        }
+
+        const timeout = createTimeoutSignal(signal, requestTimeoutMs);
+        requestContexts.set(id, { id, method, session, context, holdTimeout: timeout.hold });
+        let result = null;
+        let failure = null;
+        try {
+          result = await session.transport.send(
+            { jsonrpc: '2.0', id, method, params: requestParams },
+            { signal: timeout.signal },
+          );
+        } catch (error) {
+          if (signal?.aborted) {
+            if (method !== 'initialize') {
+              session.notify('notifications/cancelled', {
+                requestId: id,
+                reason: 'client_aborted',
+              });
+            }
+            throw error;
+          }
+          if (timeout.isTimedOut()) {
+            if (method !== 'initialize') {
+              session.notify('notifications/cancelled', { requestId: id, reason: 'timeout' });
+            }
+            failure = new Error(
+              `MCP 요청 시간이 초과되었습니다: ${method} (${requestTimeoutMs}ms, ${session.targetUrl})`,
+              { cause: error },
+            );
+          } else {
+            failure = error;
+          }
+        } finally {
+          timeout.cleanup();
+          progressListeners.delete(id);
+          requestContexts.delete(id);
+        }
+
+        const status = result?.status || 0;
+        // 토큰이 만료되어 거절됐으면 갱신한 토큰으로 한 번만 다시 보낸다.
+        if (status === 401 && !reauthorized && onUnauthorized) {
+          reauthorized = true;
+          if (await onUnauthorized(session.targetUrl, result.wwwAuthenticate)) {
+            continue;
+          }
+        }
+
+        if (failure || status >= 500 || status === 429) {
+          circuitBreaker.recordFailure(session.targetUrl, failure?.message || `HTTP ${status}`);
+        } else {
+          circuitBreaker.recordSuccess(session.targetUrl);
+        }
+
+        const retryStatuses =
+          method === 'tools/call' ? TOOL_CALL_RETRY_STATUSES : TRANSIENT_HTTP_STATUSES;
+        const retryable = failure ? method !== 'tools/call' : retryStatuses.has(status);
+        if (retryable && attempt < maxRetries) {
+          attempt += 1;
+          const delayMs = computeRetryDelay(attempt, {
+            baseDelayMs: retryBaseDelayMs,
+            maxDelayMs: retryMaxDelayMs,
+            retryAfterMs: parseRetryAfter(result?.retryAfter),
+          });
+          onRetry?.({
+            method,
+            attempt,
+            maxRetries,
+            delayMs: Math.round(delayMs),
+            status,
+            reason: failure ? failure.message : `HTTP ${status}`,
+          });
+          await sleep(delayMs, signal);
+          continue;
+        }
+
+        if (failure) {
+          throw failure;
+        }
+
+        // 서버가 세션을 만료시키면 세션을 폐기하고 다음 요청에서 새로 핸드셰이크한다.
+        if (session.transport.isSessionExpired(result)) {
+          dropSession(session);
+          session.transport.close();
+        }
+        return result;
+      }
+    };
+
+    session.notify = async (method, params) => {
+      try {
+        return await session.transport.send({
+          jsonrpc: '2.0',
+          method,
+          ...(params ? { params } : {}),
+        });
+      } catch {
+        return { status: 0, parsed: null, raw: '', notifications: [] };
+      }
+    };
+
+    session.tools = createCatalogCache(() => loadToolContext(session));
+    session.resources = createCatalogCache(() => loadResourceContext(session));
+    session.listTools = session.tools.get;
+    session.invalidateTools = session.tools.invalidate;
+    session.listResources = session.resources.get;
+    session.invalidateResources = session.resources.invalidate;
+    session.readResource = (uri, options) =>
+      session.request('resources/read', { uri }, 'resource', options);
+    session.prompts = createCatalogCache(() => loadPromptContext(session));
+    session.listPrompts = session.prompts.get;
+    session.invalidatePrompts = session.prompts.invalidate;
+    session.getPrompt = (name, promptArguments = {}) =>
+      session.request('prompts/get', { name, arguments: promptArguments }, 'prompt');
+
+    return session;
+  };
+
+  /**
+   * 병합된 도구마다 출처(manifest / tools/list / 양쪽)를 기록한다.
+   */
+  const buildToolProvenance = (tools, manifestTools, listedTools) => {
+    const manifestNames = new Set(manifestTools.map((tool) => tool?.name));
+    const listedNames = new Set(listedTools.map((tool) => tool?.name));
+    const provenance = {};
+    for (const tool of tools) {
+      if (!tool || typeof tool.name !== 'string') {
+        continue;
+      }
+      const sources = [];
+      if (manifestNames.has(tool.name)) {
+        sources.push('manifest');
+      }
+      if (listedNames.has(tool.name)) {
+        sources.push('tools/list');
+      }
+      provenance[tool.name] = sources;
+    }
+    return provenance;
+  };
+
+  const loadToolContext = async (session) => {
+    const manifestAttempt = session.transport.supportsManifest
+      ? await fetchManifest(session.targetUrl, await session.transport.buildHeaders())
+      : { data: null, status: 0, source: null, error: 'manifest_not_supported' };
+    const manifestTools = Array.isArray(manifestAttempt.data?.tools)
+      ? manifestAttempt.data.tools
+      : [];
+    const toolsResponse = await session.request('tools/list', {}, 'tools');
+    const listed =
+      toolsResponse.status < 400 && Array.isArray(toolsResponse.parsed?.result?.tools)
+        ? toolsResponse.parsed.result.tools
+        : null;
+
+    const fetchedAt = Date.now();
+    if (manifestTools.length === 0 && !listed) {
+      return {
+        ok: false,
+        status: toolsResponse.status || 500,
+        error: toolsResponse.parsed?.error?.message || toolsResponse.raw || 'tools_list_failed',
+        rawError: toolsResponse.parsed?.error || toolsResponse.raw,
+        tools: [],
+        toolList: [],
+        toolsStatus: toolsResponse.status,
+        manifestAttempt,
+        fallbackUsed: true,
+        provenance: {},
+        fetchedAt,
+      };
+    }
+
+    const tools = manifestTools.length > 0 ? mergeToolSpecs(manifestTools, listed || []) : listed;
+    return {
+      ok: true,
+      status: 200,
+      error: null,
+      rawError: null,
+      tools,
+      toolList: listed || [],
+      toolsStatus: toolsResponse.status,
+      toolsListed: !!listed,
+      manifestAttempt,
+      fallbackUsed: manifestTools.length === 0,
+      provenance: buildToolProvenance(tools, manifestTools, listed || []),
+      fetchedAt,
+    };
+  };
+
+  /**
+   * nextCursor 기반 페이지네이션 목록 조회. 실패하면 { ok: false, error }를 반환한다.
+   */
+  const listAllPages = async (session, method, key, idSuffix) => {
+    const items = [];
+    let cursor;
+    for (let page = 0; page < MAX_LIST_PAGES; page += 1) {
+      const response = await session.request(method, cursor ? { cursor } : {}, idSuffix);
+      const result = response.parsed?.result;
+      if (response.status >= 400 || !Array.isArray(result?.[key])) {
+        return {
+          ok: false,
+          items: [],
+          error: response.parsed?.error?.message || response.raw || `${idSuffix}_list_failed`,
+        };
+      }
+      items.push(...result[key]);
+      cursor =
+        typeof result.nextCursor === 'string' && result.nextCursor ? result.nextCursor : null;
+      if (!cursor) {
+        break;
+      }
+    }
+    return { ok: true, items, error: null };
+  };
+
+  /**
+   * resources/list(페이지네이션)와 resources/templates/list를 조회한다.
+   * 서버가 resources capability를 광고하지 않으면 빈 목록을 반환한다.
+   */
+  const loadResourceContext = async (session) => {
+    const fetchedAt = Date.now();
+    if (!session.serverCapabilities?.resources) {
+      return { ok: true, supported: false, resources: [], templates: [], error: null, fetchedAt };
+    }
+
+    const listed = await listAllPages(session, 'resources/list', 'resources', 'resources');
+    if (!listed.ok) {
+      return {
+        ok: false,
+        supported: true,
+        resources: [],
+        templates: [],
+        error: listed.error,
+        fetchedAt,
+      };
+    }
+
+    // 템플릿 목록은 선택 기능이므로 실패해도 빈 목록으로 둔다.
+    const templates = await listAllPages(
+      session,
+      'resources/templates/list',
+      'resourceTemplates',
+      'resource-templates',
+    );
+
+    return {
+      ok: true,
+      supported: true,
+      resources: listed.items.filter((item) => typeof item?.uri === 'string'),
+      templates: templates.items,
+      error: null,
+      fetchedAt,
+    };
+  };
+
+  const loadPromptContext = async (session) => {
+    const fetchedAt = Date.now();
+    if (!session.serverCapabilities?.prompts) {
+      return { ok: true, supported: false, prompts: [], error: null, fetchedAt };
+    }
+
+    const listed = await listAllPages(session, 'prompts/list', 'prompts', 'prompts');
+    return {
+      ok: listed.ok,
+      supported: true,
+      prompts: listed.items.filter((item) => typeof item?.name === 'string'),
+      error: listed.error,
+      fetchedAt,
+    };
+  };
+
+  const handshake = async (session) => {
+    if (!session.transport) {
+      session.init = {
+        status: 400,
+        parsed: null,
+        raw: `등록되지 않은 stdio MCP 서버입니다: ${session.targetUrl}`,
+        notifications: [],
+      };
+      return session;
+    }
+
+    const init = await session.request(
+      'initialize',
+      {
+        protocolVersion,
+        capabilities: clientCapabilities,
+        clientInfo,
+      },
+      'init',
+    );
+    session.init = init;
+
+    if (init.status >= 400 || !init.parsed || init.parsed.jsonrpc !== '2.0' || init.parsed.error) {
+      return session;
+    }
+
+    const result = init.parsed.result || {};
+    session.protocolVersion =
+      typeof result.protocolVersion === 'string' ? result.protocolVersion : protocolVersion;
+    session.serverInfo = result.serverInfo || null;
+    session.serverCapabilities = result.capabilities || {};
+    session.ok = true;
+
+    await session.notify('notifications/initialized');
+    session.transport.onInitialized({ protocolVersion: session.protocolVersion });
+    return session;
+  };
+
+  /**
+   * endpoint에 연결된 세션을 반환한다. 핸드셰이크 실패 세션은 캐시하지 않는다.
+   */
+  const getSession = async (targetUrl) => {
+    if (!sessions.has(targetUrl)) {
+      const session = createSession(targetUrl);
+      sessions.set(targetUrl, { session, ready: handshake(session) });
+    }
+
+    const entry = sessions.get(targetUrl);
+    try {
+      await entry.ready;
+    } catch (error) {
+      await discardSession(entry.session);
+      throw error;
+    }
+
+    if (!entry.session.ok) {
+      await discardSession(entry.session);
+    }
+    return entry.session;
+  };
+
+  const closeSession = async (targetUrl) => {
+    const entry = sessions.get(targetUrl);
+    sessions.delete(targetUrl);
+    if (!entry) {
+      return;
+    }
+
+    try {
+      await entry.ready;
+    } catch {
+      // noop
+    }
+    await entry.session.transport?.close();
+  };
+
+  /**
+   * 모든 세션의 서버 발신 메시지를 구독한다. 반환값은 구독 해제 함수.
+   */
+  const onServerMessage = (listener) => {
+    messageListeners.add(listener);
+    return () => messageListeners.delete(listener);
+  };
+
+  /**
+   * 도구 카탈로그 캐시를 무효화한다. targetUrl이 없으면 모든 세션이 대상이다.
+   */
+  const invalidateTools = (targetUrl) => {
+    for (const [url, entry] of sessions) {
+      if (!targetUrl || url === targetUrl) {
+        entry.session.invalidateTools();
+      }
+    }
+  };
+
+  const setRequestHandler = (method, handler) => {
+    requestHandlers.set(method, handler);
+  };
+
+  return {
+    getSession,
+    closeSession,
+    onServerMessage,
+    invalidateTools,
+    setRequestHandler,
+    getCircuitState: circuitBreaker.getState,
+    resetCircuit: circuitBreaker.recordSuccess,
+  };
+};
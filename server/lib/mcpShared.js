@@ -1,6 +1,7 @@
 /**
  * MCP 응답/대화 포맷 공통 유틸.
  * 여러 계층(route/orchestrator/mcp runtime)에서 재사용한다.
+ * 서버 요청(sampling 승인, elicitation 입력)이 사용자 응답을 기다리는 대기열도 여기 둔다.
  */
 export const normalizeMCPResponse = (payload) => {
   if (!payload) {
@@ -56,3 +57,52 @@ export const proxyResponse = (result, extras = {}) => {
   };
 };
 
+/**
+ * 채팅 화면의 사용자 응답을 id별로 기다리는 대기열.
+ * wait(id, { signal, data })는 settle(id, reply)로 전달된 reply로 끝나고,
+ * timeoutMs(0이면 무제한)가 지나면 timeoutReply, signal이 abort되면 abortReply로 끝난다.
+ * data는 응답을 검증할 때 쓸 값(요청 스키마 등)으로 get(id)로 꺼낸다.
+ */
+export const createPendingReplies = ({ timeoutMs = 0, timeoutReply, abortReply }) => {
+  // id -> { data, resolve, timer, signal, onAbort }
+  const pending = new Map();
+
+  /**
+   * 대기 중인 id를 reply로 끝낸다. 대기 중이 아니면 false.
+   */
+  const settle = (id, reply) => {
+    const entry = pending.get(id);
+    if (!entry) {
+      return false;
+    }
+    pending.delete(id);
+    clearTimeout(entry.timer);
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    entry.resolve(reply);
+    return true;
+  };
+
+  const wait = (id, { signal, data } = {}) =>
+    new Promise((resolve) => {
+      const onAbort = () => settle(id, abortReply);
+      pending.set(id, {
+        data,
+        resolve,
+        signal,
+        onAbort,
+        timer: timeoutMs > 0 ? setTimeout(() => settle(id, timeoutReply), timeoutMs) : null,
+      });
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+  return {
+    wait,
+    settle,
+    has: (id) => pending.has(id),
+    get: (id) => pending.get(id)?.data,
+  };
+};
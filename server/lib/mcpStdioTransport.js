@@ -0,0 +1,409 @@
+import { spawn } from 'node:child_process';
+
+/**
+ * MCP stdio 전송 모듈.
+ * 서버 측 설정(LOCAL_MCP_STDIO_SERVERS)에 등록된 명령만 spawn하며,
+ * 브라우저는 `stdio://<이름>` 형태의 endpoint로만 참조한다.
+ * - 줄 단위(newline-delimited) JSON-RPC 프레이밍
+ * - 프로세스 비정상 종료 시 backoff 재시작, 짧은 시간 내 반복 실패 시 중단
+ */
+export const STDIO_ENDPOINT_PREFIX = 'stdio://';
+
+export const isStdioEndpoint = (targetUrl) =>
+  typeof targetUrl === 'string' && targetUrl.startsWith(STDIO_ENDPOINT_PREFIX);
+
+export const getStdioServerName = (targetUrl) => {
+  if (!isStdioEndpoint(targetUrl)) {
+    return '';
+  }
+  return targetUrl.slice(STDIO_ENDPOINT_PREFIX.length).replace(/\/+$/, '').trim();
+};
+
+/**
+ * "node server.js --root 'my notes/'" 같은 명령 문자열을 [command, ...args]로 분리한다.
+ */
+export const splitCommandLine = (commandLine = '') => {
+  const tokens = [];
+  let current = '';
+  let quote = null;
+  let hasToken = false;
+
+  for (let index = 0; index < commandLine.length; index += 1) {
+    const char = commandLine[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && index + 1 < commandLine.length) {
+        index += 1;
+        current += commandLine[index];
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (hasToken) {
+        tokens.push(current);
+        current = '';
+        hasToken = false;
+      }
+      continue;
+    }
+
+    current += char;
+    hasToken = true;
+  }
+
+  if (hasToken) {
+    tokens.push(current);
+  }
+  return tokens;
+};
+
+/**
+ * LOCAL_MCP_STDIO_SERVERS(JSON) 파싱.
+ * 값은 명령 문자열 또는 { command, args, cwd, env } 객체를 허용한다.
+ */
+export const parseStdioServerConfig = (raw = '') => {
+  if (!raw || !raw.trim()) {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    console.warn('[stdio] LOCAL_MCP_STDIO_SERVERS JSON 파싱 실패');
+    return {};
+  }
+
+  const servers = {};
+  for (const [name, value] of Object.entries(parsed || {})) {
+    if (typeof value === 'string') {
+      const [command, ...args] = splitCommandLine(value);
+      if (command) {
+        servers[name] = { command, args, cwd: undefined, env: {} };
+      }
+      continue;
+    }
+
+    if (value && typeof value === 'object' && typeof value.command === 'string') {
+      const [command, ...inlineArgs] = splitCommandLine(value.command);
+      servers[name] = {
+        command,
+        args: [...inlineArgs, ...(Array.isArray(value.args) ? value.args.map(String) : [])],
+        cwd: typeof value.cwd === 'string' ? value.cwd : undefined,
+        env: value.env && typeof value.env === 'object' ? value.env : {},
+      };
+    }
+  }
+  return servers;
+};
+
+/**
+ * 등록된 stdio 서버 프로세스를 이름별로 1개씩 관리하는 supervisor 레지스트리.
+ */
+export const createStdioServerRegistry = ({
+  servers = {},
+  maxRestarts = 5,
+  restartWindowMs = 60_000,
+  baseRestartDelayMs = 500,
+}) => {
+  const supervisors = new Map();
+
+  const createSupervisor = (name, config) => {
+    const state = {
+      name,
+      status: 'stopped',
+      pid: null,
+      restarts: [],
+      lastExit: null,
+      child: null,
+      stopping: false,
+      restartTimer: null,
+    };
+    const pending = new Map();
+    // 리스너 슬롯은 1개뿐이다. owner는 마지막으로 setListeners를 호출한 쪽을 가리킨다.
+    const listeners = { onMessage: null, onExit: null, owner: null };
+
+    const failPending = (message) => {
+      for (const entry of pending.values()) {
+        entry.reject(new Error(message));
+      }
+      pending.clear();
+    };
+
+    const dispatchLine = (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        console.log(`[stdio:${name}] non-json stdout`, line.slice(0, 200));
+        return;
+      }
+
+      for (const item of [].concat(message || [])) {
+        if (!item || typeof item !== 'object') {
+          continue;
+        }
+
+        const key = item.id === undefined || item.id === null ? null : String(item.id);
+        if (!item.method && key !== null && pending.has(key)) {
+          const entry = pending.get(key);
+          pending.delete(key);
+          entry.resolve({
+            status: 200,
+            parsed: item,
+            raw: line,
+            notifications: entry.notifications,
+          });
+          continue;
+        }
+
+        // 요청별 notification 수집(HTTP SSE 응답과 동일한 형태)
+        for (const entry of pending.values()) {
+          entry.notifications.push(item);
+        }
+        listeners.onMessage?.(item);
+      }
+    };
+
+    const scheduleRestart = () => {
+      const now = Date.now();
+      state.restarts = state.restarts.filter((time) => now - time < restartWindowMs);
+      if (state.restarts.length >= maxRestarts) {
+        state.status = 'failed';
+        console.error(`[stdio:${name}] 재시작 한도 초과로 중단합니다.`);
+        return;
+      }
+
+      const delay = baseRestartDelayMs * 2 ** state.restarts.length;
+      state.restarts.push(now);
+      state.status = 'restarting';
+      state.restartTimer = setTimeout(() => {
+        state.restartTimer = null;
+        start();
+      }, delay);
+    };
+
+    const start = () => {
+      state.stopping = false;
+      let child;
+      try {
+        child = spawn(config.command, config.args, {
+          cwd: config.cwd,
+          env: { ...process.env, ...config.env },
+          stdio: ['pipe', 'pipe', 'pipe'],
+        });
+      } catch (error) {
+        state.status = 'failed';
+        state.lastExit = { error: error instanceof Error ? error.message : String(error) };
+        return;
+      }
+
+      state.child = child;
+      state.pid = child.pid || null;
+      state.status = 'running';
+
+      let stdoutBuffer = '';
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', (chunk) => {
+        stdoutBuffer += chunk;
+        let newlineIndex = stdoutBuffer.indexOf('\n');
+        while (newlineIndex >= 0) {
+          const line = stdoutBuffer.slice(0, newlineIndex).trim();
+          stdoutBuffer = stdoutBuffer.slice(newlineIndex + 1);
+          if (line) {
+            dispatchLine(line);
+          }
+          newlineIndex = stdoutBuffer.indexOf('\n');
+        }
+      });
+
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', (chunk) => {
+        for (const line of String(chunk).split('\n')) {
+          if (line.trim()) {
+            console.log(`[stdio:${name}]`, line);
+          }
+        }
+      });
+
+      let exited = false;
+      const handleExit = (detail) => {
+        if (exited) {
+          return;
+        }
+        exited = true;
+        if (state.child !== child) {
+          // reset으로 이미 새 프로세스가 떠 있는 경우
+          return;
+        }
+        state.child = null;
+        state.pid = null;
+        state.lastExit = { ...detail, at: Date.now() };
+        failPending(`stdio MCP 서버(${name})가 종료되었습니다.`);
+        listeners.onExit?.(state.lastExit);
+
+        if (state.stopping) {
+          state.status = 'stopped';
+          return;
+        }
+        scheduleRestart();
+      };
+
+      // 종료 직후 write가 EPIPE를 내더라도 브릿지 프로세스가 죽지 않도록 무시한다.
+      child.stdin.on('error', () => {});
+      child.on('error', (error) => handleExit({ error: error.message }));
+      child.on('exit', (code, signal) => handleExit({ code, signal }));
+    };
+
+    const ensureRunning = () => {
+      if (state.status === 'failed') {
+        throw new Error(`stdio MCP 서버(${name})가 반복 실패로 중단되었습니다.`);
+      }
+      if (state.status === 'stopped') {
+        start();
+      }
+      if (!state.child) {
+        throw new Error(`stdio MCP 서버(${name})가 재시작 중입니다.`);
+      }
+    };
+
+    const send = (payload, { signal } = {}) => {
+      signal?.throwIfAborted();
+      ensureRunning();
+      const line = `${JSON.stringify(payload)}\n`;
+      const hasId = payload.id !== undefined && payload.id !== null && !!payload.method;
+
+      if (!hasId) {
+        state.child.stdin.write(line);
+        return Promise.resolve({ status: 202, parsed: null, raw: '', notifications: [] });
+      }
+
+      const key = String(payload.id);
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          pending.delete(key);
+          reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const settle = (callback) => (value) => {
+          signal?.removeEventListener('abort', onAbort);
+          callback(value);
+        };
+        pending.set(key, {
+          resolve: settle(resolve),
+          reject: settle(reject),
+          notifications: [],
+        });
+        state.child.stdin.write(line, (error) => {
+          if (error) {
+            pending.delete(key);
+            settle(reject)(error);
+          }
+        });
+      });
+    };
+
+    const stop = () => {
+      state.stopping = true;
+      if (state.restartTimer) {
+        clearTimeout(state.restartTimer);
+        state.restartTimer = null;
+      }
+      state.child?.kill();
+      if (!state.child) {
+        state.status = 'stopped';
+      }
+      // reset 직후 새 프로세스가 뜨면 이전 프로세스의 종료 처리가 건너뛰어지므로 여기서 바로 거절한다.
+      failPending(`stdio MCP 서버(${name})가 중지되었습니다.`);
+    };
+
+    const reset = () => {
+      // 수동 재시작: 실패 상태를 해제하고 재시작 이력을 초기화한다.
+      stop();
+      state.restarts = [];
+      state.status = 'stopped';
+    };
+
+    return {
+      name,
+      config,
+      send,
+      stop,
+      reset,
+      /**
+       * 리스너를 등록하고 해제 함수를 반환한다. 해제는 그 사이 다른 세션이 등록하지 않았을 때만 적용된다.
+       */
+      setListeners: ({ onMessage, onExit }) => {
+        const owner = {};
+        listeners.onMessage = onMessage || null;
+        listeners.onExit = onExit || null;
+        listeners.owner = owner;
+        return () => {
+          if (listeners.owner === owner) {
+            listeners.onMessage = null;
+            listeners.onExit = null;
+            listeners.owner = null;
+          }
+        };
+      },
+      describe: () => ({
+        name,
+        command: [config.command, ...config.args].join(' '),
+        status: state.status,
+        pid: state.pid,
+        restartsInWindow: state.restarts.length,
+        lastExit: state.lastExit,
+      }),
+    };
+  };
+
+  for (const [name, config] of Object.entries(servers)) {
+    supervisors.set(name, createSupervisor(name, config));
+  }
+
+  const get = (name) => supervisors.get(name) || null;
+
+  const list = () => [...supervisors.values()].map((supervisor) => supervisor.describe());
+
+  const stopAll = () => {
+    for (const supervisor of supervisors.values()) {
+      supervisor.stop();
+    }
+  };
+
+  return { get, list, stopAll };
+};
+
+/**
+ * 세션 1개에 대응하는 stdio 전송 객체. 세션 매니저가 HTTP 전송과 같은 방식으로 사용한다.
+ */
+export const createMCPStdioTransport = ({ supervisor, onMessage, onClose }) => {
+  const releaseListeners = supervisor.setListeners({
+    onMessage,
+    onExit: () => onClose?.(),
+  });
+
+  return {
+    kind: 'stdio',
+    supportsManifest: false,
+    sessionId: null,
+    serverStreamState: 'stdio',
+    buildHeaders: () => ({}),
+    send: supervisor.send,
+    isSessionExpired: () => false,
+    onInitialized: () => {},
+    close: async () => {
+      releaseListeners();
+    },
+  };
+};
@@ -0,0 +1,303 @@
+/**
+ * MCP Streamable HTTP 전송 유틸.
+ * - POST 응답이 application/json 이든 text/event-stream 이든 JSON-RPC 응답으로 정규화
+ * - SSE 스트림 중간에 섞여 오는 서버 notification/request를 수집
+ * - 서버 발신 메시지용 GET 스트림 연결
+ */
+export const MCP_ACCEPT_HEADER = 'application/json, text/event-stream';
+
+const isEventStream = (response) =>
+  String(response?.headers?.get('content-type') || '')
+    .toLowerCase()
+    .includes('text/event-stream');
+
+const parseJSON = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * ReadableStream을 SSE 이벤트 단위({ event, data, id, retry })로 순회한다.
+ */
+export async function* readSSEEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let current = { event: 'message', data: [], id: null, retry: null };
+
+  const flush = () => {
+    const event = current.data.length > 0 ? { ...current, data: current.data.join('\n') } : null;
+    current = { event: 'message', data: [], id: null, retry: null };
+    return event;
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      let newlineIndex = buffer.search(/\r?\n|\r/);
+      while (newlineIndex >= 0) {
+        const line = buffer.slice(0, newlineIndex);
+        const separator = buffer.slice(newlineIndex).match(/^(\r\n|\n|\r)/)[0];
+        buffer = buffer.slice(newlineIndex + separator.length);
+
+        if (!line) {
+          const event = flush();
+          if (event) {
+            yield event;
+          }
+        } else if (!line.startsWith(':')) {
+          const colon = line.indexOf(':');
+          const field = colon >= 0 ? line.slice(0, colon) : line;
+          const fieldValue = colon >= 0 ? line.slice(colon + 1).replace(/^ /, '') : '';
+          if (field === 'event') {
+            current.event = fieldValue || 'message';
+          } else if (field === 'data') {
+            current.data.push(fieldValue);
+          } else if (field === 'id') {
+            current.id = fieldValue;
+          } else if (field === 'retry' && /^\d+$/.test(fieldValue)) {
+            current.retry = Number(fieldValue);
+          }
+        }
+
+        newlineIndex = buffer.search(/\r?\n|\r/);
+      }
+    }
+
+    const tail = flush();
+    if (tail) {
+      yield tail;
+    }
+  } finally {
+    reader.releaseLock?.();
+  }
+}
+
+/**
+ * MCP HTTP 응답을 { status, parsed, raw, notifications } 형태로 정규화한다.
+ * SSE 응답이면 requestId와 일치하는 JSON-RPC 응답이 올 때까지 읽고,
+ * 그 사이 도착한 서버 메시지는 notifications에 모으면서 onMessage로 전달한다.
+ */
+export const readMCPHttpResponse = async (response, { requestId = null, onMessage } = {}) => {
+  if (!isEventStream(response) || !response.body) {
+    const text = await response.text();
+    return { status: response.status, parsed: parseJSON(text), raw: text, notifications: [] };
+  }
+
+  const notifications = [];
+  const rawEvents = [];
+  let parsed = null;
+
+  for await (const event of readSSEEvents(response.body)) {
+    rawEvents.push(event.data);
+    const messages = [].concat(parseJSON(event.data) || []);
+    for (const message of messages) {
+      if (!message || typeof message !== 'object') {
+        continue;
+      }
+
+      const isResponse =
+        !message.method && (requestId === null || String(message.id) === String(requestId));
+      if (isResponse) {
+        parsed = message;
+        continue;
+      }
+
+      notifications.push(message);
+      await onMessage?.(message, { relatedRequestId: requestId });
+    }
+
+    if (parsed) {
+      break;
+    }
+  }
+
+  // 응답을 받은 뒤 남은 스트림은 닫는다.
+  response.body.cancel?.().catch(() => {});
+
+  return {
+    status: response.status,
+    parsed,
+    raw: rawEvents.join('\n'),
+    notifications,
+  };
+};
+
+/**
+ * 서버 발신 메시지를 받기 위한 GET SSE 스트림을 연다.
+ * 서버가 405를 반환하면 미지원으로 보고 종료하고, 연결이 끊기면 Last-Event-ID로 재연결한다.
+ */
+export const openMCPServerStream = ({
+  targetUrl,
+  buildHeaders,
+  onMessage,
+  onStatus,
+  reconnectDelayMs = 3000,
+}) => {
+  const controller = new AbortController();
+  let lastEventId = null;
+  let delay = reconnectDelayMs;
+
+  const connect = async () => {
+    while (!controller.signal.aborted) {
+      let response;
+      try {
+        response = await fetch(targetUrl, {
+          method: 'GET',
+          headers: {
+            ...(await buildHeaders()),
+            Accept: 'text/event-stream',
+            ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+          },
+          signal: controller.signal,
+        });
+      } catch {
+        if (controller.signal.aborted) {
+          return;
+        }
+        onStatus?.({ state: 'error', status: 0 });
+        return;
+      }
+
+      if (!response.ok || !isEventStream(response) || !response.body) {
+        onStatus?.({
+          state: response.status === 405 ? 'unsupported' : 'error',
+          status: response.status,
+        });
+        response.body?.cancel?.().catch(() => {});
+        return;
+      }
+
+      onStatus?.({ state: 'open', status: response.status });
+      try {
+        for await (const event of readSSEEvents(response.body)) {
+          if (event.id) {
+            lastEventId = event.id;
+          }
+          if (event.retry !== null) {
+            delay = event.retry;
+          }
+          for (const message of [].concat(parseJSON(event.data) || [])) {
+            if (message && typeof message === 'object') {
+              await onMessage?.(message);
+            }
+          }
+        }
+      } catch {
+        // 연결 끊김은 재연결로 처리한다.
+      }
+
+      if (controller.signal.aborted) {
+        return;
+      }
+      onStatus?.({ state: 'reconnecting', status: response.status });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  };
+
+  connect();
+
+  return {
+    close: () => controller.abort(),
+  };
+};
+
+/**
+ * 세션 1개에 대응하는 HTTP 전송 객체.
+ * Mcp-Session-Id / MCP-Protocol-Version 헤더 상태를 보관하고 send로 JSON-RPC 메시지를 보낸다.
+ */
+export const createMCPHttpTransport = ({
+  targetUrl,
+  buildHeaders,
+  onMessage,
+  openServerStream = true,
+}) => {
+  let sessionId = null;
+  let protocolVersion = null;
+  let serverStream = null;
+  let serverStreamState = 'closed';
+
+  const buildTransportHeaders = async () => {
+    const headers = { ...(await buildHeaders()), Accept: MCP_ACCEPT_HEADER };
+    if (sessionId) {
+      headers['Mcp-Session-Id'] = sessionId;
+    }
+    if (protocolVersion) {
+      headers['MCP-Protocol-Version'] = protocolVersion;
+    }
+    return headers;
+  };
+
+  const send = async (payload, { signal } = {}) => {
+    const response = await fetch(targetUrl, {
+      method: 'POST',
+      headers: await buildTransportHeaders(),
+      body: JSON.stringify(payload),
+      signal,
+    });
+    const sessionHeader = response.headers.get('mcp-session-id');
+    if (sessionHeader) {
+      sessionId = sessionHeader;
+    }
+    const result = await readMCPHttpResponse(response, {
+      requestId: payload.id ?? null,
+      onMessage,
+    });
+    // 429/503 재시도 시 서버가 요청한 대기 시간을, 401이면 인증 요구 내용을 따르기 위해 보관한다.
+    return {
+      ...result,
+      retryAfter: response.headers.get('retry-after'),
+      wwwAuthenticate: response.headers.get('www-authenticate'),
+    };
+  };
+
+  return {
+    kind: 'http',
+    supportsManifest: true,
+    get sessionId() {
+      return sessionId;
+    },
+    get serverStreamState() {
+      return serverStreamState;
+    },
+    buildHeaders: buildTransportHeaders,
+    send,
+    // 서버가 세션을 만료시키면 404를 반환한다.
+    isSessionExpired: (result) => result.status === 404 && !!sessionId,
+    onInitialized: ({ protocolVersion: negotiated }) => {
+      protocolVersion = negotiated;
+      if (openServerStream) {
+        serverStream = openMCPServerStream({
+          targetUrl,
+          buildHeaders: buildTransportHeaders,
+          onMessage,
+          onStatus: ({ state }) => {
+            serverStreamState = state;
+          },
+        });
+      }
+    },
+    close: async () => {
+      serverStream?.close();
+      if (!sessionId) {
+        return;
+      }
+      try {
+        await fetch(targetUrl, {
+          method: 'DELETE',
+          headers: await buildTransportHeaders(),
+        });
+      } catch {
+        // noop
+      }
+    },
+  };
+};
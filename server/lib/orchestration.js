@@ -1,8 +1,11 @@
 /**
  * A2A 기반 오케스트레이션 런타임.
- * - Plan Agent: 실행 계획 수립
+ * - Plan Agent: 실행 계획 수립 (agent loop 모드에서는 도구 결과를 보며 다음 도구를 매 step 결정)
  * - MCP/Chat Agent: 실행 전담
+ * - Summary Agent: 큰 도구 결과와 오래된 대화를 요약 (프롬프트 입력은 contextBudget 토큰 예산 안으로 줄임)
  * - Output Agent: 스트림 출력 전담
+ * - 오프라인 모드(offline): LLM 없이 규칙 기반으로 라우팅/도구 선택을 하고 요약/작성/평가 에이전트를 건너뛴다
+ * - 라우팅/평가 응답은 outputSchemas의 JSON Schema로 받고(callLLMStructured), 끝내 맞지 않으면 조용히 기본값으로 넘기지 않고 output.invalid로 남긴다
  *
  * 모든 세부 의존성은 팩토리 인자로 주입받아 index.js 라우터를 얇게 유지한다.
  */
@@ -10,20 +13,39 @@ export const createOrchestrationRuntime = ({
   localMcpEndpoint,
   buildRouteDecisionPrompt,
   chatOnlyPrompt,
-  callOpenAI,
+  callLLM,
+  callLLMStructured,
+  callLLMWithTools,
+  supportsToolCalling,
   callLocalMCP,
   resolveConversation,
   proxyResponse,
   planExecutionFromManifest,
+  collectToolContext,
+  collectResourceGrounding,
   shouldRetryForPathIssue,
   buildRetryExecutionPlan,
   evaluateGitHubPRReadiness,
   parseRoutePlan,
   streamText,
   writeSSE,
+  createTimeoutSignal,
+  conversationContext,
+  contextBudget,
+  outputSchemas,
+  agentLoop: agentLoopConfig = { enabled: false, maxSteps: 6, timeBudgetMs: 120_000 },
 }) => {
   const A2A_PROTOCOL_VERSION = 'a2a.v1';
 
+  // a2a 로그가 아니라 이름 그대로 SSE 이벤트로 내보내는 MCP Agent 이벤트 (화면이 바로 반응해야 하는 것)
+  const CLIENT_EVENT_TYPES = new Set([
+    'tool_progress',
+    'sampling_request',
+    'sampling_result',
+    'elicitation_request',
+    'elicitation_result',
+  ]);
+
   const AGENT_IDS = {
     orchestrator: 'orchestrator',
     plan: 'plan-agent',
@@ -40,6 +62,13 @@ export const createOrchestrationRuntime = ({
   const EVALUATOR_PERSONA_PROMPT =
     '너는 응답 품질 평가 에이전트다. 정확성, 요구 충족, 명확성, 불필요한 내부정보 노출 여부를 평가하고 JSON으로 반환한다.';
 
+  const AGENT_LOOP_PROMPT =
+    '너는 로컬 MCP 도구를 단계적으로 사용하는 실행 에이전트다. 도구 결과를 확인하고 다음에 호출할 도구를 정한다. 요청에 답할 정보가 충분히 모이면 도구를 더 호출하지 말고 결과를 근거로 답변 초안을 작성한다. 같은 도구를 같은 인자로 반복 호출하지 않는다.';
+  const LOOP_OBSERVATION_OMITTED =
+    '(토큰 예산을 넘어 이전 도구 결과를 생략했습니다. 필요하면 도구를 다시 호출하세요.)';
+  const HISTORY_SUMMARY_PROMPT =
+    '너는 대화 요약 에이전트다. 이전 요약과 추가 대화를 합쳐, 이후 질문에 필요한 사실(언급된 문서 경로, 결정 사항, 사용자의 의도와 선호)만 한국어로 간결하게 요약한다. 인사말과 중복 내용은 버린다.';
+
   const createA2AMessage = ({ from, to, type, requestId, payload = {} }) => ({
     protocol: A2A_PROTOCOL_VERSION,
     requestId,
@@ -50,6 +79,41 @@ export const createOrchestrationRuntime = ({
     payload,
   });
 
+  // LLM 재시도(429/5xx/timeout)를 호출한 에이전트 이름과 실제 provider로 a2a 로그에 남긴다.
+  const traceRetry =
+    ({ emit, requestId, from }) =>
+    ({ provider, ...retry }) => {
+      emit?.(
+        'a2a',
+        createA2AMessage({
+          from,
+          to: AGENT_IDS.orchestrator,
+          type: 'retry.scheduled',
+          requestId,
+          payload: { target: provider, ...retry },
+        }),
+      );
+    };
+
+  // 스키마에 맞지 않는 JSON 응답(재요청 전 시도 포함)을 호출한 에이전트 이름으로 a2a 로그에 남긴다.
+  const traceInvalidOutput =
+    ({ emit, requestId, from }) =>
+    (invalid) => {
+      emit?.(
+        'a2a',
+        createA2AMessage({
+          from,
+          to: AGENT_IDS.orchestrator,
+          type: 'output.invalid',
+          requestId,
+          payload: invalid,
+        }),
+      );
+    };
+
+  // 이전 대화 컨텍스트(conversationContext.format 결과)가 있으면 프롬프트 앞에 붙인다.
+  const withHistory = (history, content) => (history ? `${history}\n\n${content}` : content);
+
   const createRequestId = () => `req_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
 
   const normalizePathCandidate = (value) => {
@@ -177,9 +241,11 @@ export const createOrchestrationRuntime = ({
     requestId,
     routedPrompt,
     localEndpoint,
+    mcpServers,
     conversation,
     explanation,
     emit,
+    signal,
   }) => {
     const workflowState = {
       type: workflow?.type || 'workflow',
@@ -250,14 +316,18 @@ export const createOrchestrationRuntime = ({
         explanation: `workflow_step:${stepId}`,
       };
 
+      // 클라이언트가 떠났으면 create_pr 같은 후속 step을 실행하지 않는다.
+      signal?.throwIfAborted();
       activeResponse = await execute({
         requestId,
         prompt: routedPrompt,
         localEndpoint,
+        mcpServers,
         conversation,
         explanation,
         executionPlan: stepPlan,
         emit,
+        signal,
       });
 
       const status = activeResponse?.mcpStatus || 200;
@@ -304,40 +374,134 @@ export const createOrchestrationRuntime = ({
     };
   };
 
-  const runPlanAgent = async ({ prompt, localEndpoint, emit }) => {
-    const requestId = createRequestId();
+  /**
+   * 대화 창에서 밀려난 메시지(overflow)를 이전 요약과 합쳐 누적 요약으로 만든다.
+   * 요약은 보조 정보이므로 실패하면 overflow를 버리고(dropped로 보고) 계속 진행한다.
+   */
+  const runHistorySummaryAgent = async ({ requestId, historyWindow, emit, onTrimmed, signal }) => {
     emit?.(
       'a2a',
       createA2AMessage({
         from: AGENT_IDS.orchestrator,
-        to: AGENT_IDS.plan,
-        type: 'plan.request',
+        to: AGENT_IDS.summary,
+        type: 'history.summary_request',
         requestId,
-        payload: { prompt },
+        payload: {
+          messages: historyWindow.overflow.length,
+          previousTurns: historyWindow.summary?.turns || 0,
+        },
       }),
     );
 
-    const planning = await callOpenAI({
-      responseFormat: 'json',
-      messages: [
-        { role: 'system', content: buildRouteDecisionPrompt() },
-        { role: 'user', content: `사용자 요청: ${prompt}` },
+    let summarized = '';
+    try {
+      summarized = await callLLM({
+        signal,
+        onRetry: traceRetry({ emit, requestId, from: AGENT_IDS.summary }),
+        agent: AGENT_IDS.summary,
+        responseFormat: 'text',
+        messages: [
+          {
+            role: 'system',
+            content: `${HISTORY_SUMMARY_PROMPT} 약 ${conversationContext.summaryTokens} 토큰 이내로 쓴다.`,
+          },
+          { role: 'user', content: conversationContext.buildSummaryRequest(historyWindow) },
+        ],
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      onTrimmed?.({
+        agent: AGENT_IDS.summary,
+        stage: 'history',
+        dropped: [{ path: 'conversation', messages: historyWindow.overflow.length }],
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return { ...historyWindow, overflow: [] };
+    }
+
+    const next = conversationContext.applySummary(historyWindow, summarized);
+    emit?.(
+      'a2a',
+      createA2AMessage({
+        from: AGENT_IDS.summary,
+        to: AGENT_IDS.orchestrator,
+        type: 'history.summary_response',
+        requestId,
+        payload: { turns: next.summary?.turns || 0 },
+      }),
+    );
+    onTrimmed?.({
+      agent: AGENT_IDS.summary,
+      stage: 'history',
+      dropped: [
+        { path: 'conversation', messages: historyWindow.overflow.length, summarized: true },
       ],
     });
+    return next;
+  };
+
+  const runPlanAgent = async ({
+    requestId = createRequestId(),
+    prompt,
+    localEndpoint,
+    mcpServers,
+    history = '',
+    emit,
+    agentLoop = false,
+    offline = false,
+    signal,
+  }) => {
+    emit?.(
+      'a2a',
+      createA2AMessage({
+        from: AGENT_IDS.orchestrator,
+        to: AGENT_IDS.plan,
+        type: 'plan.request',
+        requestId,
+        payload: { prompt, offline },
+      }),
+    );
 
-    const plan = parseRoutePlan(planning) || {
+    // 오프라인에서는 일반 대화로 답할 수 없으므로 모든 요청을 로컬 MCP로 보낸다.
+    const planning = offline
+      ? null
+      : await callLLMStructured({
+          signal,
+          onRetry: traceRetry({ emit, requestId, from: AGENT_IDS.plan }),
+          onInvalid: traceInvalidOutput({ emit, requestId, from: AGENT_IDS.plan }),
+          agent: AGENT_IDS.plan,
+          schema: outputSchemas.routeDecision,
+          messages: [
+            { role: 'system', content: buildRouteDecisionPrompt() },
+            { role: 'user', content: withHistory(history, `사용자 요청: ${prompt}`) },
+          ],
+        });
+
+    // 라우팅 응답이 끝내 스키마에 맞지 않으면 로컬 MCP로 보내되, 그 사실을 explanation에 남긴다.
+    const plan = (planning?.ok && parseRoutePlan(planning.text)) || {
       route: 'local_mcp',
       query: prompt,
-      explanation: '',
+      explanation: offline
+        ? '오프라인 모드: 규칙 기반 도구 선택'
+        : '라우팅 응답이 스키마에 맞지 않아 로컬 MCP로 처리',
     };
     const executionAgent = plan.route === 'local_mcp' ? AGENT_IDS.mcp : AGENT_IDS.chat;
     let executionPlan = null;
     let manifestContext = null;
-    if (plan.route === 'local_mcp') {
+    if (plan.route === 'local_mcp' && agentLoop) {
+      // agent loop는 매 step 모델이 다음 도구를 고르므로 도구 카탈로그만 모은다.
+      manifestContext = await collectToolContext({ localEndpoint, mcpServers });
+    } else if (plan.route === 'local_mcp') {
       const manifestPlanning = await planExecutionFromManifest({
         prompt,
         routedQuery: plan.query || prompt,
         localEndpoint,
+        mcpServers,
+        history,
+        offline,
+        signal,
       });
       executionPlan = manifestPlanning.executionPlan;
       manifestContext = manifestPlanning.context;
@@ -354,6 +518,8 @@ export const createOrchestrationRuntime = ({
           ...plan,
           executionAgent,
           hasExecutionPlan: !!executionPlan,
+          agentLoop,
+          offline,
           workflow: executionPlan?.workflow?.type || null,
           manifestOk: manifestContext?.ok === true,
           manifestStatus: manifestContext?.manifestAttempt?.status || manifestContext?.status || 0,
@@ -374,10 +540,13 @@ export const createOrchestrationRuntime = ({
     requestId,
     prompt,
     localEndpoint,
+    mcpServers,
     conversation,
     explanation,
     executionPlan,
     emit,
+    samplingApproval = false,
+    signal,
   }) => {
     emit?.(
       'a2a',
@@ -389,6 +558,7 @@ export const createOrchestrationRuntime = ({
         payload: {
           prompt,
           localEndpoint: localEndpoint || localMcpEndpoint,
+          servers: Array.isArray(mcpServers) ? mcpServers.map((server) => server?.name) : undefined,
           tool: executionPlan?.tool || null,
         },
       }),
@@ -397,21 +567,33 @@ export const createOrchestrationRuntime = ({
     const localResult = await callLocalMCP({
       prompt,
       localEndpoint,
+      mcpServers,
       conversation: resolveConversation(conversation),
       useLLMPlanner: false,
       preplannedToolPlan: executionPlan,
-      eventEmitter: (type, payload) => {
-        emit?.(
-          'a2a',
-          createA2AMessage({
-            from: AGENT_IDS.mcp,
-            to: AGENT_IDS.orchestrator,
-            type: 'execution.progress',
-            requestId,
-            payload: { type, ...payload },
-          }),
-        );
-      },
+      samplingApproval,
+      signal,
+      // 비스트리밍 요청(emit 없음)은 eventEmitter를 넘기지 않아 클라이언트 응답이 필요한 요청을 받지 않는다.
+      eventEmitter:
+        typeof emit === 'function'
+          ? (type, payload) => {
+              // 도구 진행률과 sampling/elicitation 요청/결과는 a2a 로그와 분리된 전용 SSE 이벤트로 보낸다.
+              if (CLIENT_EVENT_TYPES.has(type)) {
+                emit(type, { requestId, ...payload });
+                return;
+              }
+              emit(
+                'a2a',
+                createA2AMessage({
+                  from: AGENT_IDS.mcp,
+                  to: AGENT_IDS.orchestrator,
+                  type: 'execution.progress',
+                  requestId,
+                  payload: { type, ...payload },
+                }),
+              );
+            }
+          : null,
     });
 
     const response = proxyResponse(localResult, {
@@ -437,7 +619,14 @@ export const createOrchestrationRuntime = ({
     return response;
   };
 
-  const runChatAgent = async ({ requestId, prompt, explanation, emit }) => {
+  const runChatAgent = async ({
+    requestId,
+    prompt,
+    explanation,
+    historyMessages = [],
+    emit,
+    signal,
+  }) => {
     emit?.(
       'a2a',
       createA2AMessage({
@@ -449,10 +638,14 @@ export const createOrchestrationRuntime = ({
       }),
     );
 
-    const answer = await callOpenAI({
+    const answer = await callLLM({
+      signal,
+      onRetry: traceRetry({ emit, requestId, from: AGENT_IDS.chat }),
+      agent: AGENT_IDS.chat,
       responseFormat: 'text',
       messages: [
         { role: 'system', content: chatOnlyPrompt },
+        ...historyMessages,
         { role: 'user', content: prompt },
       ],
     });
@@ -504,7 +697,7 @@ export const createOrchestrationRuntime = ({
     );
   };
 
-  const runSummaryAgent = async ({ requestId, prompt, mcpResponse, emit }) => {
+  const runSummaryAgent = async ({ requestId, prompt, mcpResponse, emit, onTrimmed, signal }) => {
     emit?.(
       'a2a',
       createA2AMessage({
@@ -518,12 +711,20 @@ export const createOrchestrationRuntime = ({
       }),
     );
 
-    const rawResult =
+    // 수천 건짜리 목록이나 긴 snippet도 예산 안으로 줄여 넘긴다(질의와 관련 높은 항목 우선).
+    const fitted =
       mcpResponse?.result && typeof mcpResponse.result === 'object'
-        ? JSON.stringify(mcpResponse.result, null, 2)
-        : String(mcpResponse?.answer || '');
+        ? contextBudget.fitResult(mcpResponse.result, { query: prompt })
+        : contextBudget.fitResult(String(mcpResponse?.answer || ''));
+    if (fitted.dropped.length > 0) {
+      onTrimmed?.({ agent: AGENT_IDS.summary, stage: 'summary.result', dropped: fitted.dropped });
+    }
+    const rawResult = fitted.text;
 
-    const summarized = await callOpenAI({
+    const summarized = await callLLM({
+      signal,
+      onRetry: traceRetry({ emit, requestId, from: AGENT_IDS.summary }),
+      agent: AGENT_IDS.summary,
       responseFormat: 'text',
       messages: [
         {
@@ -558,7 +759,28 @@ export const createOrchestrationRuntime = ({
     };
   };
 
-  const runWriterAgent = async ({ requestId, prompt, baseResponse, feedback, emit }) => {
+  const formatGrounding = (grounding = []) =>
+    grounding
+      .map(
+        (document) =>
+          `### ${document.name} (${document.uri})\n${document.text}${
+            document.truncated ? '\n...(이하 생략)' : ''
+          }`,
+      )
+      .join('\n\n');
+
+  const runWriterAgent = async ({
+    requestId,
+    prompt,
+    baseResponse,
+    feedback,
+    grounding,
+    history = '',
+    emit,
+    onDelta,
+    onTrimmed,
+    signal,
+  }) => {
     emit?.(
       'a2a',
       createA2AMessage({
@@ -566,20 +788,42 @@ export const createOrchestrationRuntime = ({
         to: AGENT_IDS.writer,
         type: 'writer.request',
         requestId,
-        payload: { hasFeedback: !!feedback },
+        payload: { hasFeedback: !!feedback, groundingCount: grounding?.length || 0 },
       }),
     );
 
-    const drafted = await callOpenAI({
+    // 구조화 결과를 그대로 펼친 초안이나 긴 grounding 문서는 예산(grounding은 절반) 안으로 자른다.
+    const draft = contextBudget.fitText(baseResponse?.answer || '');
+    const groundingText =
+      grounding?.length > 0
+        ? contextBudget.fitText(
+            formatGrounding(grounding),
+            Math.floor(contextBudget.resultTokens / 2),
+          )
+        : null;
+    const dropped = [
+      ...(draft.truncated ? [{ path: 'draft', truncatedTokens: draft.droppedTokens }] : []),
+      ...(groundingText?.truncated
+        ? [{ path: 'grounding', truncatedTokens: groundingText.droppedTokens }]
+        : []),
+    ];
+    if (dropped.length > 0) {
+      onTrimmed?.({ agent: AGENT_IDS.writer, stage: 'writer', dropped });
+    }
+    const request = `사용자 요청:\n${prompt}\n\n초안:\n${draft.text}${
+      groundingText
+        ? `\n\n참고 문서(MCP resources, 초안과 다르면 문서를 우선):\n${groundingText.text}`
+        : ''
+    }${feedback ? `\n\n수정 피드백:\n${feedback}` : ''}`;
+    const drafted = await callLLM({
+      signal,
+      onRetry: traceRetry({ emit, requestId, from: AGENT_IDS.writer }),
+      agent: AGENT_IDS.writer,
+      onDelta,
       responseFormat: 'text',
       messages: [
         { role: 'system', content: WRITER_PERSONA_PROMPT },
-        {
-          role: 'user',
-          content: `사용자 요청:\n${prompt}\n\n초안:\n${baseResponse?.answer || ''}${
-            feedback ? `\n\n수정 피드백:\n${feedback}` : ''
-          }`,
-        },
+        { role: 'user', content: withHistory(history, request) },
       ],
     });
 
@@ -600,7 +844,14 @@ export const createOrchestrationRuntime = ({
     };
   };
 
-  const runEvaluatorAgent = async ({ requestId, prompt, candidateAnswer, emit }) => {
+  const runEvaluatorAgent = async ({
+    requestId,
+    prompt,
+    candidateAnswer,
+    history = '',
+    emit,
+    signal,
+  }) => {
     emit?.(
       'a2a',
       createA2AMessage({
@@ -612,8 +863,12 @@ export const createOrchestrationRuntime = ({
       }),
     );
 
-    const evaluatedText = await callOpenAI({
-      responseFormat: 'json',
+    const evaluated = await callLLMStructured({
+      signal,
+      onRetry: traceRetry({ emit, requestId, from: AGENT_IDS.evaluator }),
+      onInvalid: traceInvalidOutput({ emit, requestId, from: AGENT_IDS.evaluator }),
+      agent: AGENT_IDS.evaluator,
+      schema: outputSchemas.evaluation,
       messages: [
         { role: 'system', content: EVALUATOR_PERSONA_PROMPT },
         {
@@ -621,24 +876,24 @@ export const createOrchestrationRuntime = ({
           content:
             `다음 응답을 평가하고 JSON만 반환:\n` +
             `{"pass": boolean, "score": number(0~100), "feedback": "개선점 한두 문장"}\n\n` +
-            `요청:\n${prompt}\n\n응답:\n${candidateAnswer || ''}`,
+            withHistory(history, `요청:\n${prompt}\n\n응답:\n${candidateAnswer || ''}`),
         },
       ],
     });
 
-    let parsed = { pass: true, score: 80, feedback: '' };
-    try {
-      const value = JSON.parse(evaluatedText);
-      if (value && typeof value === 'object') {
-        parsed = {
-          pass: value.pass !== false,
-          score: typeof value.score === 'number' ? value.score : 80,
-          feedback: typeof value.feedback === 'string' ? value.feedback : '',
+    // 평가 응답을 끝내 해석하지 못하면 통과로 간주하지 않고 error로 남긴다(재작성 여부는 파이프라인이 정한다).
+    const parsed = evaluated.ok
+      ? {
+          pass: evaluated.value.pass,
+          score: evaluated.value.score,
+          feedback: evaluated.value.feedback,
+        }
+      : {
+          pass: false,
+          score: null,
+          feedback: '',
+          error: `평가 응답이 스키마에 맞지 않아 품질을 확인하지 못했습니다. (${evaluated.attempts}회 시도)`,
         };
-      }
-    } catch {
-      // noop
-    }
 
     emit?.(
       'a2a',
@@ -654,46 +909,374 @@ export const createOrchestrationRuntime = ({
     return parsed;
   };
 
-  const runWriterEvaluationPipeline = async ({ requestId, prompt, response, emit }) => {
+  /**
+   * writer -> evaluator, 평가 실패 시 피드백으로 1회 재작성.
+   * 평가 응답 자체를 해석하지 못했으면(evaluation.error) 근거 없는 재작성은 하지 않고 초안을 그대로 쓴다.
+   * streamAnswer이면 writer 토큰을 도착하는 대로 delta 이벤트로 보내고, 재작성 전에 revision 이벤트를 보낸다.
+   * streamed는 최종 answer가 delta로 이미 전달됐는지 여부다.
+   */
+  const runWriterEvaluationPipeline = async ({
+    requestId,
+    prompt,
+    response,
+    grounding,
+    history = '',
+    emit,
+    streamAnswer = false,
+    onTrimmed,
+    signal,
+  }) => {
+    let streamedText = '';
+    const streamRevision = (revision) => {
+      streamedText = '';
+      if (!streamAnswer) {
+        return undefined;
+      }
+      return (chunk) => {
+        streamedText += chunk;
+        emit?.('delta', { chunk, revision });
+      };
+    };
+    const isStreamed = (written) =>
+      streamAnswer && streamedText !== '' && streamedText === written?.answer;
+
     let drafted = await runWriterAgent({
       requestId,
       prompt,
       baseResponse: response,
+      grounding,
+      history,
       emit,
+      onDelta: streamRevision(1),
+      onTrimmed,
+      signal,
     });
 
     const firstEval = await runEvaluatorAgent({
       requestId,
       prompt,
       candidateAnswer: drafted?.answer || '',
+      history,
       emit,
+      signal,
     });
 
-    if (firstEval.pass) {
+    if (firstEval.pass || firstEval.error) {
       return {
         response: drafted,
         evaluation: firstEval,
+        streamed: isStreamed(drafted),
       };
     }
 
+    // 화면은 이미 받은 초안을 지우고 재작성본을 이어서 받는다.
+    if (streamAnswer) {
+      emit?.('revision', {
+        requestId,
+        revision: 2,
+        score: firstEval.score,
+        feedback: firstEval.feedback,
+      });
+    }
     drafted = await runWriterAgent({
       requestId,
       prompt,
       baseResponse: drafted,
       feedback: firstEval.feedback,
+      grounding,
+      history,
       emit,
+      onDelta: streamRevision(2),
+      onTrimmed,
+      signal,
     });
 
     const secondEval = await runEvaluatorAgent({
       requestId,
       prompt,
       candidateAnswer: drafted?.answer || '',
+      history,
       emit,
+      signal,
     });
 
     return {
       response: drafted,
       evaluation: secondEval,
+      streamed: isStreamed(drafted),
+    };
+  };
+
+  /**
+   * 도구 실행 결과를 다음 step의 모델 입력(role: tool)으로 쓸 텍스트로 줄인다.
+   * step 하나의 결과는 resultTokens의 절반까지만 쓴다.
+   */
+  const describeLoopObservation = (response, query) => {
+    const status = response?.mcpStatus || 200;
+    const maxTokens = Math.floor(contextBudget.resultTokens / 2);
+    if (status >= 400 || response?.requiresInput) {
+      const failed = contextBudget.fitText(
+        `도구 실행 실패(${status}): ${response?.answer || ''}`,
+        maxTokens,
+      );
+      return {
+        text: failed.text,
+        dropped: failed.truncated ? [{ path: '$', truncatedTokens: failed.droppedTokens }] : [],
+      };
+    }
+    return contextBudget.fitResult(
+      response?.result && typeof response.result === 'object'
+        ? response.result
+        : String(response?.answer || ''),
+      { query, maxTokens },
+    );
+  };
+
+  /**
+   * 누적된 도구 결과가 loop 예산(resultTokens의 2배)을 넘으면 오래된 결과부터 생략 문구로 바꾼다.
+   * 가장 최근 결과는 남긴다. 생략한 tool call id 목록을 돌려준다.
+   */
+  const compactLoopObservations = (messages, compactedIds) => {
+    const observations = messages.filter((message) => message.role === 'tool');
+    let total = observations.reduce(
+      (sum, message) => sum + contextBudget.estimate(message.content),
+      0,
+    );
+    const compacted = [];
+    for (const message of observations.slice(0, -1)) {
+      if (total <= contextBudget.resultTokens * 2) {
+        break;
+      }
+      if (compactedIds.has(message.toolCallId)) {
+        continue;
+      }
+      total -= contextBudget.estimate(message.content);
+      message.content = LOOP_OBSERVATION_OMITTED;
+      compactedIds.add(message.toolCallId);
+      compacted.push(message.toolCallId);
+    }
+    return compacted;
+  };
+
+  /**
+   * 예산 초과로 결과를 받지 못한 도구 호출에 빈 결과를 채운다(provider는 호출마다 결과 메시지를 요구한다).
+   */
+  const closePendingToolCalls = (messages, reason) => {
+    const answered = new Set(
+      messages.filter((message) => message.role === 'tool').map((message) => message.toolCallId),
+    );
+    const pending = messages
+      .flatMap((message) => message.toolCalls || [])
+      .filter((call) => !answered.has(call.id));
+    for (const call of pending) {
+      messages.push({ role: 'tool', toolCallId: call.id, content: reason });
+    }
+  };
+
+  /**
+   * Agent loop: 모델이 도구 결과를 보고 다음 도구 호출을 정하는 과정을 반복한다.
+   * - 도구 호출 1회가 1 step이다. maxSteps 또는 전체 시간 예산(timeBudgetMs)을 넘으면 멈추고,
+   *   도구 없이 지금까지의 결과만으로 답변 초안을 만든다.
+   * - step마다 loop.step(plan-agent가 고른 호출) / loop.observation(mcp-agent 실행 결과) A2A 이벤트를 보낸다.
+   */
+  const runAgentLoop = async ({
+    requestId,
+    prompt,
+    tools,
+    localEndpoint,
+    mcpServers,
+    conversation,
+    history = '',
+    explanation,
+    execute,
+    emit,
+    onTrimmed,
+    signal,
+  }) => {
+    const { maxSteps, timeBudgetMs } = agentLoopConfig;
+    const startedAt = Date.now();
+    const budget = createTimeoutSignal(signal, timeBudgetMs);
+    const onRetry = traceRetry({ emit, requestId, from: AGENT_IDS.plan });
+    const messages = [
+      { role: 'system', content: AGENT_LOOP_PROMPT },
+      { role: 'user', content: withHistory(history, `사용자 요청: ${prompt}`) },
+    ];
+    const state = { maxSteps, timeBudgetMs, stopReason: 'completed', steps: [] };
+    let lastResponse = null;
+    let answer = '';
+    // tool call id -> step 번호 (생략한 결과를 trace에 step으로 보고하기 위해)
+    const stepsByCallId = new Map();
+    const compactedIds = new Set();
+    const compactObservations = () => {
+      const compacted = compactLoopObservations(messages, compactedIds);
+      if (compacted.length > 0) {
+        onTrimmed?.({
+          agent: AGENT_IDS.plan,
+          stage: 'loop.history',
+          dropped: compacted.map((id) => ({
+            path: `step_${stepsByCallId.get(id)}`,
+            omitted: true,
+          })),
+        });
+      }
+    };
+
+    try {
+      while (true) {
+        if (state.steps.length >= maxSteps) {
+          state.stopReason = 'max_steps';
+          break;
+        }
+        compactObservations();
+        const decision = await callLLMWithTools({
+          messages,
+          tools,
+          signal: budget.signal,
+          onRetry,
+          agent: AGENT_IDS.plan,
+        });
+        if (decision.toolCalls.length === 0) {
+          answer = decision.text;
+          break;
+        }
+
+        messages.push({ role: 'assistant', content: decision.text, toolCalls: decision.toolCalls });
+        for (const call of decision.toolCalls) {
+          // 한 번에 여러 호출을 받아도 step 한도를 넘는 호출은 실행하지 않는다.
+          if (state.steps.length >= maxSteps) {
+            break;
+          }
+          const step = state.steps.length + 1;
+          const toolArguments = call.arguments || {};
+          emit?.(
+            'a2a',
+            createA2AMessage({
+              from: AGENT_IDS.plan,
+              to: AGENT_IDS.mcp,
+              type: 'loop.step',
+              requestId,
+              payload: { step, maxSteps, tool: call.name, arguments: toolArguments },
+            }),
+          );
+
+          const response = await execute({
+            requestId,
+            prompt,
+            localEndpoint,
+            mcpServers,
+            conversation,
+            explanation,
+            executionPlan: {
+              tool: call.name,
+              toolArguments,
+              routedQuery: prompt,
+              explanation: `agent_loop_step:${step}`,
+            },
+            emit,
+            signal: budget.signal,
+          });
+          lastResponse = response;
+          const status = response?.mcpStatus || 200;
+          state.steps.push({
+            step,
+            tool: call.name,
+            arguments: toolArguments,
+            status,
+            elapsedMs: Date.now() - startedAt,
+          });
+          const observation = describeLoopObservation(response, prompt);
+          if (observation.dropped.length > 0) {
+            onTrimmed?.({
+              agent: AGENT_IDS.plan,
+              stage: 'loop.observation',
+              step,
+              dropped: observation.dropped,
+            });
+          }
+          messages.push({
+            role: 'tool',
+            toolCallId: call.id,
+            content: observation.text,
+          });
+          stepsByCallId.set(call.id, step);
+          emit?.(
+            'a2a',
+            createA2AMessage({
+              from: AGENT_IDS.mcp,
+              to: AGENT_IDS.plan,
+              type: 'loop.observation',
+              requestId,
+              payload: {
+                step,
+                tool: call.name,
+                status,
+                requiresInput: response?.requiresInput === true,
+              },
+            }),
+          );
+        }
+      }
+    } catch (error) {
+      if (!budget.isTimedOut()) {
+        throw error;
+      }
+      state.stopReason = 'time_budget';
+    } finally {
+      budget.cleanup();
+    }
+
+    // 한도/예산에 걸렸으면 도구 없이 지금까지의 결과로 답변 초안을 정리한다.
+    if (!answer && state.steps.length > 0) {
+      closePendingToolCalls(
+        messages,
+        state.stopReason === 'time_budget'
+          ? '시간 예산을 넘어 실행하지 않았습니다.'
+          : 'step 한도를 넘어 실행하지 않았습니다.',
+      );
+      compactObservations();
+      const closing = await callLLMWithTools({
+        messages: [
+          ...messages,
+          {
+            role: 'user',
+            content: '도구를 더 호출하지 말고 지금까지의 도구 결과만으로 요청에 답해.',
+          },
+        ],
+        tools,
+        toolChoice: 'none',
+        signal,
+        onRetry,
+        agent: AGENT_IDS.plan,
+      });
+      answer = closing.text;
+    }
+
+    state.elapsedMs = Date.now() - startedAt;
+    emit?.(
+      'a2a',
+      createA2AMessage({
+        from: AGENT_IDS.plan,
+        to: AGENT_IDS.orchestrator,
+        type: 'loop.finished',
+        requestId,
+        payload: {
+          stopReason: state.stopReason,
+          steps: state.steps.length,
+          elapsedMs: state.elapsedMs,
+        },
+      }),
+    );
+
+    return {
+      state,
+      response: {
+        action: 'local-mcp',
+        answer: answer || lastResponse?.answer || '',
+        route: 'local_mcp',
+        routedQuery: prompt,
+        explanation,
+        mcpStatus: 200,
+      },
     };
   };
 
@@ -702,15 +1285,103 @@ export const createOrchestrationRuntime = ({
     [AGENT_IDS.chat]: runChatAgent,
   };
 
-  const runOrchestration = async ({ prompt, localEndpoint, conversation, emit }) => {
-    const { requestId, plan, executionAgent, executionPlan, manifestContext } = await runPlanAgent({
+  const runOrchestration = async ({
+    prompt,
+    localEndpoint,
+    mcpServers,
+    conversation,
+    emit,
+    samplingApproval = false,
+    streamAnswer = false,
+    agentLoop,
+    conversationSummary,
+    offline = false,
+    signal,
+  }) => {
+    // 요청에 agentLoop가 없으면 서버 설정을 따른다. tool calling을 못 쓰는 provider는 단일 계획으로 처리한다.
+    const useAgentLoop =
+      !offline &&
+      (agentLoop ?? agentLoopConfig.enabled) === true &&
+      supportsToolCalling?.() === true;
+    const requestId = createRequestId();
+    // 프롬프트에서 줄이거나 뺀 내용은 trace(contextBudget)와 context.trimmed A2A 이벤트로 남긴다.
+    const contextTrace = [];
+    const reportTrimmed = ({ agent, ...entry }) => {
+      contextTrace.push(entry);
+      emit?.(
+        'a2a',
+        createA2AMessage({
+          from: agent,
+          to: AGENT_IDS.orchestrator,
+          type: 'context.trimmed',
+          requestId,
+          payload: entry,
+        }),
+      );
+    };
+
+    // 후속 질문이 앞 대화/도구 결과를 가리킬 수 있도록 최근 대화 창을 라우터/planner/writer에 넘긴다.
+    // 창에서 밀려난 오래된 메시지는 누적 요약(conversationSummary)으로 압축한다.
+    let historyWindow = conversationContext?.buildWindow(
+      conversation,
+      prompt,
+      conversationSummary,
+    ) || { messages: [], references: [], summary: null, overflow: [], truncatedMessages: 0 };
+    if (historyWindow.truncatedMessages > 0) {
+      reportTrimmed({
+        agent: AGENT_IDS.orchestrator,
+        stage: 'history',
+        dropped: [{ path: 'conversation', truncatedMessages: historyWindow.truncatedMessages }],
+      });
+    }
+    // 오프라인에서는 요약하지 않고 다음 온라인 요청으로 미룬다(받은 요약은 그대로 돌려준다).
+    if (historyWindow.overflow.length > 0 && !offline) {
+      historyWindow = await runHistorySummaryAgent({
+        requestId,
+        historyWindow,
+        emit,
+        onTrimmed: reportTrimmed,
+        signal,
+      });
+    }
+    const history = conversationContext?.format(historyWindow) || '';
+    const historyMessages = historyWindow.summary
+      ? [
+          { role: 'system', content: `이전 대화 요약:\n${historyWindow.summary.text}` },
+          ...historyWindow.messages,
+        ]
+      : historyWindow.messages;
+    const { plan, executionAgent, executionPlan, manifestContext } = await runPlanAgent({
+      requestId,
       prompt,
       localEndpoint,
+      mcpServers,
+      history,
       emit,
+      agentLoop: useAgentLoop,
+      offline,
+      signal,
     });
-    const execute = EXECUTION_AGENT_REGISTRY[executionAgent] || runMCPAgent;
+    const executeAgent = EXECUTION_AGENT_REGISTRY[executionAgent] || runMCPAgent;
+    // 이번 요청의 MCP 실행 결과는 다음 요청이 참조할 수 있게 toolContext로 응답에 남긴다.
+    const toolResponses = [];
+    const execute = async (options) => {
+      const executed = await executeAgent({
+        ...options,
+        samplingApproval,
+        historyMessages,
+      });
+      if (executionAgent === AGENT_IDS.mcp) {
+        toolResponses.push(executed);
+      }
+      return executed;
+    };
     const routedPrompt = plan.query || prompt;
-    if (executionAgent === AGENT_IDS.mcp && !executionPlan) {
+    const loopTools =
+      useAgentLoop && executionAgent === AGENT_IDS.mcp && manifestContext?.ok
+        ? manifestContext.tools || []
+        : [];
+    if (executionAgent === AGENT_IDS.mcp && !executionPlan && loopTools.length === 0) {
       return {
         requestId,
         executionAgent,
@@ -732,15 +1403,36 @@ export const createOrchestrationRuntime = ({
       };
     }
 
-    let response = await execute({
-      requestId,
-      prompt: routedPrompt,
-      localEndpoint,
-      conversation,
-      explanation: plan.explanation,
-      executionPlan,
-      emit,
-    });
+    let response;
+    let agentLoopState = null;
+    if (loopTools.length > 0) {
+      ({ response, state: agentLoopState } = await runAgentLoop({
+        requestId,
+        prompt: routedPrompt,
+        tools: loopTools,
+        localEndpoint,
+        mcpServers,
+        conversation,
+        history,
+        explanation: plan.explanation,
+        execute,
+        emit,
+        onTrimmed: reportTrimmed,
+        signal,
+      }));
+    } else {
+      response = await execute({
+        requestId,
+        prompt: routedPrompt,
+        localEndpoint,
+        mcpServers,
+        conversation,
+        explanation: plan.explanation,
+        executionPlan,
+        emit,
+        signal,
+      });
+    }
     let retried = false;
     let workflowState = null;
 
@@ -759,19 +1451,24 @@ export const createOrchestrationRuntime = ({
         requestId,
         routedPrompt,
         localEndpoint,
+        mcpServers,
         conversation,
         explanation: plan.explanation,
         emit,
+        signal,
       });
       response = workflowResult.response;
       workflowState = workflowResult.workflowState;
     }
 
-    if (executionAgent === AGENT_IDS.mcp && shouldRetryForPathIssue(response)) {
+    // agent loop는 경로 문제도 모델이 다음 step에서 처리하므로 고정 재시도 전략을 쓰지 않는다.
+    if (executionAgent === AGENT_IDS.mcp && !agentLoopState && shouldRetryForPathIssue(response)) {
       let retryPlan = null;
       let usedListDocsDiscovery = false;
       const listDocsTool =
-        manifestContext?.tools?.find((tool) => String(tool?.name || '').toLowerCase() === 'list_docs') || null;
+        manifestContext?.tools?.find(
+          (tool) => String(tool?.originalName || tool?.name || '').toLowerCase() === 'list_docs',
+        ) || null;
 
       // 경로 오류 시 1차 재시도 전략:
       // list_docs를 통해 실제 .md 파일 경로를 수집하고, 원래 요약 도구를 그 경로로 재실행한다.
@@ -805,10 +1502,12 @@ export const createOrchestrationRuntime = ({
           requestId,
           prompt: routedPrompt,
           localEndpoint,
+          mcpServers,
           conversation,
           explanation: plan.explanation,
           executionPlan: discoveryPlan,
           emit,
+          signal,
         });
 
         const discoveredMdPaths = extractMdPathsFromResponse(discoveryResponse);
@@ -858,33 +1557,113 @@ export const createOrchestrationRuntime = ({
           requestId,
           prompt: routedPrompt,
           localEndpoint,
+          mcpServers,
           conversation,
           explanation: plan.explanation,
           executionPlan: retryPlan,
           emit,
+          signal,
         });
       }
     }
 
-    if (shouldHandoffToSummaryAgent(response, executionAgent)) {
+    // 오프라인 응답은 도구 결과를 정리한 markdown(summarizeStructuredForDisplay) 그대로 내보낸다.
+    if (offline) {
+      emit?.(
+        'a2a',
+        createA2AMessage({
+          from: AGENT_IDS.orchestrator,
+          to: AGENT_IDS.output,
+          type: 'pipeline.skipped',
+          requestId,
+          payload: {
+            reason: 'offline',
+            agents: [AGENT_IDS.summary, AGENT_IDS.writer, AGENT_IDS.evaluator],
+          },
+        }),
+      );
+    }
+
+    if (!offline && shouldHandoffToSummaryAgent(response, executionAgent)) {
       response = await runSummaryAgent({
         requestId,
         prompt: routedPrompt,
         mcpResponse: response,
         emit,
+        onTrimmed: reportTrimmed,
+        signal,
       });
     }
 
-    // 모든 요청의 최종 응답은 writer/evaluator 검증 파이프라인을 통과시킨다.
-    const written = await runWriterEvaluationPipeline({
-      requestId,
-      prompt: routedPrompt,
-      response,
-      emit,
-    });
+    // 로컬 지식 질의는 관련 MCP resource 본문을 writer grounding으로 첨부한다.
+    let grounding = [];
+    if (!offline && executionAgent === AGENT_IDS.mcp && collectResourceGrounding) {
+      signal?.throwIfAborted();
+      try {
+        grounding = await collectResourceGrounding({
+          prompt: routedPrompt,
+          localEndpoint,
+          mcpServers,
+          signal,
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        // grounding은 보조 정보이므로 실패해도 초안만으로 계속 진행한다.
+        emit?.(
+          'a2a',
+          createA2AMessage({
+            from: AGENT_IDS.orchestrator,
+            to: AGENT_IDS.writer,
+            type: 'resources.failed',
+            requestId,
+            payload: { error: error instanceof Error ? error.message : String(error) },
+          }),
+        );
+      }
+      if (grounding.length > 0) {
+        emit?.(
+          'a2a',
+          createA2AMessage({
+            from: AGENT_IDS.orchestrator,
+            to: AGENT_IDS.writer,
+            type: 'resources.attached',
+            requestId,
+            payload: {
+              resources: grounding.map((document) => ({
+                uri: document.uri,
+                server: document.server,
+                truncated: document.truncated,
+              })),
+            },
+          }),
+        );
+      }
+    }
+
+    // 오프라인이 아니면 모든 요청의 최종 응답은 writer/evaluator 검증 파이프라인을 통과시킨다.
+    const written = offline
+      ? { response, evaluation: null, streamed: false }
+      : await runWriterEvaluationPipeline({
+          requestId,
+          prompt: routedPrompt,
+          response,
+          grounding,
+          history,
+          emit,
+          streamAnswer,
+          onTrimmed: reportTrimmed,
+          signal,
+        });
+    const toolContext = conversationContext?.summarizeToolResponses(toolResponses) || [];
     response = {
       ...written.response,
       qualityCheck: written.evaluation,
+      ...(offline ? { offline: true } : {}),
+      ...(toolContext.length > 0 ? { toolContext } : {}),
+      // 클라이언트가 다음 요청에 그대로 돌려보내면 이미 요약한 메시지는 다시 요약하지 않는다.
+      ...(historyWindow.summary ? { conversationSummary: historyWindow.summary } : {}),
     };
 
     return {
@@ -894,15 +1673,26 @@ export const createOrchestrationRuntime = ({
       executionPlan,
       retried,
       workflowState,
+      agentLoop: agentLoopState,
+      offline,
+      conversation: {
+        messages: historyWindow.messages.length,
+        references: historyWindow.references.length,
+        summaryTurns: historyWindow.summary?.turns || 0,
+      },
+      contextBudget: contextTrace,
       manifestContext,
+      grounding: grounding.map((document) => ({ uri: document.uri, server: document.server })),
+      answerStreamed: written.streamed,
       response,
     };
   };
 
   /**
    * Output Agent: 응답 텍스트 스트리밍 + final/done 이벤트를 책임진다.
+   * writer 토큰이 이미 delta로 전달됐으면(streamed) 본문은 다시 보내지 않는다.
    */
-  const runOutputAgentStream = ({ res, response, requestId, emit }) => {
+  const runOutputAgentStream = ({ res, response, requestId, emit, streamed = false }) => {
     emit?.(
       'a2a',
       createA2AMessage({
@@ -912,11 +1702,14 @@ export const createOrchestrationRuntime = ({
         requestId,
         payload: {
           mode: 'stream',
+          streamed,
         },
       }),
     );
 
-    streamText(res, String(response?.answer || ''));
+    if (!streamed) {
+      streamText(res, String(response?.answer || ''));
+    }
     writeSSE(res, 'final', response);
     writeSSE(res, 'done', { ok: true });
 
@@ -0,0 +1,175 @@
+/**
+ * 외부 호출(MCP / OpenAI) 공통 복원력 유틸.
+ * - 호출 단위 timeout (호출자 signal과 결합, 시간 초과와 사용자 중단을 구분)
+ * - Retry-After를 우선하는 지수 백오프 재시도 지연 계산
+ * - endpoint 단위 circuit breaker (연속 실패 시 일정 시간 fail-fast)
+ */
+
+// 재시도해도 되는 일시적 HTTP 상태 코드
+export const TRANSIENT_HTTP_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Retry-After 헤더(초 또는 HTTP-date)를 ms로 변환한다. 해석할 수 없으면 null.
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const seconds = Number(value.trim());
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * attempt(1부터)번째 재시도 전 대기 시간. 서버가 Retry-After를 주면 그 값을 따른다.
+ */
+export const computeRetryDelay = (
+  attempt,
+  { baseDelayMs = 500, maxDelayMs = 10_000, retryAfterMs = null } = {},
+) => {
+  if (typeof retryAfterMs === 'number' && retryAfterMs >= 0) {
+    return Math.min(retryAfterMs, maxDelayMs);
+  }
+  const exponential = baseDelayMs * 2 ** Math.max(0, attempt - 1);
+  const jitter = Math.random() * baseDelayMs;
+  return Math.min(exponential + jitter, maxDelayMs);
+};
+
+/**
+ * signal이 중단되면 즉시 깨어나는 대기.
+ */
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * 호출자 signal과 timeout을 합친 signal을 만든다.
+ * timeoutMs가 0 이하이면 timeout 없이 호출자 signal만 전달한다.
+ * hold()는 사용자 승인 대기처럼 시간을 재면 안 되는 구간 동안 timeout을 멈추고,
+ * 반환된 release()를 호출하면 timeout을 처음부터 다시 잰다.
+ * 사용 후 반드시 cleanup()을 호출한다.
+ */
+export const createTimeoutSignal = (signal, timeoutMs) => {
+  if (!(timeoutMs > 0)) {
+    return { signal, cleanup: () => {}, isTimedOut: () => false, hold: () => () => {} };
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+  let holds = 0;
+  let finished = false;
+  const onAbort = () => controller.abort(signal.reason);
+  const onTimeout = () => {
+    timedOut = true;
+    controller.abort(new Error(`요청 시간이 초과되었습니다. (${timeoutMs}ms)`));
+  };
+  let timer = setTimeout(onTimeout, timeoutMs);
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup: () => {
+      finished = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+    isTimedOut: () => timedOut,
+    hold: () => {
+      holds += 1;
+      clearTimeout(timer);
+      let released = false;
+      return () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        holds -= 1;
+        if (holds === 0 && !finished && !controller.signal.aborted) {
+          timer = setTimeout(onTimeout, timeoutMs);
+        }
+      };
+    },
+  };
+};
+
+/**
+ * key(endpoint)별 circuit breaker.
+ * - closed: 정상. 연속 실패가 failureThreshold에 도달하면 open
+ * - open: cooldownMs 동안 호출을 바로 거절
+ * - half_open: cooldown 이후 시험 호출을 허용, 성공하면 closed / 실패하면 다시 open
+ */
+export const createCircuitBreaker = ({ failureThreshold = 5, cooldownMs = 30_000 } = {}) => {
+  const circuits = new Map();
+
+  const getCircuit = (key) => {
+    if (!circuits.has(key)) {
+      circuits.set(key, { state: 'closed', failures: 0, openedAt: 0, lastError: null });
+    }
+    return circuits.get(key);
+  };
+
+  /**
+   * 호출 가능 여부. open 상태면 { allowed: false, retryInMs }를 반환한다.
+   */
+  const check = (key) => {
+    const circuit = getCircuit(key);
+    if (circuit.state !== 'open') {
+      return { allowed: true, retryInMs: 0 };
+    }
+    const elapsed = Date.now() - circuit.openedAt;
+    if (elapsed >= cooldownMs) {
+      circuit.state = 'half_open';
+      return { allowed: true, retryInMs: 0 };
+    }
+    return { allowed: false, retryInMs: cooldownMs - elapsed, lastError: circuit.lastError };
+  };
+
+  const recordSuccess = (key) => {
+    const circuit = getCircuit(key);
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.lastError = null;
+  };
+
+  const recordFailure = (key, reason = null) => {
+    const circuit = getCircuit(key);
+    circuit.failures += 1;
+    circuit.lastError = reason;
+    if (circuit.state === 'half_open' || circuit.failures >= failureThreshold) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+  };
+
+  const getState = (key) => {
+    const circuit = getCircuit(key);
+    return {
+      state: circuit.state,
+      failures: circuit.failures,
+      lastError: circuit.lastError,
+    };
+  };
+
+  return { check, recordSuccess, recordFailure, getState };
+};
@@ -10,6 +10,8 @@ const ROUTER_TOOL_SELECTION_FORMAT_GUIDELINES = `
 - GitHub PR/동기화 의도면 create_pr를 바로 호출하지 말고, 먼저 sync_status를 통해 상태 점검 계획을 세워라.
 - sync_status 결과가 ready_for_pr=true, is_clean=true일 때만 create_pr를 실행하도록 계획해라.
 - sync_status 결과에 has_unpushed_commits, staged_files/unstaged_files/untracked_files를 확인하는 계획을 포함해라.
+- 도구 스키마에 server 필드가 있으면 여러 MCP 서버가 연결된 상태다. tool/discovery.tool 이름은 '서버.도구' 형식 그대로 사용해라.
+- 요청이 이전 도구 결과의 문서를 가리키면(예: "그 목록의 두 번째 파일") 해당 경로를 paths에 직접 넣고 탐색을 생략해라.
 `.trim();
 
 export const buildToolSelectionPrompt = (toolSummaries = []) =>
@@ -34,6 +36,42 @@ ${ROUTER_TOOL_SELECTION_FORMAT_GUIDELINES}
 ${JSON.stringify(toolSummaries, null, 2)}
 `.trim();
 
+// native tool calling 모드: 도구 스키마는 함수 정의로 전달하므로 프롬프트에는 선택 규칙만 둔다.
+export const buildNativeToolPlanningPrompt = () =>
+  `
+너는 로컬 MCP 라우팅 에이전트야.
+사용자 요청을 처리하는 데 필요한 MCP 도구를 함수 호출(tool call)로 선택해.
+반드시 다음 규칙을 따르게:
+- 필요한 도구를 실행 순서대로 호출한다. 여러 도구가 필요하면 한 번에 여러 개를 호출한다.
+- 인자는 각 도구의 parameters 스키마 타입을 정확히 맞추고, 스키마에 없는 키는 넣지 않는다.
+- paths는 string[] 타입이다. 경로를 모르면 먼저 탐색 도구(search/list 등)를 호출하고, 이어서 요약 도구를 paths 없이 호출해라. 탐색 결과가 paths로 채워진다.
+- output_path가 필요한데 요청에 없으면 output.md를 사용한다.
+- GitHub PR/동기화 의도면 create_pr를 바로 호출하지 말고 sync_status를 먼저 호출해라.
+- 도구 설명 앞의 [서버명]은 도구가 속한 MCP 서버다.
+- 요청이 이전 도구 결과의 문서를 가리키면(예: "그 목록의 두 번째 파일") 해당 경로를 paths에 직접 넣고 탐색 도구는 호출하지 않는다.
+`.trim();
+
+export const buildToolArgumentRepairPrompt = ({ tool, inputSchema, violations }) =>
+  `
+너는 로컬 MCP 도구 인자 교정 에이전트야.
+이전에 계획한 tool_arguments가 도구의 inputSchema 검증에 실패했어.
+사용자 요청과 위반 내역을 보고 스키마를 만족하는 tool_arguments를 다시 만들어.
+항상 JSON 객체만 반환해:
+{
+  "tool_arguments": { "....": "..." }
+}
+반드시 다음 규칙을 따르게:
+- inputSchema.properties에 없는 키는 넣지 않는다(additionalProperties: false).
+- enum이 있으면 그 값 중 하나만 사용한다.
+- minLength/maxLength 등 길이 제약을 지킨다. 사용자 요청 문장 전체를 값으로 넣지 않는다.
+- 값을 정할 근거가 없는 선택 인자는 생략한다.
+도구: ${tool}
+inputSchema:
+${JSON.stringify(inputSchema || {}, null, 2)}
+검증 위반:
+${violations}
+`.trim();
+
 export const buildRouteDecisionPrompt = () =>
   `
 너는 로컬 MCP 라우터야.
@@ -45,6 +83,7 @@ export const buildRouteDecisionPrompt = () =>
   "explanation": "짧은 판단 근거"
 }
 로컬 MCP가 필요한 경우 route=local_mcp를 반환해.
+이전 대화나 이전 도구 결과가 함께 주어지면 "그 목록의 두 번째 파일", "아까 그 문서"처럼 앞 내용을 가리키는 표현을 실제 경로/대상으로 바꿔, query만 읽어도 이해되는 문장으로 작성해.
 `.trim();
 
 export const CHAT_ONLY_PROMPT =
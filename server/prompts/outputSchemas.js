@@ -0,0 +1,70 @@
+/**
+ * 에이전트 JSON 응답 스키마 (llm.callLLMStructured로 요청/검증).
+ * - strict: true인 스키마는 OpenAI strict structured outputs 규칙을 따른다
+ *   (모든 속성을 required에 두고 additionalProperties: false, 선택 값은 null 허용 타입으로 표현).
+ * - tool_arguments처럼 키가 정해지지 않은 객체가 있는 스키마는 strict로 보낼 수 없어 strict: false로 두고 응답만 검증한다.
+ */
+export const ROUTE_DECISION_SCHEMA = {
+  name: 'route_decision',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      route: { type: 'string', enum: ['local_mcp', 'chat_only'] },
+      query: { type: 'string' },
+      explanation: { type: 'string' },
+    },
+    required: ['route', 'query', 'explanation'],
+    additionalProperties: false,
+  },
+};
+
+export const TOOL_SELECTION_SCHEMA = {
+  name: 'tool_selection',
+  strict: false,
+  schema: {
+    type: 'object',
+    properties: {
+      tool: { type: ['string', 'null'] },
+      tool_arguments: { type: 'object' },
+      routed_query: { type: 'string' },
+      explanation: { type: 'string' },
+      discovery: {
+        type: ['object', 'null'],
+        properties: {
+          tool: { type: ['string', 'null'] },
+          tool_arguments: { type: 'object' },
+          expected_paths: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+    required: ['tool', 'tool_arguments'],
+  },
+};
+
+export const TOOL_ARGUMENT_REPAIR_SCHEMA = {
+  name: 'tool_argument_repair',
+  strict: false,
+  schema: {
+    type: 'object',
+    properties: {
+      tool_arguments: { type: 'object' },
+    },
+    required: ['tool_arguments'],
+  },
+};
+
+export const EVALUATION_SCHEMA = {
+  name: 'answer_evaluation',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      pass: { type: 'boolean' },
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      feedback: { type: 'string' },
+    },
+    required: ['pass', 'score', 'feedback'],
+    additionalProperties: false,
+  },
+};
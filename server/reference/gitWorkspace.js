@@ -0,0 +1,244 @@
+import { execFile } from 'node:child_process';
+
+/**
+ * 참조 MCP 서버의 로컬 git 작업공간.
+ * - sync_status: 브랜치/remote/staged·unstaged·untracked 파일/push 여부 판독
+ * - create_pr: staged 변경만 bot 이름으로 commit -> push -> GitHub PR 생성
+ * GitHub PR 생성은 githubToken이 있을 때만 API로 수행하고, 없으면 compare URL을 돌려준다.
+ */
+
+const DEFAULT_GIT_TIMEOUT_MS = 30_000;
+const PUSH_TIMEOUT_MS = 120_000;
+
+const runGit = (cwd, args, { timeoutMs = DEFAULT_GIT_TIMEOUT_MS, signal } = {}) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      'git',
+      args,
+      { cwd, timeout: timeoutMs, signal, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          const message = String(stderr || error.message).trim();
+          reject(new Error(`git ${args[0]} 실패: ${message}`));
+          return;
+        }
+        resolve(stdout);
+      },
+    );
+  });
+
+const tryGit = (cwd, args, options) => runGit(cwd, args, options).catch(() => null);
+
+/**
+ * `git status --porcelain=v1 -z` 출력을 staged/unstaged/untracked 목록으로 나눈다.
+ */
+export const parsePorcelainStatus = (output = '') => {
+  const staged = [];
+  const unstaged = [];
+  const untracked = [];
+  const entries = output.split('\0');
+  for (let index = 0; index < entries.length; index += 1) {
+    const entry = entries[index];
+    if (entry.length < 4) {
+      continue;
+    }
+    const [x, y] = entry;
+    const file = entry.slice(3);
+    if (x === '?' && y === '?') {
+      untracked.push(file);
+      continue;
+    }
+    if (x !== ' ') {
+      staged.push(file);
+    }
+    if (y !== ' ') {
+      unstaged.push(file);
+    }
+    // rename/copy는 원래 경로가 다음 항목으로 한 번 더 나온다.
+    if (x === 'R' || x === 'C') {
+      index += 1;
+    }
+  }
+  return { staged, unstaged, untracked };
+};
+
+/**
+ * origin URL(https 또는 ssh)에서 GitHub owner/repo를 꺼낸다. GitHub가 아니면 null.
+ */
+export const parseGitHubRemote = (remoteUrl = '') => {
+  const match = String(remoteUrl).match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? { owner: match[1], repo: match[2] } : null;
+};
+
+const formatTimestamp = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d+Z$/, '')
+    .replace('T', '-');
+
+export const createGitWorkspace = ({
+  cwd,
+  githubToken = '',
+  githubApiUrl = 'https://api.github.com',
+}) => {
+  const git = (args, options) => runGit(cwd, args, options);
+
+  const syncStatus = async ({ signal } = {}) => {
+    const workspace = (await git(['rev-parse', '--show-toplevel'], { signal })).trim();
+    const branch =
+      (await tryGit(cwd, ['rev-parse', '--abbrev-ref', 'HEAD'], { signal }))?.trim() || 'HEAD';
+    const remoteUrl =
+      (await tryGit(cwd, ['remote', 'get-url', 'origin'], { signal }))?.trim() || '';
+    const { staged, unstaged, untracked } = parsePorcelainStatus(
+      await git(['status', '--porcelain=v1', '-z'], { signal }),
+    );
+
+    const upstream = (
+      await tryGit(cwd, ['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}'], { signal })
+    )?.trim();
+    let behind = 0;
+    if (upstream) {
+      const counts = await tryGit(cwd, ['rev-list', '--left-right', '--count', '@{u}...HEAD'], {
+        signal,
+      });
+      behind = Number(counts?.trim().split(/\s+/)[0]) || 0;
+    }
+    // remote 어디에도 없는 커밋이 있으면 push가 필요하다(upstream이 없는 새 브랜치 포함).
+    const unpushed = await tryGit(cwd, ['rev-list', '--count', 'HEAD', '--not', '--remotes'], {
+      signal,
+    });
+    const hasUnpushedCommits = Boolean(remoteUrl) && Number(unpushed?.trim()) > 0;
+
+    // create_pr는 staged 변경만 커밋하므로, unstaged/untracked가 없으면 clean으로 본다.
+    const isClean = unstaged.length === 0 && untracked.length === 0;
+    return {
+      branch,
+      workspace,
+      remote_url: remoteUrl,
+      staged_files: staged,
+      unstaged_files: unstaged,
+      untracked_files: untracked,
+      is_clean: isClean,
+      ready_for_pr: isClean && Boolean(remoteUrl) && (staged.length > 0 || hasUnpushedCommits),
+      has_unpushed_commits: hasUnpushedCommits,
+      push_command: upstream ? 'git push' : `git push -u origin ${branch}`,
+      ready_for_pull: behind > 0,
+    };
+  };
+
+  const createGitHubPullRequest = async ({ remote, head, base, title, body, signal }) => {
+    const response = await fetch(`${githubApiUrl}/repos/${remote.owner}/${remote.repo}/pulls`, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${githubToken}`,
+        'Content-Type': 'application/json',
+        'User-Agent': 'local-mcp-reference-server',
+      },
+      body: JSON.stringify({ title, head, base, body }),
+      signal,
+    });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(
+        `GitHub PR 생성 실패 (${response.status}): ${payload?.message || response.statusText}`,
+      );
+    }
+    return { url: payload.html_url, number: payload.number };
+  };
+
+  /**
+   * staged 변경을 bot 이름으로 커밋하고 branch로 push한 뒤 PR을 만든다.
+   * branch가 현재 브랜치와 다르면 staged 변경을 그대로 가지고 새 브랜치로 전환한다.
+   */
+  const createPullRequest = async (
+    {
+      branch,
+      commit_message: commitMessage,
+      base = 'origin/main',
+      bot_name: botName = 'knowledge-bot',
+      requested_by: requestedBy,
+    },
+    { signal } = {},
+  ) => {
+    const status = await syncStatus({ signal });
+    if (status.staged_files.length === 0 && !status.has_unpushed_commits) {
+      throw new Error('커밋할 staged 변경이나 push할 커밋이 없습니다.');
+    }
+    if (!status.remote_url) {
+      throw new Error('origin remote가 없어 push할 수 없습니다.');
+    }
+
+    const targetBranch = branch || `${botName}/${formatTimestamp(new Date())}`;
+    if (targetBranch !== status.branch) {
+      await git(['switch', '-c', targetBranch], { signal });
+    }
+
+    let commit = null;
+    if (status.staged_files.length > 0) {
+      const trailers = [
+        `Bot: ${botName}`,
+        ...(requestedBy ? [`Requested-by: ${requestedBy}`] : []),
+      ];
+      await git(
+        [
+          '-c',
+          `user.name=${botName}`,
+          '-c',
+          `user.email=${botName}@users.noreply.github.com`,
+          'commit',
+          '-m',
+          commitMessage,
+          '-m',
+          trailers.join('\n'),
+        ],
+        { signal },
+      );
+      commit = (await git(['rev-parse', 'HEAD'], { signal })).trim();
+    }
+
+    await git(['push', '-u', 'origin', targetBranch], { signal, timeoutMs: PUSH_TIMEOUT_MS });
+
+    const baseBranch = base.replace(/^origin\//, '');
+    const remote = parseGitHubRemote(status.remote_url);
+    const result = {
+      ok: true,
+      branch: targetBranch,
+      base: baseBranch,
+      commit,
+      committed_files: status.staged_files,
+      pushed: true,
+      pr_url: null,
+      pr_number: null,
+      compare_url: remote
+        ? `https://github.com/${remote.owner}/${remote.repo}/compare/${baseBranch}...${targetBranch}?expand=1`
+        : null,
+    };
+    if (!remote || !githubToken) {
+      result.message = remote
+        ? 'GITHUB_TOKEN이 없어 PR을 만들지 않았습니다. compare_url에서 PR을 열 수 있습니다.'
+        : 'GitHub remote가 아니어서 PR을 만들지 않았습니다.';
+      return result;
+    }
+
+    const pullRequest = await createGitHubPullRequest({
+      remote,
+      head: targetBranch,
+      base: baseBranch,
+      title: commitMessage.split('\n')[0],
+      body: [
+        `${botName}가 생성한 PR입니다.`,
+        ...(requestedBy ? [`요청자: ${requestedBy}`] : []),
+        '',
+        ...status.staged_files.map((file) => `- ${file}`),
+      ].join('\n'),
+      signal,
+    });
+    result.pr_url = pullRequest.url;
+    result.pr_number = pullRequest.number;
+    return result;
+  };
+
+  return { syncStatus, createPullRequest };
+};
@@ -0,0 +1,163 @@
+import { randomUUID } from 'node:crypto';
+import { createInterface } from 'node:readline';
+import path from 'node:path';
+import express from 'express';
+import { createKnowledgeBase } from './knowledgeBase.js';
+import { createGitWorkspace } from './gitWorkspace.js';
+import { createReferenceTools, loadManifest } from './tools.js';
+import { createReferenceMCPServer } from './protocol.js';
+
+/**
+ * 개발/데모용 참조 MCP 서버.
+ * 로컬 markdown 폴더(root)와 그 폴더가 속한 git 저장소를 대상으로 브릿지가 기대하는 도구를 제공한다.
+ *
+ *   node server/reference/index.js [--root <dir>] [--port <n>] [--stdio]
+ *
+ * - 기본은 Streamable HTTP(`http://localhost:3001/mcp`, manifest는 `/mcp/manifest`)
+ * - --stdio: 줄 단위 JSON-RPC (LOCAL_MCP_STDIO_SERVERS에 등록해 사용)
+ */
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+};
+
+const ROOT = path.resolve(readOption('root') || process.env.REFERENCE_MCP_ROOT || process.cwd());
+const PORT = Number(readOption('port') || process.env.REFERENCE_MCP_PORT || 3001);
+const USE_STDIO = process.argv.includes('--stdio');
+
+const manifest = loadManifest();
+const knowledgeBase = createKnowledgeBase({ root: ROOT });
+const tools = createReferenceTools({
+  knowledgeBase,
+  gitWorkspace: createGitWorkspace({
+    cwd: ROOT,
+    githubToken: process.env.GITHUB_TOKEN || '',
+    githubApiUrl: process.env.GITHUB_API_URL || undefined,
+  }),
+  manifest,
+});
+const serverInfo = { name: 'local-mcp-reference', version: manifest.version || '1.0.0' };
+const createServer = () => createReferenceMCPServer({ tools, knowledgeBase, serverInfo });
+
+const startStdio = () => {
+  const server = createServer();
+  const write = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+  const notify = (method, params) => write({ jsonrpc: '2.0', method, params });
+
+  createInterface({ input: process.stdin }).on('line', async (line) => {
+    if (!line.trim()) {
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      write({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+    const response = await server.handleMessage(message, { notify });
+    if (response) {
+      write(response);
+    }
+  });
+  // stdout은 프로토콜 전용이므로 로그는 stderr로 보낸다.
+  console.error(`[reference-mcp] stdio 대기 중 (root: ${ROOT})`);
+};
+
+const startHttp = () => {
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  // Mcp-Session-Id -> 세션별 JSON-RPC 처리기. 세션 헤더 없이 온 요청은 공용 처리기로 받는다.
+  const sessions = new Map();
+  const statelessServer = createServer();
+
+  app.get('/mcp/manifest', (req, res) => {
+    res.json({ ...manifest, tools: tools.tools });
+  });
+
+  app.post('/mcp', async (req, res) => {
+    const message = req.body;
+    if (Array.isArray(message)) {
+      res.status(400).json({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32600, message: 'Batch requests are not supported' },
+      });
+      return;
+    }
+
+    const requestedSession = req.get('mcp-session-id');
+    let server = statelessServer;
+    if (message?.method === 'initialize') {
+      const sessionId = randomUUID();
+      server = createServer();
+      sessions.set(sessionId, server);
+      res.setHeader('Mcp-Session-Id', sessionId);
+    } else if (requestedSession) {
+      server = sessions.get(requestedSession);
+      if (!server) {
+        res.status(404).json({
+          jsonrpc: '2.0',
+          id: message?.id ?? null,
+          error: { code: -32001, message: 'Session not found' },
+        });
+        return;
+      }
+    }
+
+    const isRequest = typeof message?.method === 'string' && message.id !== undefined;
+    const wantsStream = String(req.get('accept') || '').includes('text/event-stream');
+    if (!isRequest || !wantsStream || message.method !== 'tools/call') {
+      const response = await server.handleMessage(message);
+      if (response) {
+        res.json(response);
+      } else {
+        res.status(202).end();
+      }
+      return;
+    }
+
+    // 도구 실행은 SSE로 응답해 진행 알림을 결과보다 먼저 보낼 수 있게 한다.
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const writeEvent = (payload) => {
+      if (!res.writableEnded) {
+        res.write(`event: message\ndata: ${JSON.stringify(payload)}\n\n`);
+      }
+    };
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        server.handleMessage({
+          jsonrpc: '2.0',
+          method: 'notifications/cancelled',
+          params: { requestId: message.id, reason: 'client_disconnected' },
+        });
+      }
+    });
+    const response = await server.handleMessage(message, {
+      notify: (method, params) => writeEvent({ jsonrpc: '2.0', method, params }),
+    });
+    writeEvent(response);
+    res.end();
+  });
+
+  app.get('/mcp', (req, res) => {
+    res.set('Allow', 'POST, DELETE').status(405).end();
+  });
+
+  app.delete('/mcp', (req, res) => {
+    const deleted = sessions.delete(req.get('mcp-session-id') || '');
+    res.status(deleted ? 200 : 404).end();
+  });
+
+  app.listen(PORT, () => {
+    console.log(`[reference-mcp] http://localhost:${PORT}/mcp (root: ${ROOT})`);
+  });
+};
+
+if (USE_STDIO) {
+  startStdio();
+} else {
+  startHttp();
+}
@@ -0,0 +1,216 @@
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * 참조 MCP 서버의 로컬 markdown 지식 저장소.
+ * - root 아래 .md/.txt 문서 목록/검색/요약 파일 생성
+ * - 모든 경로는 root 기준 상대 경로(`/` 구분)로 주고받고, root 밖을 가리키는 경로는 거절
+ * 결과는 파일 내용만으로 결정되므로(정렬 고정, 시간/난수 없음) 통합 테스트 대상으로 쓸 수 있다.
+ */
+
+const DOC_EXTENSIONS = new Set(['.md', '.txt']);
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules', 'dist', 'coverage']);
+
+const toPosix = (value) => value.split(path.sep).join('/');
+
+const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const readTitle = (text, relativePath) => {
+  const heading = text.match(/^#\s+(.+)$/m);
+  return heading ? heading[1].trim() : path.posix.basename(relativePath);
+};
+
+const readExcerpt = (text, maxChars = 200) => {
+  const paragraph =
+    text
+      .split(/\n\s*\n/)
+      .map((block) => block.trim())
+      .find((block) => block && !block.startsWith('#') && !block.startsWith('```')) || '';
+  const flattened = paragraph.replace(/\s+/g, ' ');
+  return flattened.length > maxChars ? `${flattened.slice(0, maxChars)}…` : flattened;
+};
+
+const readSections = (text) => [...text.matchAll(/^##\s+(.+)$/gm)].map((match) => match[1].trim());
+
+export const createKnowledgeBase = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  /**
+   * root 기준 상대 경로를 절대 경로로 바꾼다. root 밖이면 오류.
+   */
+  const resolveInRoot = (relativePath = '') => {
+    const cleaned = String(relativePath)
+      .trim()
+      .replace(/^\.\/+/, '');
+    const absolute = path.resolve(rootDir, cleaned);
+    if (absolute !== rootDir && !absolute.startsWith(`${rootDir}${path.sep}`)) {
+      throw new Error(`root 밖의 경로는 사용할 수 없습니다: ${relativePath}`);
+    }
+    return absolute;
+  };
+
+  const toRelative = (absolute) => toPosix(path.relative(rootDir, absolute));
+
+  /**
+   * 요약 파일 경로. walk가 읽는 문서와 같은 규칙(문서 확장자, 숨김/제외 디렉터리 밖)만 허용해
+   * root 안의 코드나 설정 파일을 덮어쓰지 못하게 한다.
+   */
+  const resolveOutputPath = (outputPath) => {
+    const absolute = resolveInRoot(outputPath);
+    if (!DOC_EXTENSIONS.has(path.extname(absolute).toLowerCase())) {
+      throw new Error(
+        `요약 파일은 ${[...DOC_EXTENSIONS].join('/')} 문서여야 합니다: ${outputPath}`,
+      );
+    }
+    const directories = path.relative(rootDir, path.dirname(absolute)).split(path.sep);
+    if (directories.some((name) => name.startsWith('.') || IGNORED_DIRECTORIES.has(name))) {
+      throw new Error(`숨김/제외 디렉터리에는 요약 파일을 쓸 수 없습니다: ${outputPath}`);
+    }
+    return absolute;
+  };
+
+  const walk = async (directory, files) => {
+    const entries = await readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') && entry.isDirectory()) {
+        continue;
+      }
+      const absolute = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) {
+          await walk(absolute, files);
+        }
+        continue;
+      }
+      if (entry.isFile() && DOC_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        files.push(absolute);
+      }
+    }
+    return files;
+  };
+
+  /**
+   * paths(파일/디렉터리, 비어 있으면 root 전체)에 해당하는 문서의 절대 경로 목록.
+   * 존재하지 않는 경로는 missing으로 돌려준다.
+   */
+  const collectFiles = async (paths = []) => {
+    const targets = paths.length > 0 ? paths : [''];
+    const files = new Set();
+    const missing = [];
+    for (const target of targets) {
+      const absolute = resolveInRoot(target);
+      const info = await stat(absolute).catch(() => null);
+      if (!info) {
+        missing.push(target);
+        continue;
+      }
+      if (info.isDirectory()) {
+        for (const file of await walk(absolute, [])) {
+          files.add(file);
+        }
+      } else if (DOC_EXTENSIONS.has(path.extname(absolute).toLowerCase())) {
+        files.add(absolute);
+      }
+    }
+    return {
+      files: [...files].sort((a, b) => compareText(toRelative(a), toRelative(b))),
+      missing,
+    };
+  };
+
+  const listDocs = async ({ paths = [] } = {}) => {
+    const { files, missing } = await collectFiles(paths);
+    const docs = [];
+    for (const file of files) {
+      const [text, info] = await Promise.all([readFile(file, 'utf8'), stat(file)]);
+      const relativePath = toRelative(file);
+      docs.push({ path: relativePath, title: readTitle(text, relativePath), size: info.size });
+    }
+    return { docs, missing };
+  };
+
+  /**
+   * 공백으로 나눈 검색어를 줄 단위로 찾는다(대소문자 무시).
+   * 더 많은 검색어가 들어 있는 줄을 먼저, 같으면 경로/줄 번호 순으로 정렬한다.
+   */
+  const search = async ({ query = '', paths = [], limit = 20 } = {}) => {
+    const terms = [
+      ...new Set(
+        String(query)
+          .toLowerCase()
+          .split(/\s+/)
+          .filter((term) => term.length > 0),
+      ),
+    ];
+    const { files, missing } = await collectFiles(paths);
+    const hits = [];
+    if (terms.length > 0) {
+      for (const file of files) {
+        const relativePath = toRelative(file);
+        const lines = (await readFile(file, 'utf8')).split(/\r?\n/);
+        lines.forEach((line, index) => {
+          const lowered = line.toLowerCase();
+          const score = terms.filter((term) => lowered.includes(term)).length;
+          if (score > 0) {
+            hits.push({ path: relativePath, line: index + 1, snippet: line.trim(), score });
+          }
+        });
+      }
+    }
+    hits.sort((a, b) => b.score - a.score || compareText(a.path, b.path) || a.line - b.line);
+    return { query: String(query), total: hits.length, hits: hits.slice(0, limit), missing };
+  };
+
+  /**
+   * paths 문서의 제목/소제목/첫 문단으로 요약 markdown을 만들어 outputPath에 쓴다.
+   * onDocument(index, total, path)로 문서별 진행 상황을 알린다.
+   */
+  const rebuildSummary = async ({ paths = [], outputPath, onDocument } = {}) => {
+    const outputAbsolute = resolveOutputPath(outputPath);
+    const { files, missing } = await collectFiles(paths);
+    // 이전에 만든 요약 파일이 다시 요약에 섞이지 않도록 제외한다.
+    const sources = files.filter((file) => file !== outputAbsolute);
+
+    const sections = [];
+    for (const [index, file] of sources.entries()) {
+      const relativePath = toRelative(file);
+      const text = await readFile(file, 'utf8');
+      const lines = [`## ${readTitle(text, relativePath)}`, '', `- 경로: ${relativePath}`];
+      const sectionTitles = readSections(text);
+      if (sectionTitles.length > 0) {
+        lines.push(`- 목차: ${sectionTitles.join(', ')}`);
+      }
+      const excerpt = readExcerpt(text);
+      if (excerpt) {
+        lines.push('', excerpt);
+      }
+      sections.push(lines.join('\n'));
+      onDocument?.(index + 1, sources.length, relativePath);
+    }
+
+    const summary =
+      sources.length > 0
+        ? [`# 요약 (${sources.length}개 문서)`, ...sections].join('\n\n')
+        : '# 요약\n\n요약할 문서를 찾지 못했습니다.';
+    await mkdir(path.dirname(outputAbsolute), { recursive: true });
+    await writeFile(outputAbsolute, `${summary}\n`, 'utf8');
+
+    return {
+      ok: true,
+      output_path: toRelative(outputAbsolute),
+      sources: sources.map(toRelative),
+      missing,
+      summary,
+    };
+  };
+
+  const readDoc = async (relativePath) => {
+    const absolute = resolveInRoot(relativePath);
+    if (!DOC_EXTENSIONS.has(path.extname(absolute).toLowerCase())) {
+      throw new Error(`지원하지 않는 문서 형식입니다: ${relativePath}`);
+    }
+    return readFile(absolute, 'utf8');
+  };
+
+  return { rootDir, listDocs, search, rebuildSummary, readDoc };
+};
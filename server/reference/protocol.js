@@ -0,0 +1,128 @@
+/**
+ * 참조 MCP 서버의 JSON-RPC 처리(전송 방식과 무관).
+ * - initialize / ping / tools/list / tools/call / resources/list / resources/read
+ * - tools/call의 _meta.progressToken이 있으면 notifications/progress를 보냄
+ * - notifications/cancelled를 받으면 진행 중인 도구 실행을 중단
+ */
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-11-25', '2025-06-18', '2025-03-26'];
+
+const RESOURCE_URI_PREFIX = 'kb://';
+
+const rpcResult = (id, result) => ({ jsonrpc: '2.0', id, result });
+
+const rpcError = (id, code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+
+export const createReferenceMCPServer = ({ tools, knowledgeBase, serverInfo }) => {
+  // 요청 id -> AbortController (notifications/cancelled 처리용)
+  const inFlight = new Map();
+
+  const handleRequest = async (message, { notify }) => {
+    const { id, method, params = {} } = message;
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return rpcResult(id, {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+            ? requested
+            : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {}, resources: {} },
+          serverInfo,
+        });
+      }
+      case 'ping':
+        return rpcResult(id, {});
+      case 'tools/list':
+        return rpcResult(id, { tools: tools.tools });
+      case 'tools/call': {
+        const progressToken = params._meta?.progressToken;
+        const controller = new AbortController();
+        inFlight.set(id, controller);
+        try {
+          const result = await tools.callTool(params.name, params.arguments, {
+            signal: controller.signal,
+            onProgress:
+              progressToken === undefined
+                ? undefined
+                : (progress, total, progressMessage) =>
+                    notify('notifications/progress', {
+                      progressToken,
+                      progress,
+                      total,
+                      message: progressMessage,
+                    }),
+          });
+          return result
+            ? rpcResult(id, result)
+            : rpcError(id, -32602, `Unknown tool: ${params.name}`);
+        } finally {
+          inFlight.delete(id);
+        }
+      }
+      case 'resources/list': {
+        const { docs } = await knowledgeBase.listDocs();
+        return rpcResult(id, {
+          resources: docs.map((doc) => ({
+            uri: `${RESOURCE_URI_PREFIX}${doc.path}`,
+            name: doc.title,
+            description: doc.path,
+            mimeType: doc.path.endsWith('.md') ? 'text/markdown' : 'text/plain',
+          })),
+        });
+      }
+      case 'resources/read': {
+        const uri = String(params.uri || '');
+        if (!uri.startsWith(RESOURCE_URI_PREFIX)) {
+          return rpcError(id, -32002, `Resource not found: ${uri}`);
+        }
+        const docPath = uri.slice(RESOURCE_URI_PREFIX.length);
+        try {
+          const text = await knowledgeBase.readDoc(docPath);
+          return rpcResult(id, {
+            contents: [
+              {
+                uri,
+                mimeType: docPath.endsWith('.md') ? 'text/markdown' : 'text/plain',
+                text,
+              },
+            ],
+          });
+        } catch {
+          return rpcError(id, -32002, `Resource not found: ${uri}`);
+        }
+      }
+      default:
+        return rpcError(id, -32601, `Method not found: ${method}`);
+    }
+  };
+
+  /**
+   * 메시지 1개를 처리한다. 요청이면 응답 객체, 알림/응답이면 null을 반환한다.
+   * notify(method, params)는 같은 요청의 응답 스트림(또는 stdout)으로 알림을 보낸다.
+   */
+  const handleMessage = async (message, { notify = () => {} } = {}) => {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return rpcError(null, -32600, 'Invalid Request');
+    }
+    if (typeof message.method !== 'string') {
+      return null;
+    }
+    if (message.id === undefined || message.id === null) {
+      if (message.method === 'notifications/cancelled') {
+        inFlight.get(message.params?.requestId)?.abort();
+      }
+      return null;
+    }
+    try {
+      return await handleRequest(message, { notify });
+    } catch (error) {
+      return rpcError(
+        message.id,
+        -32603,
+        error instanceof Error ? error.message : 'Internal error',
+      );
+    }
+  };
+
+  return { handleMessage };
+};
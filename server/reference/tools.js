@@ -0,0 +1,171 @@
+import { readFileSync } from 'node:fs';
+import { applySchemaDefaults, formatSchemaErrors, validateJsonSchema } from '../lib/jsonSchema.js';
+
+/**
+ * 참조 MCP 서버의 도구 정의와 실행.
+ * 브릿지가 기대하는 결과 형태(search -> hits, list_docs -> docs, rebuild_summary -> output_path/summary)를 따르고,
+ * sync_status / create_pr 스키마는 저장소의 mcp-manifest.json을 그대로 사용한다.
+ */
+
+const MANIFEST_URL = new URL('../../mcp-manifest.json', import.meta.url);
+
+export const loadManifest = () => JSON.parse(readFileSync(MANIFEST_URL, 'utf8'));
+
+const PATHS_SCHEMA = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'root 기준 파일/디렉터리 경로. 비어 있으면 전체 문서',
+};
+
+const KNOWLEDGE_TOOLS = [
+  {
+    name: 'search',
+    description: '로컬 markdown 문서를 줄 단위로 검색합니다. 검색어는 공백으로 구분합니다.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1 },
+        paths: PATHS_SCHEMA,
+        limit: { type: 'integer', minimum: 1, maximum: 200, default: 20 },
+      },
+      required: ['query'],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        total: { type: 'integer' },
+        hits: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              path: { type: 'string' },
+              line: { type: 'integer' },
+              snippet: { type: 'string' },
+              score: { type: 'integer' },
+            },
+            required: ['path', 'line', 'snippet'],
+          },
+        },
+        missing: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['query', 'total', 'hits'],
+    },
+  },
+  {
+    name: 'list_docs',
+    description: '검색/요약 대상 .md/.txt 문서 목록을 조회합니다.',
+    inputSchema: {
+      type: 'object',
+      properties: { paths: PATHS_SCHEMA },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        docs: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              path: { type: 'string' },
+              title: { type: 'string' },
+              size: { type: 'integer' },
+            },
+            required: ['path', 'title'],
+          },
+        },
+        missing: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['docs'],
+    },
+  },
+  {
+    name: 'rebuild_summary',
+    description:
+      'paths 문서의 제목/목차/첫 문단으로 요약 markdown을 만들어 output_path에 저장합니다.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        paths: PATHS_SCHEMA,
+        output_path: { type: 'string', minLength: 1, default: 'output.md' },
+      },
+      required: ['paths', 'output_path'],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        ok: { type: 'boolean' },
+        output_path: { type: 'string' },
+        sources: { type: 'array', items: { type: 'string' } },
+        missing: { type: 'array', items: { type: 'string' } },
+        summary: { type: 'string' },
+      },
+      required: ['ok', 'output_path', 'summary'],
+    },
+  },
+];
+
+const toToolResult = (structured) => ({
+  content: [{ type: 'text', text: JSON.stringify(structured) }],
+  structuredContent: structured,
+});
+
+const toToolError = (message) => ({
+  content: [{ type: 'text', text: message }],
+  isError: true,
+});
+
+export const createReferenceTools = ({
+  knowledgeBase,
+  gitWorkspace,
+  manifest = loadManifest(),
+}) => {
+  const manifestTools = (manifest.tools || []).filter((tool) =>
+    ['sync_status', 'create_pr'].includes(tool.name),
+  );
+  const tools = [...KNOWLEDGE_TOOLS, ...manifestTools];
+
+  const handlers = {
+    search: (args) => knowledgeBase.search(args),
+    list_docs: (args) => knowledgeBase.listDocs(args),
+    rebuild_summary: (args, { onProgress }) =>
+      knowledgeBase.rebuildSummary({
+        paths: args.paths,
+        outputPath: args.output_path,
+        onDocument: (index, total, path) => onProgress?.(index, total, `${path} 요약 완료`),
+      }),
+    sync_status: (args, { signal }) => gitWorkspace.syncStatus({ signal }),
+    create_pr: (args, { signal }) => gitWorkspace.createPullRequest(args, { signal }),
+  };
+
+  const findTool = (name) => tools.find((tool) => tool.name === name) || null;
+
+  /**
+   * tools/call 실행. 인자 검증 실패와 실행 오류는 모델이 고칠 수 있도록 isError 결과로 돌려준다.
+   * 알 수 없는 도구는 호출자가 JSON-RPC 오류로 바꿀 수 있게 null을 반환한다.
+   */
+  const callTool = async (name, rawArgs = {}, { onProgress, signal } = {}) => {
+    const tool = findTool(name);
+    if (!tool) {
+      return null;
+    }
+    const args = applySchemaDefaults(tool.inputSchema, rawArgs || {});
+    const validation = validateJsonSchema(tool.inputSchema, args);
+    if (!validation.valid) {
+      return toToolError(
+        `인자가 inputSchema와 맞지 않습니다.\n${formatSchemaErrors(validation.errors)}`,
+      );
+    }
+    try {
+      return toToolResult(await handlers[name](args, { onProgress, signal }));
+    } catch (error) {
+      return toToolError(error instanceof Error ? error.message : `${name} 실행 실패`);
+    }
+  };
+
+  return { tools, callTool };
+};
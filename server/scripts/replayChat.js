@@ -0,0 +1,125 @@
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+/**
+ * scripted LLM fixture로 채팅 한 턴을 네트워크 없이 재생해 라우팅/워크플로 회귀를 확인한다.
+ *
+ *   npm run replay:chat [-- <fixture 디렉터리>]
+ *
+ * - 브릿지를 LLM_FIXTURES=replay로 띄우고, MCP 서버는 fixture의 docs/를 root로 한 참조 서버(stdio)를 쓴다.
+ * - /api/mcp/chat 응답의 route/tool/answer/평가가 기대값과 다르면 종료 코드 1로 끝난다.
+ */
+
+const REPO_ROOT = fileURLToPath(new URL('../..', import.meta.url));
+const FIXTURE_DIR = path.resolve(REPO_ROOT, process.argv[2] || 'fixtures/llm/scripted-chat');
+const PORT = Number(process.env.REPLAY_PORT || 4010);
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const STARTUP_TIMEOUT_MS = 15_000;
+
+// fixtures/llm/scripted-chat의 04-writer.json, 05-evaluator.json과 맞춰 둔 기대값
+const TURN = {
+  prompt: 'MCP 전송 방식 문서를 찾아줘',
+  expect: {
+    route: 'local_mcp',
+    tool: 'search',
+    answer:
+      "MCP는 Streamable HTTP와 stdio 두 가지 전송 방식을 지원합니다. 자세한 내용은 MCP 개요 문서의 '전송 방식' 절을 참고하세요.",
+    qualityPass: true,
+  },
+};
+
+const startBridge = () =>
+  spawn(process.execPath, ['server/index.js'], {
+    cwd: REPO_ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      LLM_PROVIDER: 'openai',
+      LLM_OFFLINE: 'off',
+      LLM_FIXTURES: 'replay',
+      LLM_FIXTURES_DIR: FIXTURE_DIR,
+      LOCAL_MCP_STDIO_SERVERS: JSON.stringify({
+        notes: {
+          command: process.execPath,
+          args: ['server/reference/index.js', '--stdio', '--root', path.join(FIXTURE_DIR, 'docs')],
+        },
+      }),
+      LOCAL_MCP_ENDPOINT: 'stdio://notes',
+      LOCAL_MCP_SERVERS: '',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+const waitForHealth = async (bridge) => {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (bridge.exitCode !== null) {
+      throw new Error(`브릿지가 시작 중에 종료되었습니다. (exit ${bridge.exitCode})`);
+    }
+    try {
+      const response = await fetch(`${BASE_URL}/health`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // 아직 listen 전
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`브릿지가 ${STARTUP_TIMEOUT_MS}ms 안에 시작되지 않았습니다.`);
+};
+
+const checkTurn = (body) => {
+  const failures = [];
+  const expectEqual = (label, actual, expected) => {
+    if (actual !== expected) {
+      failures.push(`${label}: ${JSON.stringify(actual)} (기대값 ${JSON.stringify(expected)})`);
+    }
+  };
+  expectEqual('route', body.route, TURN.expect.route);
+  expectEqual('tool', body.tool, TURN.expect.tool);
+  expectEqual('answer', body.answer, TURN.expect.answer);
+  expectEqual('qualityCheck.pass', body.qualityCheck?.pass, TURN.expect.qualityPass);
+  if (!Array.isArray(body.result?.hits) || body.result.hits.length === 0) {
+    failures.push('result.hits: 검색 결과가 비어 있습니다.');
+  }
+  return failures;
+};
+
+const main = async () => {
+  const bridge = startBridge();
+  const logs = [];
+  bridge.stdout.on('data', (chunk) => logs.push(String(chunk)));
+  bridge.stderr.on('data', (chunk) => logs.push(String(chunk)));
+
+  try {
+    await waitForHealth(bridge);
+    const response = await fetch(`${BASE_URL}/api/mcp/chat`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ prompt: TURN.prompt }),
+      signal: AbortSignal.timeout(30_000),
+    });
+    const body = await response.json();
+    const failures = response.ok ? checkTurn(body) : [`HTTP ${response.status}: ${body.error}`];
+
+    console.log(`[replay] ${TURN.prompt}`);
+    console.log(`[replay] route=${body.route} tool=${body.tool} score=${body.qualityCheck?.score}`);
+    console.log(`[replay] answer: ${body.answer}`);
+    if (failures.length > 0) {
+      console.error(`[replay] 실패\n- ${failures.join('\n- ')}`);
+      console.error(logs.join(''));
+      process.exitCode = 1;
+      return;
+    }
+    console.log('[replay] ok');
+  } finally {
+    bridge.kill();
+  }
+};
+
+main().catch((error) => {
+  console.error('[replay] 오류:', error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
@@ -2,7 +2,7 @@ import { useState } from 'react';
 import { Alert, Box, Stack, ThemeProvider, CssBaseline } from '@mui/material';
 import McpSetup from './components/McpSetup';
 import KnowledgeEditor from './components/KnowledgeEditor';
-import type { MCPMode, LocalMCPConfig } from './types/mcp';
+import type { MCPMode, LocalMCPConfig, MCPServerConfig } from './types/mcp';
 import { theme } from './theme';
 import {
   clearStoredLocalMCPConfig,
@@ -25,8 +25,11 @@ export default function App() {
 
   const shouldShowSetup = !mode || !localConfig.endpoint;
 
-  const handleSelectMode = (nextMode: MCPMode, localEndpoint: string) => {
-    const nextConfig = { endpoint: localEndpoint };
+  const handleSelectMode = (nextMode: MCPMode, servers: MCPServerConfig[]) => {
+    const nextConfig: LocalMCPConfig = {
+      endpoint: servers[0].endpoint,
+      servers: servers.length > 1 ? servers : undefined,
+    };
     writeStoredMode(nextMode);
     writeStoredLocalMCPConfig(nextConfig);
     setMode(nextMode);
@@ -59,6 +62,7 @@ export default function App() {
             <KnowledgeEditor
               mode={mode}
               localEndpoint={localConfig.endpoint}
+              servers={localConfig.servers}
               onDisconnect={handleDisconnect}
             />
           )}
@@ -0,0 +1,225 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import type {
+  MCPElicitationAction,
+  MCPElicitationField,
+  MCPElicitationRequest,
+  MCPElicitationValue,
+} from '../types/mcp';
+
+interface ElicitationFormProps {
+  request: MCPElicitationRequest;
+  onRespond: (
+    action: MCPElicitationAction,
+    content?: Record<string, MCPElicitationValue>,
+  ) => Promise<void>;
+}
+
+const ACTION_LABELS: Record<MCPElicitationAction, string> = {
+  accept: '입력 완료',
+  decline: '거절함',
+  cancel: '취소됨',
+};
+
+const INPUT_TYPES: Record<string, string> = {
+  email: 'email',
+  uri: 'url',
+  date: 'date',
+  'date-time': 'datetime-local',
+};
+
+const initialValue = (field: MCPElicitationField): MCPElicitationValue | '' => {
+  if (field.default !== undefined) {
+    return field.default;
+  }
+  if (field.type === 'boolean') {
+    return false;
+  }
+  if (field.type === 'multiselect') {
+    return [];
+  }
+  return '';
+};
+
+/**
+ * 숫자 입력은 문자열로 들고 있다가 제출할 때 변환한다. 빈 값은 보내지 않는다.
+ */
+const toContent = (
+  fields: MCPElicitationField[],
+  values: Record<string, MCPElicitationValue | ''>,
+) => {
+  const content: Record<string, MCPElicitationValue> = {};
+  for (const field of fields) {
+    const value = values[field.name];
+    if (value === '' || value === undefined) {
+      continue;
+    }
+    if ((field.type === 'number' || field.type === 'integer') && typeof value === 'string') {
+      const parsed = Number(value);
+      content[field.name] = Number.isNaN(parsed) ? value : parsed;
+      continue;
+    }
+    content[field.name] = value;
+  }
+  return content;
+};
+
+export default function ElicitationForm({ request, onRespond }: ElicitationFormProps) {
+  const [values, setValues] = useState<Record<string, MCPElicitationValue | ''>>(() =>
+    Object.fromEntries(request.fields.map((field) => [field.name, initialValue(field)])),
+  );
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const setValue = (name: string, value: MCPElicitationValue | '') => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const respond = async (action: MCPElicitationAction) => {
+    setSubmitting(true);
+    setError('');
+    try {
+      await onRespond(action, action === 'accept' ? toContent(request.fields, values) : undefined);
+    } catch (respondError) {
+      setError(respondError instanceof Error ? respondError.message : 'elicitation 응답 실패');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderField = (field: MCPElicitationField) => {
+    const label = field.title || field.name;
+    const value = values[field.name];
+
+    if (field.type === 'boolean') {
+      return (
+        <FormControlLabel
+          key={field.name}
+          label={label}
+          control={
+            <Checkbox
+              size="small"
+              checked={value === true}
+              onChange={(event) => setValue(field.name, event.target.checked)}
+            />
+          }
+        />
+      );
+    }
+
+    if (field.type === 'enum' || field.type === 'multiselect') {
+      const multiple = field.type === 'multiselect';
+      return (
+        <TextField
+          key={field.name}
+          select
+          size="small"
+          label={label}
+          required={field.required}
+          helperText={field.description || undefined}
+          value={multiple ? (Array.isArray(value) ? value : []) : value}
+          onChange={(event) => setValue(field.name, event.target.value as MCPElicitationValue)}
+          SelectProps={{ multiple }}
+        >
+          {(field.options || []).map((option) => (
+            <MenuItem key={String(option.value)} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+      );
+    }
+
+    const numeric = field.type === 'number' || field.type === 'integer';
+    return (
+      <TextField
+        key={field.name}
+        size="small"
+        label={label}
+        required={field.required}
+        helperText={field.description || undefined}
+        type={numeric ? 'number' : INPUT_TYPES[field.format || ''] || 'text'}
+        InputLabelProps={
+          field.format === 'date' || field.format === 'date-time' ? { shrink: true } : undefined
+        }
+        inputProps={{
+          min: field.minimum,
+          max: field.maximum,
+          minLength: field.minLength,
+          maxLength: field.maxLength,
+          step: field.type === 'integer' ? 1 : 'any',
+        }}
+        value={typeof value === 'string' || typeof value === 'number' ? value : ''}
+        onChange={(event) => setValue(field.name, event.target.value)}
+      />
+    );
+  };
+
+  return (
+    <Box
+      sx={{
+        mt: 1.25,
+        p: 1.25,
+        borderRadius: 2,
+        border: '1px solid #e5e7eb',
+        background: '#fafafa',
+      }}
+    >
+      <Typography variant="caption" sx={{ color: '#4b5563', fontWeight: 700 }}>
+        MCP 입력 요청{request.action ? ` - ${ACTION_LABELS[request.action]}` : ''}
+      </Typography>
+      {request.message ? (
+        <Typography variant="body2" sx={{ mt: 0.5, color: '#111827', whiteSpace: 'pre-wrap' }}>
+          {request.message}
+        </Typography>
+      ) : null}
+      {request.action ? null : (
+        <Stack spacing={1.25} sx={{ mt: 1.25 }}>
+          {request.fields.map(renderField)}
+          {error ? (
+            <Typography variant="caption" sx={{ color: '#b91c1c', whiteSpace: 'pre-wrap' }}>
+              {error}
+            </Typography>
+          ) : null}
+          <Stack direction="row" spacing={1}>
+            <Button
+              size="small"
+              variant="contained"
+              disabled={submitting}
+              onClick={() => respond('accept')}
+            >
+              보내기
+            </Button>
+            <Button
+              size="small"
+              color="inherit"
+              variant="outlined"
+              disabled={submitting}
+              onClick={() => respond('decline')}
+            >
+              거절
+            </Button>
+            <Button
+              size="small"
+              color="inherit"
+              variant="text"
+              disabled={submitting}
+              onClick={() => respond('cancel')}
+            >
+              취소
+            </Button>
+          </Stack>
+        </Stack>
+      )}
+    </Box>
+  );
+}
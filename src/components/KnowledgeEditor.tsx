@@ -6,33 +6,68 @@ import {
   Collapse,
   Container,
   Divider,
+  LinearProgress,
   Paper,
   Stack,
   TextField,
   Typography,
 } from '@mui/material';
 import SendIcon from '@mui/icons-material/Send';
+import StopIcon from '@mui/icons-material/Stop';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import rehypeHighlight from 'rehype-highlight';
 import 'highlight.js/styles/github-dark.css';
-import type { MCPMode, KnowledgeMessage } from '../types/mcp';
-import { streamKnowledge } from '../services/mcpClient';
+import type {
+  ConversationSummary,
+  MCPMode,
+  KnowledgeMessage,
+  MCPServerConfig,
+  MCPServerPrompt,
+  MCPToolCatalog,
+  MCPToolProgress,
+  MCPSamplingRequest,
+  MCPSamplingResult,
+  MCPElicitationRequest,
+  MCPElicitationResult,
+} from '../types/mcp';
+import {
+  decideSampling,
+  fetchPromptCatalog,
+  fetchToolCatalog,
+  refreshToolCatalog,
+  respondElicitation,
+  streamKnowledge,
+} from '../services/mcpClient';
+import ElicitationForm from './ElicitationForm';
+import UsageBadge from './UsageBadge';
 
 interface KnowledgeEditorProps {
   mode: MCPMode;
   localEndpoint: string;
+  servers?: MCPServerConfig[];
   onDisconnect: () => void;
 }
 
 export default function KnowledgeEditor({
   mode,
   localEndpoint,
+  servers,
   onDisconnect,
 }: KnowledgeEditorProps) {
   const [input, setInput] = useState('오늘 배운 내용 중 중요한 항목을 찾아 요약해줘.');
   const [loading, setLoading] = useState(false);
   const [showSSELogs, setShowSSELogs] = useState(false);
+  const [showTools, setShowTools] = useState(false);
+  const [samplingApproval, setSamplingApproval] = useState(false);
+  const [agentLoop, setAgentLoop] = useState(false);
+  const [conversationSummary, setConversationSummary] = useState<ConversationSummary>();
+  const [toolCatalog, setToolCatalog] = useState<MCPToolCatalog | null>(null);
+  const [toolCatalogLoading, setToolCatalogLoading] = useState(false);
+  const [toolCatalogError, setToolCatalogError] = useState('');
+  const [serverPrompts, setServerPrompts] = useState<MCPServerPrompt[]>([]);
+  const [activePrompt, setActivePrompt] = useState<MCPServerPrompt | null>(null);
+  const [promptArgs, setPromptArgs] = useState<Record<string, string>>({});
   const [messages, setMessages] = useState<KnowledgeMessage[]>([
     {
       id: crypto.randomUUID(),
@@ -43,9 +78,79 @@ export default function KnowledgeEditor({
   ]);
   const endOfMessagesRef = useRef<HTMLDivElement>(null);
   const inputRef = useRef<HTMLTextAreaElement | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
 
   const title = useMemo(() => (mode === 'local' ? 'Local MCP Chat' : 'MCP Chat'), [mode]);
-  const status = useMemo(() => `Endpoint: ${localEndpoint}`, [localEndpoint]);
+  const status = useMemo(
+    () =>
+      servers && servers.length > 1
+        ? `Servers: ${servers.map((server) => `${server.name} (${server.endpoint})`).join(', ')}`
+        : `Endpoint: ${localEndpoint}`,
+    [localEndpoint, servers],
+  );
+
+  // planner와 같은 브릿지 캐시에서 도구 카탈로그를 가져온다.
+  const loadToolCatalog = async (refresh = false) => {
+    setToolCatalogLoading(true);
+    setToolCatalogError('');
+    try {
+      const options = { localEndpoint, mcpServers: servers };
+      setToolCatalog(refresh ? await refreshToolCatalog(options) : await fetchToolCatalog(options));
+    } catch (error) {
+      setToolCatalogError(
+        error instanceof Error ? error.message : '도구 목록을 불러오지 못했습니다.',
+      );
+    } finally {
+      setToolCatalogLoading(false);
+    }
+  };
+
+  const handleToggleTools = () => {
+    if (!showTools && !toolCatalog) {
+      loadToolCatalog();
+    }
+    setShowTools((prev) => !prev);
+  };
+
+  // `/명령` 입력 중이면 서버 prompt 후보를 보여준다.
+  const promptSuggestions = useMemo(() => {
+    if (activePrompt || !input.startsWith('/') || /\s/.test(input)) {
+      return [];
+    }
+    const keyword = input.slice(1).toLowerCase();
+    return serverPrompts.filter(
+      (prompt) =>
+        prompt.command.toLowerCase().includes(keyword) ||
+        prompt.title.toLowerCase().includes(keyword),
+    );
+  }, [activePrompt, input, serverPrompts]);
+
+  const missingPromptArgs = useMemo(
+    () =>
+      (activePrompt?.arguments || []).filter(
+        (argument) => argument.required && !promptArgs[argument.name]?.trim(),
+      ),
+    [activePrompt, promptArgs],
+  );
+
+  const selectPrompt = (prompt: MCPServerPrompt) => {
+    setActivePrompt(prompt);
+    setPromptArgs({});
+    setInput(`/${prompt.command} `);
+    inputRef.current?.focus();
+  };
+
+  const clearPrompt = () => {
+    setActivePrompt(null);
+    setPromptArgs({});
+  };
+
+  const handleInputChange = (value: string) => {
+    setInput(value);
+    if (activePrompt && !value.startsWith(`/${activePrompt.command}`)) {
+      clearPrompt();
+    }
+  };
 
   const appendThought = (messageId: string, thought: string) => {
     setMessages((prev) =>
@@ -63,6 +168,98 @@ export default function KnowledgeEditor({
     );
   };
 
+  const updateToolProgress = (messageId: string, progress: MCPToolProgress) => {
+    setMessages((prev) =>
+      prev.map((message) => {
+        if (message.id !== messageId) {
+          return message;
+        }
+
+        // 같은 progressToken은 최신 값으로 교체한다.
+        const current = Array.isArray(message.toolProgress) ? message.toolProgress : [];
+        const exists = current.some((item) => item.progressToken === progress.progressToken);
+        return {
+          ...message,
+          toolProgress: exists
+            ? current.map((item) =>
+                item.progressToken === progress.progressToken ? progress : item,
+              )
+            : [...current, progress],
+        };
+      }),
+    );
+  };
+
+  const updateSampling = (messageId: string, update: MCPSamplingRequest | MCPSamplingResult) => {
+    setMessages((prev) =>
+      prev.map((message) => {
+        if (message.id !== messageId) {
+          return message;
+        }
+
+        // sampling_result는 같은 samplingId의 요청 카드에 합친다.
+        const current = Array.isArray(message.sampling) ? message.sampling : [];
+        const exists = current.some((item) => item.samplingId === update.samplingId);
+        return {
+          ...message,
+          sampling: exists
+            ? current.map((item) =>
+                item.samplingId === update.samplingId ? { ...item, ...update } : item,
+              )
+            : 'messages' in update
+              ? [...current, update]
+              : current,
+        };
+      }),
+    );
+  };
+
+  const updateElicitation = (
+    messageId: string,
+    update: MCPElicitationRequest | MCPElicitationResult,
+  ) => {
+    setMessages((prev) =>
+      prev.map((message) => {
+        if (message.id !== messageId) {
+          return message;
+        }
+
+        // elicitation_result는 같은 elicitationId의 입력 폼에 합친다.
+        const current = Array.isArray(message.elicitations) ? message.elicitations : [];
+        const exists = current.some((item) => item.elicitationId === update.elicitationId);
+        return {
+          ...message,
+          elicitations: exists
+            ? current.map((item) =>
+                item.elicitationId === update.elicitationId ? { ...item, ...update } : item,
+              )
+            : 'fields' in update
+              ? [...current, update]
+              : current,
+        };
+      }),
+    );
+  };
+
+  const handleSamplingDecision = async (
+    messageId: string,
+    samplingId: string,
+    approved: boolean,
+  ) => {
+    // 결과 이벤트가 오기 전까지 버튼을 다시 누르지 못하게 결정을 먼저 표시한다.
+    updateSampling(messageId, {
+      samplingId,
+      status: 'pending',
+      reason: approved ? 'approved' : 'user_rejected',
+    });
+    try {
+      await decideSampling(samplingId, approved);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'sampling 승인 처리 실패';
+      updateSampling(messageId, { samplingId, status: 'failed', error: message });
+    }
+  };
+
   const makeThinkingLine = (eventType: string, data: unknown) => {
     if (typeof data === 'string') {
       try {
@@ -209,14 +406,25 @@ export default function KnowledgeEditor({
 
   const submit = async () => {
     const trimmed = input.trim();
-    if (!trimmed || loading) {
+    if (!trimmed || loading || missingPromptArgs.length > 0) {
       return;
     }
 
+    const invokedPrompt = activePrompt;
+    const invokedArgs = Object.fromEntries(
+      Object.entries(promptArgs).filter(([, value]) => value.trim()),
+    );
+    const userText = invokedPrompt
+      ? [
+          `/${invokedPrompt.command}`,
+          ...Object.entries(invokedArgs).map(([name, value]) => `- ${name}: ${value}`),
+        ].join('\n')
+      : trimmed;
+
     const nextUser: KnowledgeMessage = {
       id: crypto.randomUUID(),
       role: 'user',
-      text: trimmed,
+      text: userText,
       createdAt: new Date().toLocaleTimeString(),
     };
 
@@ -232,17 +440,45 @@ export default function KnowledgeEditor({
     const nextMessages = [...messages, nextUser, assistantMessage];
     setMessages(nextMessages);
     setInput('');
+    clearPrompt();
     setLoading(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
       await streamKnowledge(mode, trimmed, {
+        signal: controller.signal,
         localEndpoint,
-        conversation: nextMessages.filter(
-          (message) => message.role === 'user' || message.role === 'assistant',
-        ),
+        mcpServers: servers,
+        mcpPrompt: invokedPrompt
+          ? { name: invokedPrompt.name, server: invokedPrompt.server, arguments: invokedArgs }
+          : undefined,
+        samplingApproval,
+        // 끈 상태에서는 보내지 않아 서버 기본값(LOCAL_MCP_AGENT_LOOP)을 따른다.
+        agentLoop: agentLoop || undefined,
+        // 이번 요청 앞의 대화만 보낸다. 답변에 붙은 toolContext로 후속 질문의 지시어를 해석한다.
+        conversation: messages
+          .filter((message) => message.text.trim())
+          .map(({ role, text, toolContext }) => ({ role, text, toolContext })),
+        conversationSummary,
         onProgress: ({ type, data }) => {
           appendThought(assistantMessage.id, makeThinkingLine(type, data));
         },
+        onToolProgress: (progress) => {
+          updateToolProgress(assistantMessage.id, progress);
+        },
+        onSamplingRequest: (request) => {
+          updateSampling(assistantMessage.id, request);
+        },
+        onSamplingResult: (result) => {
+          updateSampling(assistantMessage.id, result);
+        },
+        onElicitationRequest: (request) => {
+          updateElicitation(assistantMessage.id, request);
+        },
+        onElicitationResult: (result) => {
+          updateElicitation(assistantMessage.id, result);
+        },
         onDelta: (chunk) => {
           setMessages((prev) =>
             prev.map((message) =>
@@ -255,7 +491,23 @@ export default function KnowledgeEditor({
             ),
           );
         },
+        onRevision: (revision) => {
+          appendThought(
+            assistantMessage.id,
+            `평가 결과에 따라 답변을 다시 작성합니다.${
+              revision.feedback ? ` (${revision.feedback})` : ''
+            }`,
+          );
+          setMessages((prev) =>
+            prev.map((message) =>
+              message.id === assistantMessage.id ? { ...message, text: '' } : message,
+            ),
+          );
+        },
         onFinal: (response) => {
+          if (response.conversationSummary) {
+            setConversationSummary(response.conversationSummary);
+          }
           setMessages((prev) =>
             prev.map((message) =>
               message.id === assistantMessage.id
@@ -263,6 +515,9 @@ export default function KnowledgeEditor({
                     ...message,
                     isStreaming: false,
                     text: response.answer,
+                    toolContext: response.toolContext,
+                    usage: response.agentTrace?.llm,
+                    offline: response.offline,
                   }
                 : message,
             ),
@@ -283,6 +538,21 @@ export default function KnowledgeEditor({
         },
       });
     } catch (error) {
+      if (controller.signal.aborted) {
+        // 사용자가 중단하면 지금까지 받은 내용만 남긴다.
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.id === assistantMessage.id
+              ? {
+                  ...msg,
+                  isStreaming: false,
+                  text: `${msg.text}${msg.text ? '\n\n' : ''}_응답 생성을 중단했습니다._`,
+                }
+              : msg,
+          ),
+        );
+        return;
+      }
       const message =
         error instanceof Error ? error.message : '로컬 MCP 질의 중 오류가 발생했습니다.';
       setMessages((prev) =>
@@ -298,10 +568,15 @@ export default function KnowledgeEditor({
       );
       appendThought(assistantMessage.id, `오류: ${message}`);
     } finally {
+      abortRef.current = null;
       setLoading(false);
     }
   };
 
+  const handleStop = () => {
+    abortRef.current?.abort();
+  };
+
   const handleSubmit = async () => {
     await submit();
   };
@@ -309,10 +584,30 @@ export default function KnowledgeEditor({
   const handleKeyDown = async (event: KeyboardEvent<HTMLDivElement>) => {
     if (event.key === 'Enter' && !event.shiftKey) {
       event.preventDefault();
+      if (promptSuggestions.length > 0) {
+        selectPrompt(promptSuggestions[0]);
+        return;
+      }
       await handleSubmit();
     }
   };
 
+  useEffect(() => {
+    let cancelled = false;
+    fetchPromptCatalog({ localEndpoint, mcpServers: servers })
+      .then((catalog) => {
+        if (!cancelled) {
+          setServerPrompts(catalog.prompts);
+        }
+      })
+      .catch(() => {
+        // prompts를 지원하지 않는 서버는 slash 명령 없이 동작한다.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [localEndpoint, servers]);
+
   useEffect(() => {
     if (endOfMessagesRef.current) {
       endOfMessagesRef.current.scrollIntoView({ behavior: 'smooth' });
@@ -349,6 +644,25 @@ export default function KnowledgeEditor({
             >
               {showSSELogs ? 'SSE 로그 숨기기' : 'SSE 로그 보기'}
             </Button>
+            <Button
+              size="small"
+              color="inherit"
+              variant="text"
+              onClick={() => setSamplingApproval((prev) => !prev)}
+            >
+              {samplingApproval ? 'sampling 승인 끄기' : 'sampling 승인 켜기'}
+            </Button>
+            <Button
+              size="small"
+              color="inherit"
+              variant="text"
+              onClick={() => setAgentLoop((prev) => !prev)}
+            >
+              {agentLoop ? 'agent loop 끄기' : 'agent loop 켜기'}
+            </Button>
+            <Button size="small" color="inherit" variant="text" onClick={handleToggleTools}>
+              {showTools ? '도구 목록 숨기기' : '도구 목록 보기'}
+            </Button>
             <Button size="small" color="inherit" variant="text" onClick={onDisconnect}>
               연결 해제
             </Button>
@@ -389,6 +703,54 @@ export default function KnowledgeEditor({
             <Typography variant="caption" sx={{ color: '#6b7280' }}>
               {status}
             </Typography>
+            <Collapse in={showTools}>
+              <Stack spacing={0.5} sx={{ mt: 1 }}>
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <Typography variant="caption" sx={{ color: '#4b5563', fontWeight: 700 }}>
+                    도구 카탈로그
+                  </Typography>
+                  <Button
+                    size="small"
+                    color="inherit"
+                    variant="text"
+                    disabled={toolCatalogLoading}
+                    onClick={() => loadToolCatalog(true)}
+                  >
+                    새로고침
+                  </Button>
+                </Stack>
+                {toolCatalogLoading ? (
+                  <Typography variant="caption" sx={{ color: '#6b7280' }}>
+                    불러오는 중...
+                  </Typography>
+                ) : null}
+                {toolCatalogError ? (
+                  <Typography variant="caption" sx={{ color: '#b91c1c' }}>
+                    {toolCatalogError}
+                  </Typography>
+                ) : null}
+                {(toolCatalog?.servers || [])
+                  .filter((server) => !server.ok)
+                  .map((server) => (
+                    <Typography key={server.name} variant="caption" sx={{ color: '#b91c1c' }}>
+                      {server.name}: {server.error || `status ${server.status}`}
+                    </Typography>
+                  ))}
+                {(toolCatalog?.tools || []).map((tool) => (
+                  <Typography
+                    key={tool.name}
+                    variant="caption"
+                    sx={{
+                      color: '#374151',
+                      fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+                    }}
+                  >
+                    {tool.name} [{tool.provenance.join(' + ') || 'unknown'}]
+                    {tool.description ? ` - ${tool.description}` : ''}
+                  </Typography>
+                ))}
+              </Stack>
+            </Collapse>
           </Box>
 
           <Box
@@ -435,6 +797,137 @@ export default function KnowledgeEditor({
                         응답 생성 중...
                       </Typography>
                     ) : null}
+                    {message.offline ? (
+                      <Typography
+                        variant="caption"
+                        sx={{ mt: 1, display: 'block', color: '#6b7280' }}
+                      >
+                        오프라인 모드: LLM 없이 도구 결과를 그대로 보여줍니다.
+                      </Typography>
+                    ) : null}
+                    {!message.isStreaming && message.usage ? (
+                      <UsageBadge usage={message.usage} />
+                    ) : null}
+                    {message.isStreaming
+                      ? (message.toolProgress || []).map((item) => {
+                          const determinate = typeof item.total === 'number' && item.total > 0;
+                          const label = [
+                            item.tool,
+                            item.message,
+                            determinate ? `(${item.progress}/${item.total})` : `(${item.progress})`,
+                          ]
+                            .filter(Boolean)
+                            .join(' ');
+                          return (
+                            <Box key={String(item.progressToken)} sx={{ mt: 1 }}>
+                              <Typography
+                                variant="caption"
+                                sx={{ display: 'block', color: '#6b7280', mb: 0.5 }}
+                              >
+                                {label}
+                              </Typography>
+                              <LinearProgress
+                                variant={determinate ? 'determinate' : 'indeterminate'}
+                                value={
+                                  determinate
+                                    ? Math.min(100, (item.progress / (item.total as number)) * 100)
+                                    : undefined
+                                }
+                                sx={{ borderRadius: 1 }}
+                              />
+                            </Box>
+                          );
+                        })
+                      : null}
+                    {(message.sampling || []).map((item) => {
+                      const awaitingDecision =
+                        item.approvalRequired && item.status === 'pending' && !item.reason;
+                      const statusLabel =
+                        item.status === 'completed'
+                          ? '완료'
+                          : item.status === 'rejected'
+                            ? `거절됨 (${item.reason || 'user_rejected'})`
+                            : item.status === 'failed'
+                              ? `실패: ${item.error || '알 수 없는 오류'}`
+                              : awaitingDecision
+                                ? '승인 대기 중'
+                                : '모델 생성 중';
+                      return (
+                        <Box
+                          key={item.samplingId}
+                          sx={{
+                            mt: 1.25,
+                            p: 1.25,
+                            borderRadius: 2,
+                            border: '1px solid #e5e7eb',
+                            background: '#fafafa',
+                          }}
+                        >
+                          <Typography variant="caption" sx={{ color: '#4b5563', fontWeight: 700 }}>
+                            MCP sampling 요청 {item.model ? `(${item.model})` : ''} - {statusLabel}
+                          </Typography>
+                          {item.server ? (
+                            <Typography
+                              variant="caption"
+                              sx={{ display: 'block', color: '#6b7280' }}
+                            >
+                              {item.server}
+                            </Typography>
+                          ) : null}
+                          <Typography
+                            variant="caption"
+                            sx={{
+                              mt: 0.75,
+                              whiteSpace: 'pre-wrap',
+                              display: 'block',
+                              color: '#6b7280',
+                              fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+                              lineHeight: 1.5,
+                            }}
+                          >
+                            {[
+                              item.systemPrompt ? `system: ${item.systemPrompt}` : '',
+                              ...item.messages.map((entry) => `${entry.role}: ${entry.text}`),
+                              item.text ? `=> ${item.text}` : '',
+                            ]
+                              .filter(Boolean)
+                              .join('\n')}
+                          </Typography>
+                          {awaitingDecision ? (
+                            <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+                              <Button
+                                size="small"
+                                variant="contained"
+                                onClick={() =>
+                                  handleSamplingDecision(message.id, item.samplingId, true)
+                                }
+                              >
+                                승인
+                              </Button>
+                              <Button
+                                size="small"
+                                color="inherit"
+                                variant="outlined"
+                                onClick={() =>
+                                  handleSamplingDecision(message.id, item.samplingId, false)
+                                }
+                              >
+                                거절
+                              </Button>
+                            </Stack>
+                          ) : null}
+                        </Box>
+                      );
+                    })}
+                    {(message.elicitations || []).map((item) => (
+                      <ElicitationForm
+                        key={item.elicitationId}
+                        request={item}
+                        onRespond={(action, content) =>
+                          respondElicitation(item.elicitationId, action, content)
+                        }
+                      />
+                    ))}
                     <Collapse
                       in={
                         showSSELogs &&
@@ -478,6 +971,65 @@ export default function KnowledgeEditor({
 
           <Divider sx={{ borderColor: '#e5e7eb' }} />
           <Box sx={{ px: { xs: 2, md: 4 }, py: 2, backgroundColor: '#fff' }}>
+            {promptSuggestions.length > 0 ? (
+              <Paper variant="outlined" sx={{ mb: 1, borderRadius: 3, overflow: 'hidden' }}>
+                {promptSuggestions.map((prompt) => (
+                  <Box
+                    key={prompt.command}
+                    component="button"
+                    type="button"
+                    onClick={() => selectPrompt(prompt)}
+                    sx={{
+                      display: 'block',
+                      width: '100%',
+                      textAlign: 'left',
+                      px: 1.5,
+                      py: 1,
+                      border: 0,
+                      background: '#fff',
+                      cursor: 'pointer',
+                      '&:hover': { background: '#f4f4f5' },
+                    }}
+                  >
+                    <Typography variant="body2" fontWeight={700} sx={{ color: '#111827' }}>
+                      /{prompt.command}
+                    </Typography>
+                    {prompt.description || prompt.title ? (
+                      <Typography variant="caption" sx={{ color: '#6b7280' }}>
+                        {prompt.description || prompt.title}
+                      </Typography>
+                    ) : null}
+                  </Box>
+                ))}
+              </Paper>
+            ) : null}
+            {activePrompt ? (
+              <Stack spacing={1} sx={{ mb: 1 }}>
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <Typography variant="caption" sx={{ color: '#4b5563', fontWeight: 700 }}>
+                    /{activePrompt.command}
+                    {activePrompt.description ? ` - ${activePrompt.description}` : ''}
+                  </Typography>
+                  <Button size="small" color="inherit" variant="text" onClick={clearPrompt}>
+                    취소
+                  </Button>
+                </Stack>
+                {activePrompt.arguments.map((argument) => (
+                  <TextField
+                    key={argument.name}
+                    size="small"
+                    label={argument.name}
+                    required={argument.required}
+                    helperText={argument.description || undefined}
+                    value={promptArgs[argument.name] || ''}
+                    onChange={(event) =>
+                      setPromptArgs((prev) => ({ ...prev, [argument.name]: event.target.value }))
+                    }
+                    disabled={loading}
+                  />
+                ))}
+              </Stack>
+            ) : null}
             <form
               onSubmit={(event) => {
                 event.preventDefault();
@@ -502,29 +1054,48 @@ export default function KnowledgeEditor({
                   maxRows={5}
                   inputRef={inputRef}
                   value={input}
-                  onChange={(event) => setInput(event.target.value)}
+                  onChange={(event) => handleInputChange(event.target.value)}
                   onKeyDown={handleKeyDown}
                   placeholder="메시지를 입력하세요"
                   variant="standard"
                   disabled={loading}
                   InputProps={{ disableUnderline: true }}
                 />
-                <Button
-                  variant="contained"
-                  type="submit"
-                  disabled={loading || !input.trim()}
-                  sx={{
-                    minWidth: 44,
-                    width: 44,
-                    height: 44,
-                    borderRadius: 22,
-                    boxShadow: 'none',
-                    background: '#111827',
-                    '&:hover': { background: '#1f2937' },
-                  }}
-                >
-                  <SendIcon />
-                </Button>
+                {loading ? (
+                  <Button
+                    variant="contained"
+                    aria-label="응답 중단"
+                    onClick={handleStop}
+                    sx={{
+                      minWidth: 44,
+                      width: 44,
+                      height: 44,
+                      borderRadius: 22,
+                      boxShadow: 'none',
+                      background: '#111827',
+                      '&:hover': { background: '#1f2937' },
+                    }}
+                  >
+                    <StopIcon />
+                  </Button>
+                ) : (
+                  <Button
+                    variant="contained"
+                    type="submit"
+                    disabled={loading || !input.trim() || missingPromptArgs.length > 0}
+                    sx={{
+                      minWidth: 44,
+                      width: 44,
+                      height: 44,
+                      borderRadius: 22,
+                      boxShadow: 'none',
+                      background: '#111827',
+                      '&:hover': { background: '#1f2937' },
+                    }}
+                  >
+                    <SendIcon />
+                  </Button>
+                )}
               </Box>
             </form>
           </Box>
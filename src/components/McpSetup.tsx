@@ -1,32 +1,191 @@
-import { useState } from 'react';
-import { Button, Card, CardContent, Stack, TextField, Typography, Alert } from '@mui/material';
-import type { MCPMode } from '../types/mcp';
+import { useEffect, useState } from 'react';
+import {
+  Button,
+  Card,
+  CardContent,
+  IconButton,
+  Stack,
+  TextField,
+  Typography,
+  Alert,
+} from '@mui/material';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import type { MCPAuthStatus, MCPMode, MCPServerConfig } from '../types/mcp';
+import { fetchAuthStatus, signOutAuthorization, startAuthorization } from '../services/mcpClient';
 
 interface MCPSetupProps {
-  onSelect: (mode: MCPMode, localEndpoint: string) => void;
+  onSelect: (mode: MCPMode, servers: MCPServerConfig[]) => void;
 }
 
 const DEFAULT_ENDPOINT = 'http://localhost:3001/mcp';
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
 
 export default function MCPSetup({ onSelect }: MCPSetupProps) {
-  const [localEndpoint, setLocalEndpoint] = useState(DEFAULT_ENDPOINT);
+  const [servers, setServers] = useState<MCPServerConfig[]>([
+    { name: 'notes', endpoint: DEFAULT_ENDPOINT },
+  ]);
   const [error, setError] = useState('');
+  // 인가가 필요한 서버가 있을 때만 채워진다. 모두 인증되면 바로 연결한다.
+  const [authStatuses, setAuthStatuses] = useState<MCPAuthStatus[]>([]);
+  const [authorizing, setAuthorizing] = useState('');
+  const [checking, setChecking] = useState(false);
 
-  const handleConnectLocalMCP = () => {
+  const normalizeServers = () =>
+    servers.map((server) => ({
+      name: server.name.trim(),
+      endpoint: server.endpoint.trim(),
+    }));
+
+  const checkAuthorization = async (normalized: MCPServerConfig[]) => {
+    setChecking(true);
+    try {
+      const { servers: statuses } = await fetchAuthStatus({ mcpServers: normalized });
+      const pending = statuses.filter((status) => status.reachable && !status.authorized);
+      setAuthStatuses(pending.length > 0 ? statuses : []);
+      return pending.length === 0;
+    } catch {
+      // 상태 조회가 실패해도 연결은 진행하고, 실제 오류는 채팅 응답에서 보여준다.
+      setAuthStatuses([]);
+      return true;
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  useEffect(() => {
+    // 인가 팝업이 브릿지 callback에서 보내는 결과 메시지.
+    const handleMessage = (event: MessageEvent) => {
+      const data = event.data as { type?: string; ok?: boolean; error?: string } | null;
+      if (data?.type !== 'mcp-oauth') {
+        return;
+      }
+      setAuthorizing('');
+      if (!data.ok) {
+        setError(data.error || 'OAuth 인가에 실패했습니다.');
+        return;
+      }
+      setError('');
+      void checkAuthorization(normalizeServers());
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  });
+
+  const updateServer = (index: number, patch: Partial<MCPServerConfig>) => {
+    setServers((prev) =>
+      prev.map((server, current) => (current === index ? { ...server, ...patch } : server)),
+    );
+  };
+
+  const handleAddServer = () => {
+    setServers((prev) => [...prev, { name: '', endpoint: '' }]);
+  };
+
+  const handleRemoveServer = (index: number) => {
+    setServers((prev) => prev.filter((_, current) => current !== index));
+  };
+
+  const handleAuthorize = async (status: MCPAuthStatus) => {
     setError('');
-    if (!localEndpoint.trim()) {
-      setError('로컬 MCP 엔드포인트를 입력해주세요.');
-      return;
+    setAuthorizing(status.endpoint);
+    // 팝업 차단을 피하려고 클릭 시점에 창을 먼저 열고, 인가 URL을 받은 뒤 이동한다.
+    const popup = window.open('', 'mcp-oauth', 'width=520,height=720');
+    try {
+      const { authorizationUrl } = await startAuthorization(status.endpoint);
+      if (popup) {
+        popup.location.href = authorizationUrl;
+      } else {
+        window.location.href = authorizationUrl;
+      }
+    } catch (authorizeError) {
+      popup?.close();
+      setAuthorizing('');
+      setError(authorizeError instanceof Error ? authorizeError.message : 'OAuth 인가 시작 실패');
     }
+  };
 
+  const handleSignOut = async (status: MCPAuthStatus) => {
+    setError('');
     try {
-      new URL(localEndpoint);
-    } catch {
-      setError('올바른 URL 형식이 아닙니다. 예: http://localhost:3001/mcp');
+      await signOutAuthorization(status.endpoint);
+      await checkAuthorization(normalizeServers());
+    } catch (signOutError) {
+      setError(signOutError instanceof Error ? signOutError.message : '인증 해제 실패');
+    }
+  };
+
+  const handleConnectLocalMCP = async () => {
+    setError('');
+    const normalized = normalizeServers();
+
+    if (normalized.some((server) => !server.endpoint)) {
+      setError('로컬 MCP 엔드포인트를 입력해주세요.');
       return;
     }
 
-    onSelect('local', localEndpoint.trim());
+    for (const server of normalized) {
+      try {
+        new URL(server.endpoint);
+      } catch {
+        setError('올바른 URL 형식이 아닙니다. 예: http://localhost:3001/mcp');
+        return;
+      }
+    }
+
+    // 서버가 여러 개면 도구명이 `이름.도구` 형식으로 합쳐지므로 이름이 필요하다.
+    if (normalized.length > 1) {
+      const names = normalized.map((server) => server.name);
+      if (names.some((name) => !SERVER_NAME_PATTERN.test(name))) {
+        setError('서버 이름은 영문/숫자/_/- 만 사용할 수 있습니다.');
+        return;
+      }
+      if (new Set(names).size !== names.length) {
+        setError('서버 이름이 중복되었습니다.');
+        return;
+      }
+    }
+
+    if (await checkAuthorization(normalized)) {
+      onSelect('local', normalized);
+    }
+  };
+
+  const renderAuthStatus = (status: MCPAuthStatus) => {
+    const label = status.name || status.endpoint;
+    if (status.authorized) {
+      return (
+        <Stack key={status.endpoint} direction="row" spacing={1} alignItems="center">
+          <Typography variant="body2" sx={{ flex: 1 }}>
+            {label} - 인증됨
+          </Typography>
+          {status.type === 'oauth' ? (
+            <Button size="small" color="inherit" onClick={() => handleSignOut(status)}>
+              인증 해제
+            </Button>
+          ) : null}
+        </Stack>
+      );
+    }
+    return (
+      <Stack key={status.endpoint} direction="row" spacing={1} alignItems="center">
+        <Typography variant="body2" sx={{ flex: 1 }}>
+          {label} -{' '}
+          {status.canAuthorize
+            ? '인증이 필요합니다.'
+            : '설정된 자격 증명이 거부되었습니다. LOCAL_MCP_CREDENTIALS를 확인해주세요.'}
+        </Typography>
+        {status.canAuthorize ? (
+          <Button
+            size="small"
+            variant="outlined"
+            disabled={Boolean(authorizing)}
+            onClick={() => handleAuthorize(status)}
+          >
+            {authorizing === status.endpoint ? '인증 중...' : '인증'}
+          </Button>
+        ) : null}
+      </Stack>
+    );
   };
 
   return (
@@ -39,15 +198,54 @@ export default function MCPSetup({ onSelect }: MCPSetupProps) {
           <Typography color="text.secondary">
             로컬 MCP 엔드포인트를 등록해두면, 이후 채팅창에서 지식 질의가 해당 MCP로 전달됩니다.
           </Typography>
+          <Typography variant="body2" color="text.secondary">
+            브릿지에 등록된 stdio 서버는 <code>stdio://이름</code> 형식으로 입력합니다. 서버를 여러
+            개 등록하면 도구가 <code>이름.도구</code> 형식으로 합쳐집니다.
+          </Typography>
+
+          {servers.map((server, index) => (
+            <Stack key={index} direction="row" spacing={1} alignItems="center">
+              {servers.length > 1 ? (
+                <TextField
+                  label="서버 이름"
+                  value={server.name}
+                  onChange={(event) => updateServer(index, { name: event.target.value })}
+                  sx={{ width: 140 }}
+                />
+              ) : null}
+              <TextField
+                label="Local MCP 엔드포인트"
+                fullWidth
+                value={server.endpoint}
+                onChange={(event) => updateServer(index, { endpoint: event.target.value })}
+              />
+              {servers.length > 1 ? (
+                <IconButton aria-label="서버 삭제" onClick={() => handleRemoveServer(index)}>
+                  <DeleteOutlineIcon />
+                </IconButton>
+              ) : null}
+            </Stack>
+          ))}
+
+          <Button variant="text" onClick={handleAddServer} sx={{ alignSelf: 'flex-start' }}>
+            MCP 서버 추가
+          </Button>
 
-          <TextField
-            label="Local MCP 엔드포인트"
-            fullWidth
-            value={localEndpoint}
-            onChange={(event) => setLocalEndpoint(event.target.value)}
-          />
+          {authStatuses.length > 0 ? (
+            <Stack spacing={1}>
+              <Alert severity="warning">
+                인증이 필요한 MCP 서버가 있습니다. 인증을 마친 뒤 연결을 시작해주세요.
+              </Alert>
+              {authStatuses.map(renderAuthStatus)}
+            </Stack>
+          ) : null}
 
-          <Button variant="contained" size="large" onClick={handleConnectLocalMCP}>
+          <Button
+            variant="contained"
+            size="large"
+            disabled={checking}
+            onClick={handleConnectLocalMCP}
+          >
             연결 시작하기
           </Button>
 
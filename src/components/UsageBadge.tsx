@@ -0,0 +1,63 @@
+import { Chip, Tooltip, Typography } from '@mui/material';
+import type { LLMUsage, LLMUsageTotals } from '../types/mcp';
+
+interface UsageBadgeProps {
+  usage: LLMUsage;
+}
+
+const AGENT_LABELS: Record<string, string> = {
+  'plan-agent': '계획',
+  'mcp-agent': 'MCP sampling',
+  'summary-agent': '요약',
+  'writer-agent': '작성',
+  'evaluator-agent': '평가',
+  'chat-agent': '대화',
+};
+
+const formatCost = (costUsd: number) =>
+  `$${costUsd < 0.01 ? costUsd.toFixed(4) : costUsd.toFixed(2)}`;
+
+const formatTotals = (totals: LLMUsageTotals) => {
+  const tokens = `${totals.totalTokens.toLocaleString()} 토큰 (입력 ${totals.inputTokens.toLocaleString()} / 출력 ${totals.outputTokens.toLocaleString()})`;
+  const cost =
+    totals.unpricedCalls >= totals.calls
+      ? '비용 미확인'
+      : `${formatCost(totals.costUsd)}${totals.unpricedCalls > 0 ? ' + 비용 미확인 호출' : ''}`;
+  return `${totals.calls}회 · ${tokens} · ${cost}`;
+};
+
+/**
+ * 답변 1건의 LLM 비용 배지. 마우스를 올리면 에이전트별 호출 수/토큰/비용을 보여준다.
+ */
+export default function UsageBadge({ usage }: UsageBadgeProps) {
+  if (usage.calls === 0) {
+    return null;
+  }
+  const priced = usage.unpricedCalls < usage.calls;
+  const label = priced
+    ? `${formatCost(usage.costUsd)}${usage.unpricedCalls > 0 ? '+' : ''}`
+    : `${usage.totalTokens.toLocaleString()} 토큰`;
+
+  return (
+    <Tooltip
+      arrow
+      title={
+        <Typography variant="caption" component="div" sx={{ whiteSpace: 'pre-line' }}>
+          {[
+            `${usage.provider}: ${formatTotals(usage)}`,
+            ...Object.entries(usage.byAgent).map(
+              ([agent, totals]) => `- ${AGENT_LABELS[agent] || agent}: ${formatTotals(totals)}`,
+            ),
+          ].join('\n')}
+        </Typography>
+      }
+    >
+      <Chip
+        size="small"
+        variant="outlined"
+        label={label}
+        sx={{ mt: 1, height: 20, fontSize: 11, color: '#6b7280', borderColor: '#e5e7eb' }}
+      />
+    </Tooltip>
+  );
+}
@@ -1,4 +1,23 @@
-import type { MCPMode, KnowledgeResponse } from '../types/mcp';
+import type {
+  MCPMode,
+  KnowledgeResponse,
+  MCPServerConfig,
+  MCPToolCatalog,
+  MCPPromptCatalog,
+  MCPPromptInvocation,
+  MCPToolProgress,
+  MCPSamplingRequest,
+  MCPSamplingResult,
+  MCPElicitationAction,
+  MCPElicitationRequest,
+  MCPElicitationResult,
+  MCPElicitationValue,
+  MCPAuthStatus,
+  MCPAuthorization,
+  AnswerRevision,
+  ConversationTurn,
+  ConversationSummary,
+} from '../types/mcp';
 
 const DEFAULT_LOCAL_MCP_PROMPT =
   '너는 로컬 MCP 지식 검색 도우미야. 사용자의 요청을 지식 검색/요약/편집 힌트 형태로 정리해줘.';
@@ -23,9 +42,27 @@ const ensureOk = async (response: Response, fallback: string) => {
 
 export interface QueryKnowledgeOptions {
   localEndpoint?: string;
-  conversation?: Array<{ role: 'user' | 'assistant'; text: string }>;
+  mcpServers?: MCPServerConfig[];
+  mcpPrompt?: MCPPromptInvocation;
+  samplingApproval?: boolean;
+  /** 서버의 LLM provider 이름 (없으면 브릿지 기본 provider) */
+  llmProvider?: string;
+  /** 도구 결과를 보며 다음 도구를 고르는 agent loop 사용 여부 (없으면 서버 기본값) */
+  agentLoop?: boolean;
+  /** 이전 대화. assistant 턴의 toolContext는 받은 응답의 값을 그대로 돌려보낸다. */
+  conversation?: ConversationTurn[];
+  /** 직전 응답의 conversationSummary (오래된 대화의 누적 요약) */
+  conversationSummary?: ConversationSummary;
+  signal?: AbortSignal;
   onProgress?: (event: { type: string; data: unknown }) => void;
+  onToolProgress?: (progress: MCPToolProgress) => void;
+  onSamplingRequest?: (request: MCPSamplingRequest) => void;
+  onSamplingResult?: (result: MCPSamplingResult) => void;
+  onElicitationRequest?: (request: MCPElicitationRequest) => void;
+  onElicitationResult?: (result: MCPElicitationResult) => void;
   onDelta?: (chunk: string) => void;
+  /** 재작성 시작. 지금까지 받은 delta는 버리고 이후 delta로 다시 채운다. */
+  onRevision?: (revision: AnswerRevision) => void;
   onFinal?: (response: KnowledgeResponse) => void;
   onError?: (message: string) => void;
 }
@@ -39,7 +76,12 @@ export async function queryKnowledge(
     mode,
     prompt: userPrompt,
     localEndpoint: options.localEndpoint,
+    mcpServers: options.mcpServers,
+    mcpPrompt: options.mcpPrompt,
+    llmProvider: options.llmProvider,
+    agentLoop: options.agentLoop,
     conversation: options.conversation,
+    conversationSummary: options.conversationSummary,
   };
 
   const response = await fetch('/api/mcp/chat', {
@@ -48,6 +90,7 @@ export async function queryKnowledge(
       'Content-Type': 'application/json',
     },
     body: JSON.stringify(payload),
+    signal: options.signal,
   });
 
   await ensureOk(response, 'Local MCP 질의 실패');
@@ -63,6 +106,10 @@ export async function queryKnowledge(
       tool: responseData.tool,
       arguments: responseData.arguments,
       result: responseData.result,
+      toolContext: responseData.toolContext,
+      conversationSummary: responseData.conversationSummary,
+      offline: responseData.offline,
+      agentTrace: responseData.agentTrace,
       requiresInput: (responseData as { requiresInput?: boolean })?.requiresInput,
       missing: (responseData as { missing?: string })?.missing,
     };
@@ -83,6 +130,126 @@ export async function queryKnowledge(
   };
 }
 
+export interface ToolCatalogOptions {
+  localEndpoint?: string;
+  mcpServers?: MCPServerConfig[];
+}
+
+const buildTargetQuery = (options: ToolCatalogOptions) => {
+  const params = new URLSearchParams();
+  if (options.localEndpoint) {
+    params.set('localEndpoint', options.localEndpoint);
+  }
+  if (options.mcpServers && options.mcpServers.length > 0) {
+    params.set('mcpServers', JSON.stringify(options.mcpServers));
+  }
+  return params.toString();
+};
+
+export async function fetchToolCatalog(options: ToolCatalogOptions = {}): Promise<MCPToolCatalog> {
+  const response = await fetch(`/api/mcp/tools?${buildTargetQuery(options)}`);
+  await ensureOk(response, '도구 목록 조회 실패');
+  return (await response.json()) as MCPToolCatalog;
+}
+
+export async function refreshToolCatalog(
+  options: ToolCatalogOptions = {},
+): Promise<MCPToolCatalog> {
+  const response = await fetch('/api/mcp/tools/refresh', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      localEndpoint: options.localEndpoint,
+      mcpServers: options.mcpServers,
+    }),
+  });
+  await ensureOk(response, '도구 목록 새로고침 실패');
+  return (await response.json()) as MCPToolCatalog;
+}
+
+export async function fetchPromptCatalog(
+  options: ToolCatalogOptions = {},
+): Promise<MCPPromptCatalog> {
+  const response = await fetch(`/api/mcp/prompts?${buildTargetQuery(options)}`);
+  await ensureOk(response, 'prompt 목록 조회 실패');
+  return (await response.json()) as MCPPromptCatalog;
+}
+
+export async function fetchAuthStatus(
+  options: ToolCatalogOptions = {},
+): Promise<{ servers: MCPAuthStatus[] }> {
+  const response = await fetch(`/api/mcp/auth/status?${buildTargetQuery(options)}`);
+  await ensureOk(response, '인증 상태 조회 실패');
+  return (await response.json()) as { servers: MCPAuthStatus[] };
+}
+
+/**
+ * OAuth 인가를 시작한다. 반환된 authorizationUrl을 팝업으로 열면 브릿지 callback이 결과를
+ * `{ type: 'mcp-oauth', ok, endpoint | error }` 메시지로 opener에 전달한다.
+ */
+export async function startAuthorization(endpoint: string): Promise<MCPAuthorization> {
+  const response = await fetch('/api/mcp/auth/authorize', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ endpoint }),
+  });
+  if (!response.ok) {
+    const payload = (await response.json().catch(() => null)) as { error?: string } | null;
+    throw new Error(payload?.error || `OAuth 인가 시작 실패 (${response.status})`);
+  }
+  return (await response.json()) as MCPAuthorization;
+}
+
+export async function signOutAuthorization(endpoint: string): Promise<void> {
+  const response = await fetch('/api/mcp/auth/signout', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ endpoint }),
+  });
+  await ensureOk(response, '인증 해제 실패');
+}
+
+export async function decideSampling(samplingId: string, approved: boolean): Promise<void> {
+  const response = await fetch(`/api/mcp/sampling/${encodeURIComponent(samplingId)}/decision`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ approved }),
+  });
+  await ensureOk(response, 'sampling 승인 처리 실패');
+}
+
+/**
+ * elicitation 요청에 응답한다. accept의 content가 요청 형식과 맞지 않으면 브릿지가 400으로 거절한다.
+ */
+export async function respondElicitation(
+  elicitationId: string,
+  action: MCPElicitationAction,
+  content?: Record<string, MCPElicitationValue>,
+): Promise<void> {
+  const response = await fetch(
+    `/api/mcp/elicitation/${encodeURIComponent(elicitationId)}/response`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ action, content }),
+    },
+  );
+  if (!response.ok) {
+    const payload = (await response.json().catch(() => null)) as { error?: string } | null;
+    throw new Error(payload?.error || `elicitation 응답 실패 (${response.status})`);
+  }
+}
+
 const parseStreamMessage = (block: string) => {
   const lines = block
     .split('\n')
@@ -113,7 +280,13 @@ export async function streamKnowledge(
     mode,
     prompt: userPrompt,
     localEndpoint: options.localEndpoint,
+    mcpServers: options.mcpServers,
+    mcpPrompt: options.mcpPrompt,
+    samplingApproval: options.samplingApproval,
+    llmProvider: options.llmProvider,
+    agentLoop: options.agentLoop,
     conversation: options.conversation,
+    conversationSummary: options.conversationSummary,
   };
 
   const response = await fetch('/api/mcp/chat/stream', {
@@ -122,6 +295,7 @@ export async function streamKnowledge(
       'Content-Type': 'application/json',
     },
     body: JSON.stringify(payload),
+    signal: options.signal,
   });
 
   if (!response.ok) {
@@ -175,6 +349,17 @@ export async function streamKnowledge(
         continue;
       }
 
+      if (event === 'revision') {
+        accumulatedAnswer = '';
+        try {
+          options.onRevision?.(JSON.parse(data) as AnswerRevision);
+        } catch {
+          // 형식이 맞지 않아도 다음 delta부터 새 작성본으로 받는다.
+          options.onRevision?.({ requestId: '', revision: 0, score: 0, feedback: '' });
+        }
+        continue;
+      }
+
       if (event === 'final') {
         try {
           const parsed = JSON.parse(data);
@@ -210,6 +395,45 @@ export async function streamKnowledge(
         continue;
       }
 
+      if (event === 'tool_progress') {
+        try {
+          options.onToolProgress?.(JSON.parse(data) as MCPToolProgress);
+        } catch {
+          // 형식이 맞지 않는 진행률 이벤트는 무시한다.
+        }
+        continue;
+      }
+
+      if (event === 'sampling_request' || event === 'sampling_result') {
+        try {
+          const parsed = JSON.parse(data);
+          if (event === 'sampling_request') {
+            options.onSamplingRequest?.({ ...parsed, status: 'pending' } as MCPSamplingRequest);
+          } else {
+            options.onSamplingResult?.(parsed as MCPSamplingResult);
+          }
+        } catch {
+          // 형식이 맞지 않는 sampling 이벤트는 무시한다.
+        }
+        options.onProgress?.({ type: event, data });
+        continue;
+      }
+
+      if (event === 'elicitation_request' || event === 'elicitation_result') {
+        try {
+          const parsed = JSON.parse(data);
+          if (event === 'elicitation_request') {
+            options.onElicitationRequest?.(parsed as MCPElicitationRequest);
+          } else {
+            options.onElicitationResult?.(parsed as MCPElicitationResult);
+          }
+        } catch {
+          // 형식이 맞지 않는 elicitation 이벤트는 무시한다.
+        }
+        options.onProgress?.({ type: event, data });
+        continue;
+      }
+
       options.onProgress?.({ type: event, data });
     }
   }
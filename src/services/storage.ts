@@ -1,7 +1,8 @@
-import type { MCPMode, LocalMCPConfig } from '../types/mcp';
+import type { MCPMode, LocalMCPConfig, MCPServerConfig } from '../types/mcp';
 
 const MODE_STORAGE_KEY = 'local-mcp-mode';
 const LOCAL_MCP_CONFIG_KEY = 'local-mcp-endpoint';
+const LOCAL_MCP_SERVERS_KEY = 'local-mcp-servers';
 
 export function readStoredMode(): MCPMode | null {
   const value = window.localStorage.getItem(MODE_STORAGE_KEY);
@@ -22,13 +23,33 @@ export function readStoredLocalMCPConfig(): LocalMCPConfig | null {
     return null;
   }
 
-  return { endpoint: value };
+  return { endpoint: value, servers: readStoredServers() };
+}
+
+function readStoredServers(): MCPServerConfig[] | undefined {
+  const value = window.localStorage.getItem(LOCAL_MCP_SERVERS_KEY);
+  if (!value) {
+    return undefined;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? (parsed as MCPServerConfig[]) : undefined;
+  } catch {
+    return undefined;
+  }
 }
 
 export function writeStoredLocalMCPConfig(config: LocalMCPConfig): void {
   window.localStorage.setItem(LOCAL_MCP_CONFIG_KEY, config.endpoint);
+  if (config.servers && config.servers.length > 0) {
+    window.localStorage.setItem(LOCAL_MCP_SERVERS_KEY, JSON.stringify(config.servers));
+  } else {
+    window.localStorage.removeItem(LOCAL_MCP_SERVERS_KEY);
+  }
 }
 
 export function clearStoredLocalMCPConfig(): void {
   window.localStorage.removeItem(LOCAL_MCP_CONFIG_KEY);
+  window.localStorage.removeItem(LOCAL_MCP_SERVERS_KEY);
 }
@@ -11,6 +11,63 @@ export interface KnowledgeResponse {
   requiresInput?: boolean;
   missing?: string;
   result?: unknown;
+  toolContext?: ConversationToolReference[];
+  conversationSummary?: ConversationSummary;
+  /** LLM 없이 규칙 기반으로 도구를 골라 결과 markdown을 그대로 돌려준 응답 */
+  offline?: boolean;
+  agentTrace?: KnowledgeAgentTrace;
+}
+
+/**
+ * 응답의 실행 추적 중 화면에서 쓰는 부분. 나머지 필드(plan, workflow 등)는 디버그용이라 타입을 두지 않는다.
+ */
+export interface KnowledgeAgentTrace {
+  requestId?: string;
+  llm?: LLMUsage;
+}
+
+export interface LLMUsageTotals {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+  /** LLM_PRICING 단가로 계산한 비용(USD). 단가가 없거나 사용량을 보고하지 않은 호출은 unpricedCalls로만 센다. */
+  costUsd: number;
+  unpricedCalls: number;
+}
+
+/**
+ * 요청 1건의 LLM 사용량. byAgent는 plan-agent, summary-agent, writer-agent, evaluator-agent 등 호출 주체별 합계다.
+ */
+export interface LLMUsage extends LLMUsageTotals {
+  provider: string;
+  byAgent: Record<string, LLMUsageTotals>;
+}
+
+/**
+ * 토큰 예산을 넘어 대화 창에서 밀려난 앞쪽 turns개 메시지의 누적 요약.
+ * 다음 요청에 그대로 돌려보내면 서버는 그 뒤 메시지만 원문/추가 요약 대상으로 본다.
+ */
+export interface ConversationSummary {
+  text: string;
+  turns: number;
+}
+
+/**
+ * 답변에 쓰인 MCP 도구 결과 요약(경로/검색 hit). 다음 요청의 conversation에 그대로 실어 보내면
+ * "그 목록의 두 번째 파일" 같은 후속 질문을 서버가 해석할 수 있다.
+ */
+export interface ConversationToolReference {
+  tool: string;
+  arguments: Record<string, unknown>;
+  paths: string[];
+  hits: Array<{ path: string; line?: number; snippet?: string }>;
+}
+
+export interface ConversationTurn {
+  role: 'user' | 'assistant';
+  text: string;
+  toolContext?: ConversationToolReference[];
 }
 
 export interface KnowledgeMessage {
@@ -20,9 +77,186 @@ export interface KnowledgeMessage {
   createdAt: string;
   detail?: string;
   thoughts?: string[];
+  toolProgress?: MCPToolProgress[];
+  sampling?: MCPSamplingRequest[];
+  elicitations?: MCPElicitationRequest[];
+  toolContext?: ConversationToolReference[];
+  usage?: LLMUsage;
+  offline?: boolean;
   isStreaming?: boolean;
 }
 
+/**
+ * MCP 서버가 tools/call 중 보내는 notifications/progress (progressToken별 최신 값).
+ * total이 없으면 전체 분량을 모르는 진행 상태다.
+ */
+export interface MCPToolProgress {
+  progressToken: string | number;
+  tool: string;
+  server?: string;
+  requestType?: string;
+  progress: number;
+  total: number | null;
+  message: string;
+}
+
+/**
+ * 평가 에이전트가 재작성을 요청해 writer가 답변을 다시 스트리밍하기 직전에 오는 이벤트.
+ * 이후 delta는 새 작성본(revision)의 처음부터 시작한다.
+ */
+export interface AnswerRevision {
+  requestId: string;
+  revision: number;
+  score: number;
+  feedback: string;
+}
+
+export type MCPSamplingStatus = 'pending' | 'completed' | 'rejected' | 'failed';
+
+/**
+ * 도구 실행 중 MCP 서버가 보낸 sampling/createMessage 요청.
+ * approvalRequired이면 사용자가 승인해야 브릿지 모델이 응답을 생성한다.
+ */
+export interface MCPSamplingRequest {
+  samplingId: string;
+  server: string | null;
+  model: string | null;
+  maxTokens: number | null;
+  systemPrompt: string;
+  messages: Array<{ role: string; text: string }>;
+  approvalRequired: boolean;
+  status: MCPSamplingStatus;
+  reason?: string;
+  error?: string;
+  stopReason?: string;
+  text?: string;
+}
+
+export type MCPSamplingResult = Pick<MCPSamplingRequest, 'samplingId' | 'status'> &
+  Partial<Pick<MCPSamplingRequest, 'model' | 'reason' | 'error' | 'stopReason' | 'text'>>;
+
+export type MCPElicitationAction = 'accept' | 'decline' | 'cancel';
+
+export type MCPElicitationValue = string | number | boolean | Array<string | number>;
+
+/**
+ * elicitation requestedSchema의 속성 하나를 입력 필드로 바꾼 것.
+ * enum은 단일 선택, multiselect는 선택지가 있는 배열이다.
+ */
+export interface MCPElicitationField {
+  name: string;
+  type: 'string' | 'number' | 'integer' | 'boolean' | 'enum' | 'multiselect';
+  title: string;
+  description: string;
+  required: boolean;
+  options?: Array<{ value: string | number; label: string }>;
+  default?: MCPElicitationValue;
+  format?: string;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+}
+
+/**
+ * 도구 실행 중 MCP 서버가 보낸 elicitation/create 요청. action이 정해지면 응답이 끝난 것이다.
+ */
+export interface MCPElicitationRequest {
+  elicitationId: string;
+  server: string | null;
+  message: string;
+  fields: MCPElicitationField[];
+  action?: MCPElicitationAction;
+  reason?: string;
+}
+
+export type MCPElicitationResult = Pick<MCPElicitationRequest, 'elicitationId'> & {
+  action: MCPElicitationAction;
+  reason?: string;
+};
+
+export interface MCPServerConfig {
+  name: string;
+  endpoint: string;
+}
+
+export type MCPCredentialType = 'none' | 'bearer' | 'headers' | 'oauth';
+
+export interface MCPAuthStatus {
+  name: string;
+  endpoint: string;
+  type: MCPCredentialType;
+  reachable: boolean;
+  authorized: boolean;
+  canAuthorize: boolean;
+  expiresAt?: number | null;
+  scope?: string | null;
+}
+
+export interface MCPAuthorization {
+  endpoint: string;
+  state: string;
+  authorizationUrl: string;
+}
+
 export interface LocalMCPConfig {
   endpoint: string;
+  servers?: MCPServerConfig[];
+}
+
+export type MCPToolSource = 'manifest' | 'tools/list';
+
+export interface MCPToolCatalogEntry {
+  name: string;
+  originalName: string;
+  server: string;
+  description: string;
+  provenance: MCPToolSource[];
+  inputSchema: Record<string, unknown> | null;
+  outputSchema: Record<string, unknown> | null;
+}
+
+export interface MCPToolCatalogServer {
+  name: string;
+  targetUrl: string;
+  ok: boolean;
+  status: number;
+  error: string | null;
+  transport: string | null;
+  toolCount: number;
+  cached: boolean;
+  fetchedAt: number | null;
+}
+
+export interface MCPToolCatalog {
+  namespaced: boolean;
+  ttlMs: number;
+  servers: MCPToolCatalogServer[];
+  tools: MCPToolCatalogEntry[];
+}
+
+export interface MCPPromptArgument {
+  name: string;
+  description: string;
+  required: boolean;
+}
+
+export interface MCPServerPrompt {
+  command: string;
+  name: string;
+  server: string;
+  title: string;
+  description: string;
+  arguments: MCPPromptArgument[];
+}
+
+export interface MCPPromptCatalog {
+  namespaced: boolean;
+  prompts: MCPServerPrompt[];
+}
+
+export interface MCPPromptInvocation {
+  name: string;
+  server: string;
+  arguments: Record<string, string>;
 }